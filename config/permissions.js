@@ -0,0 +1,256 @@
+// Central authorization policy. Routes check permissions, never roles, so who
+// can do what is decided here alone.
+//
+// A plain permission (e.g. `appointment:read`) only covers records the user is
+// tied to through the ownership rules in middleware/auth.js: patients their own
+// records, doctors records assigned to them, nurses vitals they recorded, lab
+// technicians requests at their hospitals, pharmacists requests for their
+// pharmacies. The `:any` variant lifts that restriction and implies the plain one.
+// Clinical records additionally open to patients under the user's care with
+// `clinical:read` (see utils/careAccess.js).
+export const PERMISSIONS = {
+  'profile:read:any': 'View any user profile',
+  'profile:update:any': 'Edit any user profile',
+  'profile:delete': 'Delete user accounts',
+  'profile:change_role': 'Change the role of a user',
+  'profile:unlock': 'Clear failed logins and lockouts',
+  'invitation:manage': 'Invite staff and manage invitations',
+  'twofactor:manage': 'Set the 2FA policy and reset users\' 2FA',
+  'permission:read': 'View the permission policy',
+
+  'hospital:manage': 'Create, edit and delete hospitals',
+  'department:manage': 'Create, edit and delete departments and hospital departments',
+  'insurance:manage': 'Create, edit and delete insurances',
+  'pharmacy:manage': 'Create, edit and delete pharmacies',
+  'labtemplate:manage': 'Create, edit and delete lab test templates',
+  'medication:create': 'Add medications to the catalogue',
+  'medication:update': 'Edit medications',
+  'medication:delete': 'Delete medications',
+  'inventory:manage': 'Manage the stock of own pharmacies',
+  'inventory:manage:any': 'Manage the stock of every pharmacy',
+  'controlledregister:read': 'View and export the controlled drug register of own pharmacies',
+  'controlledregister:read:any': 'View and export the controlled drug register of every pharmacy',
+  'interaction:manage': 'Maintain the drug interaction rules checked when prescribing',
+
+  'doctor:manage': 'Create and delete doctor records',
+  'doctor:update': 'Edit own doctor record',
+  'doctor:update:any': 'Edit any doctor record',
+  'nurse:manage': 'Create and delete nurse records',
+  'nurse:update': 'Edit own nurse record',
+  'nurse:update:any': 'Edit any nurse record',
+  'schedule:manage': 'Manage own working hours and leave',
+  'schedule:manage:any': 'Manage every schedule, hospital-wide closures and public holidays',
+
+  'appointment:read': 'View own appointments',
+  'appointment:read:any': 'View all appointments',
+  'appointment:create': 'Book appointments',
+  'appointment:update': 'Edit own appointments',
+  'appointment:update:any': 'Edit any appointment',
+  'appointment:approve': 'Approve pending appointments',
+  'appointment:reject': 'Reject pending appointments',
+  'appointment:cancel': 'Cancel appointments',
+  'appointment:complete': 'Mark appointments completed',
+  'appointment:mark_no_show': 'Mark appointments as no-shows',
+  'appointment:reschedule': 'Reschedule own appointments',
+  'appointment:reschedule:any': 'Reschedule any appointment',
+  'noshow:read': 'View no-show statistics of patients',
+  'waitlist:join': 'Join waitlists and answer slot offers',
+  'waitlist:read': 'View own waitlist entries',
+  'waitlist:read:any': 'View all waitlist entries',
+  'waitlist:leave': 'Leave own waitlist entries',
+  'waitlist:leave:any': 'Remove anyone from a waitlist',
+
+  'consultation:read': 'View own consultations',
+  'consultation:read:any': 'View all consultations',
+  'consultation:create': 'Record consultations for own appointments',
+  'consultation:update': 'Edit own consultations',
+  'consultation:update:any': 'Edit any consultation',
+  'labrequest:read': 'View own lab test requests',
+  'labrequest:read:any': 'View all lab test requests',
+  'labrequest:create': 'Order lab tests',
+  'labrequest:update': 'Update own lab test requests',
+  'labrequest:update:any': 'Update any lab test request',
+  'labresult:read': 'View own lab results',
+  'labresult:read:any': 'View all lab results',
+  'labresult:create': 'Record lab results',
+  'prescription:read': 'View own prescriptions',
+  'prescription:read:any': 'View all prescriptions',
+  'prescription:create': 'Write prescriptions',
+  'prescription:update': 'Update own prescriptions',
+  'prescription:update:any': 'Update any prescription',
+  'prescription:choose_pharmacy': 'Choose the pharmacy of own prescriptions',
+  'prescription:dispense': 'Set the status of prescriptions',
+  'pharmacyrequest:read': 'View own pharmacy requests',
+  'pharmacyrequest:read:any': 'View all pharmacy requests',
+  'pharmacyrequest:create': 'Send prescriptions to a pharmacy',
+  'pharmacyrequest:update': 'Update own pharmacy requests',
+  'pharmacyrequest:update:any': 'Update any pharmacy request',
+  'pharmacyrequest:process': 'Accept, prepare, dispense and reject pharmacy requests',
+  'pharmacyrequest:consent': 'Accept or decline substitutions offered on own pharmacy requests',
+  'refill:read': 'View own refill requests',
+  'refill:read:any': 'View all refill requests',
+  'refill:request': 'Ask for refills of own prescriptions',
+  'refill:approve': 'Approve or reject refill requests for own prescriptions',
+  'refill:approve:any': 'Approve or reject any refill request',
+  'payment:read': 'View own payments',
+  'payment:read:any': 'View all payments',
+  'payment:create': 'Pay for services',
+  'vital:read': 'View own vitals',
+  'vital:read:any': 'View vitals of any patient',
+  'vital:create': 'Record vitals',
+  'medicalhistory:read': 'View own allergies and conditions',
+  'medicalhistory:read:any': 'View the allergies and conditions of any patient',
+  'medicalhistory:update': 'Record allergies and conditions of patients under your care',
+  'medicalhistory:update:any': 'Record allergies and conditions of any patient',
+  'clinical:read': 'Read clinical records of patients under your care',
+  'clinical:break_glass': 'Open emergency access to a patient\'s clinical records, with a logged reason',
+  'breakglass:review': 'Review emergency access to clinical records',
+  'audit:read': 'See who accessed your own health records',
+  'audit:read:any': 'Query the audit log of patient health data',
+  'notification:send': 'Send notifications to other users',
+};
+
+export const ROLE_PERMISSIONS = {
+  patient: [
+    'appointment:read',
+    'appointment:create',
+    'appointment:update',
+    'appointment:cancel',
+    'appointment:reschedule',
+    'waitlist:join',
+    'waitlist:leave',
+    'waitlist:read',
+    'consultation:read',
+    'labrequest:read',
+    'labresult:read',
+    'prescription:read',
+    'prescription:update',
+    'prescription:choose_pharmacy',
+    'pharmacyrequest:read',
+    'pharmacyrequest:create',
+    'pharmacyrequest:update',
+    'pharmacyrequest:consent',
+    'refill:read',
+    'refill:request',
+    'payment:read',
+    'payment:create',
+    'vital:read',
+    'medicalhistory:read',
+    'audit:read',
+  ],
+  doctor: [
+    'doctor:update',
+    'schedule:manage',
+    'medication:create',
+    'appointment:read',
+    'appointment:update',
+    'appointment:approve',
+    'appointment:reject',
+    'appointment:cancel',
+    'appointment:complete',
+    'appointment:mark_no_show',
+    'appointment:reschedule',
+    'noshow:read',
+    'waitlist:read',
+    'consultation:read',
+    'consultation:create',
+    'consultation:update',
+    'labrequest:read',
+    'labrequest:create',
+    'labrequest:update',
+    'labresult:read',
+    'prescription:read',
+    'prescription:create',
+    'prescription:update',
+    'refill:read',
+    'refill:approve',
+    'payment:read',
+    'vital:read',
+    'medicalhistory:read',
+    'medicalhistory:update',
+    'clinical:read',
+    'clinical:break_glass',
+    'notification:send',
+  ],
+  nurse: [
+    'nurse:update',
+    'appointment:read:any',
+    'appointment:update:any',
+    'appointment:approve',
+    'appointment:reject',
+    'appointment:cancel',
+    'appointment:mark_no_show',
+    'appointment:reschedule:any',
+    'noshow:read',
+    'waitlist:read:any',
+    'consultation:read',
+    'labrequest:read',
+    'labresult:read',
+    'vital:read',
+    'vital:create',
+    'medicalhistory:read',
+    'medicalhistory:update',
+    'clinical:read',
+    'clinical:break_glass',
+    'notification:send',
+  ],
+  lab_technician: [
+    'labrequest:read',
+    'labrequest:update',
+    'labresult:read',
+    'labresult:create',
+    'notification:send',
+  ],
+  pharmacist: [
+    'medication:create',
+    'medication:update',
+    'medication:delete',
+    'inventory:manage',
+    'controlledregister:read',
+    'interaction:manage',
+    'prescription:read',
+    'prescription:update',
+    'prescription:dispense',
+    'pharmacyrequest:read',
+    'pharmacyrequest:update',
+    'pharmacyrequest:process',
+    'notification:send',
+  ],
+  admin: Object.keys(PERMISSIONS),
+};
+
+// Fail at startup rather than silently denying on a typo
+for (const [role, permissions] of Object.entries(ROLE_PERMISSIONS)) {
+  for (const permission of permissions) {
+    if (!PERMISSIONS[permission]) {
+      throw new Error(`Unknown permission ${permission} granted to ${role}`);
+    }
+  }
+}
+
+const grants = Object.fromEntries(
+  Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+);
+
+/**
+ * Whether a role (or a user, via its role) holds a permission. Holding the
+ * `:any` variant counts as holding the plain one. Pure, so it can be used in
+ * scripts and tests without a database: can('nurse', 'appointment:approve').
+ */
+export const can = (roleOrUser, permission) => {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission ${permission}`);
+  }
+  const role = typeof roleOrUser === 'string' ? roleOrUser : roleOrUser?.role;
+  const granted = grants[role];
+  return Boolean(granted) && (granted.has(permission) || granted.has(`${permission}:any`));
+};
+
+// Whether the permission is held without the ownership restriction
+export const canAny = (roleOrUser, permission) => {
+  const any = `${permission}:any`;
+  return PERMISSIONS[any] ? can(roleOrUser, any) : false;
+};
+
+// Everything a role holds, as listed in the policy
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
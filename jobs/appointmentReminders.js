@@ -0,0 +1,61 @@
+import Appointment from '../models/Appointment.js';
+import Notification from '../models/Notification.js';
+import { getAppointmentStart, parseDate } from '../utils/schedule.js';
+
+// Largest window first; an appointment approved late only gets the closest reminder
+const REMINDER_WINDOWS = [
+  { key: '24h', hours: 24, label: 'tomorrow' },
+  { key: '1h', hours: 1, label: 'in about an hour' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Once the closest reminder has gone out there is nothing left to send
+const FINAL_REMINDER = REMINDER_WINDOWS[REMINDER_WINDOWS.length - 1].key;
+
+// Creates reminder notifications for approved appointments entering a reminder window
+export const sendAppointmentReminders = async () => {
+  const now = new Date();
+  const today = parseDate(now);
+
+  const appointments = await Appointment.find({
+    status: 'approved',
+    appointment_date: { $gte: new Date(today.getTime() - DAY_MS), $lte: new Date(today.getTime() + 2 * DAY_MS) },
+    reminders_sent: { $ne: FINAL_REMINDER },
+  });
+
+  let sent = 0;
+  for (const appointment of appointments) {
+    const start = getAppointmentStart(appointment);
+    if (start <= now) {
+      continue;
+    }
+
+    const due = REMINDER_WINDOWS.filter(w => start - now <= w.hours * 60 * 60 * 1000
+      && !appointment.reminders_sent.includes(w.key));
+    if (due.length === 0) {
+      continue;
+    }
+
+    // Claiming the keys atomically keeps concurrent runners from sending twice
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: 'approved', reminders_sent: { $nin: due.map(w => w.key) } },
+      { $addToSet: { reminders_sent: { $each: due.map(w => w.key) } } }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const closest = due[due.length - 1];
+    await Notification.create({
+      user_id: appointment.patient_id,
+      title: 'Appointment Reminder',
+      message: `Reminder: you have an appointment ${closest.label} at ${appointment.appointment_time}`,
+      type: 'appointment_reminder',
+      reference_id: appointment._id,
+    });
+    sent += 1;
+  }
+
+  return sent;
+};
@@ -0,0 +1,12 @@
+import { registerJob, startJobs, stopJobs } from './runner.js';
+import { sendAppointmentReminders } from './appointmentReminders.js';
+import { markNoShows } from './noShows.js';
+import { expireOffers } from '../utils/waitlist.js';
+
+const MINUTE = 60 * 1000;
+
+registerJob('appointment-reminders', 5 * MINUTE, sendAppointmentReminders);
+registerJob('no-shows', 15 * MINUTE, markNoShows);
+registerJob('waitlist-offer-expiry', MINUTE, expireOffers);
+
+export { startJobs, stopJobs };
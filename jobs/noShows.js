@@ -0,0 +1,83 @@
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Notification from '../models/Notification.js';
+import { getAppointmentStart } from '../utils/schedule.js';
+
+export const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES || '60', 10);
+
+const BATCH_SIZE = 200;
+
+// Marks one approved appointment as no_show when due; returns whether it did
+const markNoShow = async (appointment, { now, cutoff, log }) => {
+  const start = getAppointmentStart(appointment);
+  if (Number.isNaN(start.getTime())) {
+    log(`skipped appointment ${appointment._id}: invalid appointment_time ${appointment.appointment_time}`);
+    return false;
+  }
+  if (start > cutoff) {
+    return false;
+  }
+
+  const consulted = await Consultation.exists({ appointment_id: appointment._id });
+  if (consulted) {
+    return false;
+  }
+
+  const updated = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: 'approved' },
+    {
+      $set: { status: 'no_show' },
+      $push: {
+        status_history: {
+          from_status: 'approved',
+          to_status: 'no_show',
+          role: 'system',
+          reason: `No consultation recorded within ${NO_SHOW_GRACE_MINUTES} minutes of the appointment`,
+          changed_at: now,
+        },
+      },
+    }
+  );
+  if (!updated) {
+    return false;
+  }
+
+  await Notification.create({
+    user_id: appointment.patient_id,
+    title: 'Missed Appointment',
+    message: `You were marked as a no-show for your appointment at ${appointment.appointment_time}. Please contact the clinic if this is a mistake.`,
+    type: 'appointment',
+    reference_id: appointment._id,
+  });
+  return true;
+};
+
+// Marks approved appointments as no_show once the grace period after the slot
+// has passed without a consultation being recorded. However large the backlog
+// (e.g. after downtime), it is worked through in batches of BATCH_SIZE.
+export const markNoShows = async ({ log = console.warn } = {}) => {
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * 60 * 1000);
+
+  let marked = 0;
+  let lastId = null;
+  for (;;) {
+    const query = { status: 'approved', appointment_date: { $lte: cutoff } };
+    if (lastId) {
+      query._id = { $gt: lastId };
+    }
+    const batch = await Appointment.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+    if (batch.length === 0) {
+      break;
+    }
+    lastId = batch[batch.length - 1]._id;
+
+    for (const appointment of batch) {
+      if (await markNoShow(appointment, { now, cutoff, log })) {
+        marked += 1;
+      }
+    }
+  }
+
+  return marked;
+};
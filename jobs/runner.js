@@ -0,0 +1,45 @@
+// Minimal in-process job runner. Each job runs on a fixed interval and never
+// overlaps with a previous run of itself; failures are logged and retried on
+// the next tick. Jobs must be safe to run on several instances at once.
+// Handlers receive { log } for warnings that should carry the job's name.
+const jobs = [];
+const timers = [];
+
+export const registerJob = (name, intervalMs, handler) => {
+  jobs.push({ name, intervalMs, handler, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+  job.running = true;
+  try {
+    const result = await job.handler({
+      log: (message) => console.warn(`Job ${job.name}: ${message}`),
+    });
+    if (result) {
+      console.log(`Job ${job.name}: processed ${result}`);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed: ${error.message}`);
+  } finally {
+    job.running = false;
+  }
+};
+
+export const startJobs = () => {
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+    runJob(job);
+  }
+  console.log(`Background jobs started: ${jobs.map(j => j.name).join(', ')}`);
+};
+
+export const stopJobs = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
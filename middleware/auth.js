@@ -1,40 +1,136 @@
 import jwt from 'jsonwebtoken';
 import Profile from '../models/Profile.js';
+import Doctor from '../models/Doctor.js';
+import Hospital from '../models/Hospital.js';
+import Pharmacy from '../models/Pharmacy.js';
+import { isSessionActive } from '../utils/tokens.js';
+import { can, canAny } from '../config/permissions.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 
 export const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
-      return res.status(401).json({ error: 'No token, authorization denied' });
+      return next(new UnauthorizedError('No token, authorization denied', { code: 'token_missing' }));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await Profile.findById(decoded.id).select('-password');
+    if (decoded.typ !== 'access' || !decoded.sid) {
+      return next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
+    }
+
+    const [user, sessionActive] = await Promise.all([
+      Profile.findById(decoded.id).select('-password'),
+      isSessionActive(decoded.sid),
+    ]);
 
-    if (!user) {
-      return res.status(401).json({ error: 'Token is not valid' });
+    if (!user || !sessionActive) {
+      return next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    res.status(401).json({ error: 'Token is not valid' });
+    // Bad, expired or not yet valid tokens; anything else, such as a database failure, is a server error
+    if (error instanceof jwt.JsonWebTokenError) {
+      return next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
+    }
+    next(error);
   }
 };
 
-export const authorize = (...roles) => {
+export { can, canAny };
+
+// Rejects the request unless the user holds every listed permission
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+      return next(new UnauthorizedError());
     }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!permissions.every(permission => can(req.user, permission))) {
+      return next(new ForbiddenError());
     }
 
     next();
   };
 };
 
+const sameId = (a, b) => a != null && b != null && String(a._id ?? a) === String(b._id ?? b);
+
+// Matches no document; used when a staff member is not linked to anything yet
+const NOTHING = { _id: { $in: [] } };
+
+/**
+ * Ownership rules: the filter selecting the records a user is tied to, by role.
+ * Patients own records about them, doctors records assigned to their doctor
+ * profile, nurses what they recorded, lab technicians requests at hospitals
+ * they run the lab of, pharmacists requests sent to their pharmacies.
+ * Looked up once per request.
+ */
+export const getOwnerScope = async (req) => {
+  if (req.ownerScope !== undefined) {
+    return req.ownerScope;
+  }
+
+  const { user } = req;
+  let scope = NOTHING;
+  if (user.role === 'patient') {
+    scope = { patient_id: user._id };
+  } else if (user.role === 'nurse') {
+    scope = { nurse_id: user._id };
+  } else if (user.role === 'doctor') {
+    const doctor = await Doctor.findOne({ user_id: user._id }).select('_id');
+    if (doctor) {
+      scope = { doctor_id: doctor._id };
+    }
+  } else if (user.role === 'lab_technician') {
+    const hospitals = await Hospital.find({ lab_user_id: user._id }).select('_id');
+    if (hospitals.length > 0) {
+      scope = { hospital_id: { $in: hospitals.map(h => h._id) } };
+    }
+  } else if (user.role === 'pharmacist') {
+    const pharmacies = await Pharmacy.find({ pharmacist_id: user._id }).select('_id');
+    if (pharmacies.length > 0) {
+      scope = { pharmacy_id: { $in: pharmacies.map(p => p._id) } };
+    }
+  }
 
+  req.ownerScope = scope;
+  return scope;
+};
+
+// Whether `record` (a document or plain object, populated or not) belongs to the user
+export const ownsRecord = async (req, record) => {
+  const scope = await getOwnerScope(req);
+  const [field, value] = Object.entries(scope)[0];
+  if (field === '_id') {
+    return false;
+  }
+  const ids = value.$in || [value];
+  return ids.some(id => sameId(record[field], id));
+};
+
+// `permission:any`, or `permission` on a record the user owns
+export const canAccess = async (req, permission, record) => {
+  if (canAny(req.user, permission)) {
+    return true;
+  }
+  return can(req.user, permission) && ownsRecord(req, record);
+};
+
+/**
+ * Query filter for list endpoints: {} with `permission:any`, the ownership
+ * filter with `permission`, or null when the user may not list at all.
+ */
+export const listScope = async (req, permission) => {
+  if (canAny(req.user, permission)) {
+    return {};
+  }
+  if (!can(req.user, permission)) {
+    return null;
+  }
+  return getOwnerScope(req);
+};
@@ -0,0 +1,56 @@
+import { randomUUID } from 'crypto';
+import { NotFoundError, toAppError } from '../utils/errors.js';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Ids passed in by a proxy or client are kept only if they look like ids
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// Tags each request with a correlation id (X-Request-Id), echoed in the
+// response header, the request log and every error body
+export const requestId = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Answers requests no route matched
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`, { code: 'route_not_found' }));
+};
+
+// Last middleware: turns anything passed to next() into the error body.
+// Server errors are logged in full; in production clients only see a
+// generic message, elsewhere they also get the original message and stack.
+export const errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, error.cause ?? error);
+  }
+  // Too late to answer with JSON; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const body = {
+    error: error.message,
+    code: error.code,
+    request_id: req.id,
+  };
+  if (error.details) {
+    body.details = error.details;
+  }
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+    body.retry_after = error.retryAfter;
+  }
+  if (error.status >= 500 && !isProduction()) {
+    const original = error.cause ?? error;
+    body.error = original.message || error.message;
+    body.stack = original.stack;
+  }
+
+  res.status(error.status).json(body);
+};
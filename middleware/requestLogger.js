@@ -0,0 +1,49 @@
+// Keys whose values are never logged: passwords, access/refresh/MFA tokens,
+// TOTP and recovery codes, secrets
+const SENSITIVE_KEY = /password|token|code|secret/i;
+
+// Path segments that carry one-time tokens, e.g. /api/invitations/token/<token>
+const SENSITIVE_PATH = /(\/token\/)[^/?]+/g;
+
+export const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [
+      key,
+      SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(val),
+    ]));
+  }
+  return value;
+};
+
+const redactUrl = (url) => {
+  const [path, query] = url.split('?');
+  const safePath = path.replace(SENSITIVE_PATH, '$1[REDACTED]');
+  if (!query) {
+    return safePath;
+  }
+  const params = new URLSearchParams(query);
+  for (const key of [...params.keys()]) {
+    if (SENSITIVE_KEY.test(key)) {
+      params.set(key, '[REDACTED]');
+    }
+  }
+  return `${safePath}?${params.toString()}`;
+};
+
+// Logs one line per request; bodies only with LOG_REQUEST_BODIES=true, and always redacted
+export const requestLogger = (req, res, next) => {
+  const started = Date.now();
+
+  res.on('finish', () => {
+    let line = `[${req.id}] ${req.method} ${redactUrl(req.originalUrl)} ${res.statusCode} ${Date.now() - started}ms`;
+    if (process.env.LOG_REQUEST_BODIES === 'true' && req.body && Object.keys(req.body).length > 0) {
+      line += ` ${JSON.stringify(redact(req.body))}`;
+    }
+    console.log(line);
+  });
+
+  next();
+};
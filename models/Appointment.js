@@ -31,7 +31,7 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed', 'cancelled'],
+    enum: ['pending', 'approved', 'rejected', 'completed', 'cancelled', 'rescheduled', 'no_show'],
     default: 'pending',
   },
   reason: {
@@ -40,11 +40,62 @@ const appointmentSchema = new mongoose.Schema({
   rejection_reason: {
     type: String,
   },
+  // Reschedule chain: the booking this one replaced and the one that replaced it
+  rescheduled_from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+  },
+  rescheduled_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+  },
+  reschedule_count: {
+    type: Number,
+    default: 0,
+  },
+  // Reminder windows already notified, e.g. '24h', '1h'
+  reminders_sent: [{
+    type: String,
+  }],
+  status_history: [{
+    from_status: {
+      type: String,
+    },
+    to_status: {
+      type: String,
+      required: true,
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Profile',
+    },
+    role: {
+      type: String,
+    },
+    reason: {
+      type: String,
+    },
+    changed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
 }, {
   timestamps: true,
 });
 
-appointmentSchema.index({ doctor_id: 1, appointment_date: 1, appointment_time: 1 }, { unique: true });
+// Only active bookings hold a slot, so cancelled, rejected and rescheduled ones free it again
+appointmentSchema.index({ status: 1, appointment_date: 1 });
+appointmentSchema.index({ patient_id: 1, status: 1 });
+
+appointmentSchema.index(
+  { doctor_id: 1, appointment_date: 1, appointment_time: 1 },
+  {
+    unique: true,
+    name: 'active_doctor_slot',
+    partialFilterExpression: { status: { $in: ['pending', 'approved'] } },
+  }
+);
 
 export default mongoose.model('Appointment', appointmentSchema);
 
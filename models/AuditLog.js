@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Who read or changed which piece of patient health data. Entries are never updated.
+const auditLogSchema = new mongoose.Schema({
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  actor_role: {
+    type: String,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['read', 'create', 'update', 'delete'],
+    required: true,
+  },
+  resource_type: {
+    type: String,
+    required: true,
+  },
+  resource_id: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+  ip: {
+    type: String,
+  },
+  // Set when the record was opened through an emergency access grant
+  break_glass_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BreakGlassAccess',
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  }],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ patient_id: 1, createdAt: -1 });
+auditLogSchema.index({ actor_id: 1, createdAt: -1 });
+auditLogSchema.index({ resource_type: 1, resource_id: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
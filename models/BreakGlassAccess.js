@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// Emergency access to a patient's clinical records outside any care relationship.
+// Kept after expiry as the audit trail of who looked at what and why.
+const breakGlassAccessSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  ip: {
+    type: String,
+  },
+  accesses: [{
+    resource: {
+      type: String,
+      required: true,
+    },
+    record_id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    accessed_at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+breakGlassAccessSchema.index({ user_id: 1, patient_id: 1, expires_at: -1 });
+breakGlassAccessSchema.index({ patient_id: 1, createdAt: -1 });
+
+export default mongoose.model('BreakGlassAccess', breakGlassAccessSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One line of a pharmacy's controlled drug register. Entries are only ever
+// appended: every change to the stock of a controlled medication, with the
+// balance it left.
+const controlledDrugEntrySchema = new mongoose.Schema({
+  pharmacy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true,
+  },
+  medication_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true,
+  },
+  // The medication's schedule when the entry was made
+  schedule: {
+    type: String,
+  },
+  type: {
+    type: String,
+    enum: ['receipt', 'dispense', 'adjustment'],
+    required: true,
+  },
+  // Change to the pharmacy's stock: positive for receipts, negative for dispenses
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Stock at the pharmacy after the change
+  balance: {
+    type: Number,
+    required: true,
+  },
+  // Set on dispenses
+  prescription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+  },
+  pharmacy_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyRequest',
+  },
+  dispensing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispensing',
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+  // The prescribing doctor
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+  },
+  recorded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  notes: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+controlledDrugEntrySchema.index({ pharmacy_id: 1, medication_id: 1, createdAt: 1 });
+
+export default mongoose.model('ControlledDrugEntry', controlledDrugEntrySchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// One fill of a prescription, recorded when a pharmacy completes its request
+const dispensingSchema = new mongoose.Schema({
+  prescription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+    required: true,
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  pharmacy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true,
+  },
+  pharmacy_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyRequest',
+    required: true,
+  },
+  // Set when the fill was a refill
+  refill_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefillRequest',
+  },
+  // 1 for the first fill, then one more per refill
+  fill_number: {
+    type: Number,
+    required: true,
+  },
+  // Refills left on the prescription after this fill
+  refills_remaining: {
+    type: Number,
+    required: true,
+  },
+  items: [{
+    _id: false,
+    prescription_item_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PrescriptionItem',
+      required: true,
+    },
+    medication_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    prescribed_quantity: {
+      type: Number,
+    },
+    // The prescribed medication, when a generic equivalent was handed over instead
+    substituted_for: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+  }],
+  dispensed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+}, {
+  timestamps: true,
+});
+
+dispensingSchema.index({ prescription_id: 1, createdAt: -1 });
+
+export default mongoose.model('Dispensing', dispensingSchema);
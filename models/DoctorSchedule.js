@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Times are stored as HH:MM; the HH:MM:SS form the schedule helpers also accept loses its seconds
+const toHourMinute = (time) => (typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/.test(time) ? time.slice(0, 5) : time);
+
+const breakSchema = new mongoose.Schema({
+  start_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+  end_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+}, {
+  _id: false,
+});
+
+const workingDaySchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day_of_week: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6,
+  },
+  start_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+  end_time: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+  breaks: [breakSchema],
+}, {
+  _id: false,
+});
+
+const doctorScheduleSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true,
+  },
+  hospital_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true,
+  },
+  slot_duration_minutes: {
+    type: Number,
+    required: true,
+    default: 10,
+    min: 5,
+    max: 240,
+  },
+  weekly_hours: [workingDaySchema],
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+doctorScheduleSchema.index({ doctor_id: 1, hospital_id: 1 }, { unique: true });
+
+export default mongoose.model('DoctorSchedule', doctorScheduleSchema);
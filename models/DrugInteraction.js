@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One side of a rule: a catalogue medication or a whole medication category
+const agentSchema = new mongoose.Schema({
+  medication_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+  },
+  category: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+}, {
+  _id: false,
+});
+
+// Medications that should not be taken together, checked when prescribing
+const drugInteractionSchema = new mongoose.Schema({
+  first: {
+    type: agentSchema,
+    required: true,
+  },
+  second: {
+    type: agentSchema,
+    required: true,
+  },
+  // severe interactions block a prescription unless the doctor overrides them
+  severity: {
+    type: String,
+    enum: ['minor', 'moderate', 'severe'],
+    required: true,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('DrugInteraction', drugInteractionSchema);
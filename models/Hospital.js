@@ -18,6 +18,23 @@ const hospitalSchema = new mongoose.Schema({
   description: {
     type: String,
   },
+  latitude: {
+    type: Number,
+  },
+  longitude: {
+    type: Number,
+  },
+  // GeoJSON copy of latitude and longitude for the 2dsphere index, kept on save
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
   consultation_fee: {
     type: Number,
     default: 0,
@@ -31,5 +48,16 @@ const hospitalSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+hospitalSchema.index({ geo: '2dsphere' });
+
+// Keeps geo in step with latitude and longitude; without both there is no point
+hospitalSchema.pre('save', function () {
+  if (this.isModified('latitude') || this.isModified('longitude')) {
+    this.geo = this.latitude != null && this.longitude != null
+      ? { type: 'Point', coordinates: [this.longitude, this.latitude] }
+      : undefined;
+  }
+});
+
 export default mongoose.model('Hospital', hospitalSchema);
 
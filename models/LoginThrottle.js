@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Failed login counters, keyed by "account:<email>" or "ip:<address>"
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  last_failure_at: {
+    type: Date,
+  },
+  locked_until: {
+    type: Date,
+    default: null,
+  },
+  lockout_count: {
+    type: Number,
+    default: 0,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
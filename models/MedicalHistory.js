@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const allergySchema = new mongoose.Schema({
+  // Medication name or category the patient reacts to, e.g. "Penicillins"
+  substance: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Set when the allergy is to one catalogue medication
+  medication_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+  },
+  reaction: {
+    type: String,
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe'],
+    default: 'moderate',
+  },
+}, {
+  _id: false,
+});
+
+const conditionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  since: {
+    type: Date,
+  },
+  is_active: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+  },
+}, {
+  _id: false,
+});
+
+// A patient's allergies and conditions, checked when medication is prescribed
+const medicalHistorySchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+    unique: true,
+  },
+  allergies: [allergySchema],
+  conditions: [conditionSchema],
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('MedicalHistory', medicalHistorySchema);
@@ -12,19 +12,33 @@ const medicationSchema = new mongoose.Schema({
   category: {
     type: String,
   },
+  // Active ingredient; medications sharing it are generic equivalents pharmacies may substitute
+  generic_name: {
+    type: String,
+    trim: true,
+  },
   unit_price: {
     type: Number,
     required: true,
     default: 0,
   },
-  stock_quantity: {
-    type: Number,
-    default: 0,
-  },
+  // Stock is kept per pharmacy, see PharmacyInventory
   requires_prescription: {
     type: Boolean,
     default: true,
   },
+  // Controlled substance schedule; null for medications that are not controlled
+  controlled_schedule: {
+    type: String,
+    enum: ['II', 'III', 'IV', 'V'],
+    default: null,
+  },
+  // Most units one prescription may hold of a controlled medication; null for no cap
+  max_quantity_per_prescription: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
@@ -7,6 +7,11 @@ const nurseSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Hospital the nurse works at; patients with appointments there are under their care
+  hospital_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+  },
   license_number: {
     type: String,
     required: true,
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  // SHA-256 of the token sent by mail
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  used_at: {
+    type: Date,
+  },
+  requested_ip: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+passwordResetTokenSchema.index({ user_id: 1, used_at: 1 });
+passwordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -21,6 +21,17 @@ const pharmacySchema = new mongoose.Schema({
   longitude: {
     type: Number,
   },
+  // GeoJSON copy of latitude and longitude for the 2dsphere index, kept on save
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
   pharmacist_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Profile',
@@ -29,6 +40,17 @@ const pharmacySchema = new mongoose.Schema({
   timestamps: true,
 });
 
+pharmacySchema.index({ geo: '2dsphere' });
+
+// Keeps geo in step with latitude and longitude; without both there is no point
+pharmacySchema.pre('save', function () {
+  if (this.isModified('latitude') || this.isModified('longitude')) {
+    this.geo = this.latitude != null && this.longitude != null
+      ? { type: 'Point', coordinates: [this.longitude, this.latitude] }
+      : undefined;
+  }
+});
+
 export default mongoose.model('Pharmacy', pharmacySchema);
 
 
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Stock of one medication at one pharmacy
+const pharmacyInventorySchema = new mongoose.Schema({
+  pharmacy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true,
+  },
+  medication_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  // Held for accepted pharmacy requests until they are dispensed or rejected;
+  // only quantity - reserved_quantity can still be promised
+  reserved_quantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // The pharmacy's own price; null sells at the prescribed (catalogue) price
+  unit_price: {
+    type: Number,
+    default: null,
+    min: 0,
+  },
+  // Available stock at or below this counts as low
+  reorder_level: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+pharmacyInventorySchema.index({ pharmacy_id: 1, medication_id: 1 }, { unique: true });
+pharmacyInventorySchema.index({ medication_id: 1 });
+
+export default mongoose.model('PharmacyInventory', pharmacyInventorySchema);
@@ -16,14 +16,82 @@ const pharmacyRequestSchema = new mongoose.Schema({
     ref: 'Pharmacy',
     required: true,
   },
+  // pending -> accepted -> preparing -> ready_for_pickup -> dispensed, or rejected on the way
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'completed'],
+    enum: ['pending', 'accepted', 'preparing', 'ready_for_pickup', 'dispensed', 'rejected'],
     default: 'pending',
   },
   rejection_reason: {
     type: String,
   },
+  // Set when the request fills an approved refill rather than the first fill
+  refill_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefillRequest',
+  },
+  // One line per prescription item, so the pharmacy fills the whole prescription
+  items: [{
+    _id: false,
+    prescription_item_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PrescriptionItem',
+      required: true,
+    },
+    // partial: dispensed, but less than prescribed
+    status: {
+      type: String,
+      enum: ['pending', 'dispensed', 'partial', 'unavailable'],
+      default: 'pending',
+    },
+    // The item's quantity, followed until a pharmacy accepts the request
+    prescribed_quantity: {
+      type: Number,
+    },
+    dispensed_quantity: {
+      type: Number,
+      default: 0,
+    },
+    // What this pharmacy charges per unit, set when the line is built from its item
+    unit_price: {
+      type: Number,
+      default: 0,
+    },
+    // Stock of the supplied medication held for this line while the request is
+    // accepted, preparing or ready for pickup
+    reserved_quantity: {
+      type: Number,
+      default: 0,
+    },
+    // A generic equivalent offered in place of the prescribed medication; it is
+    // only supplied once the patient has accepted it
+    substitution: {
+      medication_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medication',
+      },
+      reason: {
+        type: String,
+      },
+      status: {
+        type: String,
+        enum: ['awaiting_consent', 'accepted', 'declined'],
+      },
+      proposed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Profile',
+      },
+      proposed_at: {
+        type: Date,
+      },
+      decided_at: {
+        type: Date,
+      },
+    },
+    notes: {
+      type: String,
+    },
+  }],
 }, {
   timestamps: true,
 });
@@ -25,6 +25,7 @@ const prescriptionSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected', 'completed', 'paid'],
     default: 'pending',
   },
+  // Sum of the item totals, kept up to date by utils/prescriptions.js
   total_price: {
     type: Number,
     default: 0,
@@ -35,30 +36,91 @@ const prescriptionSchema = new mongoose.Schema({
   signature_data: {
     type: String,
   },
-  // Medication details - each prescription now represents one medication
-  medication_id: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Medication',
-    required: true,
+  // Holds a controlled substance; signature_data is then the doctor's own signature
+  is_controlled: {
+    type: Boolean,
+    default: false,
   },
-  quantity: {
-    type: Number,
-    required: true,
-    default: 1,
+  // Pharmacies may be sent the prescription from valid_from until valid_until
+  valid_from: {
+    type: Date,
+    default: Date.now,
   },
-  dosage: {
-    type: String,
-    required: true,
+  valid_until: {
+    type: Date,
   },
-  instructions: {
-    type: String,
+  // Fills allowed after the first one
+  refills_allowed: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  refills_remaining: {
+    type: Number,
+    min: 0,
+    default: 0,
   },
-  unit_price: {
+  // Completed fills, the first one included; kept by utils/prescriptions.js
+  dispense_count: {
     type: Number,
     default: 0,
   },
+  last_dispensed_at: {
+    type: Date,
+  },
+  // Allergy and interaction findings of the checks run when items were prescribed
+  safety_warnings: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['allergy', 'interaction'],
+      required: true,
+    },
+    severity: {
+      type: String,
+      enum: ['minor', 'moderate', 'severe'],
+      required: true,
+    },
+    medication_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+    // The other medication of an interaction
+    other_medication_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Medication',
+    },
+    message: {
+      type: String,
+    },
+  }],
+  // Why the doctor prescribed despite severe findings
+  safety_overrides: [{
+    _id: false,
+    reason: {
+      type: String,
+      required: true,
+    },
+    overridden_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Profile',
+    },
+    overridden_at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
 }, {
   timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+});
+
+// Medication lines; populate('items') to load them
+prescriptionSchema.virtual('items', {
+  ref: 'PrescriptionItem',
+  localField: '_id',
+  foreignField: 'prescription_id',
 });
 
 export default mongoose.model('Prescription', prescriptionSchema);
@@ -23,11 +23,13 @@ const prescriptionItemSchema = new mongoose.Schema({
   instructions: {
     type: String,
   },
+  // Catalogue price when prescribed; later price changes do not apply
   unit_price: {
     type: Number,
     required: true,
     default: 0,
   },
+  // unit_price * quantity
   total_price: {
     type: Number,
     required: true,
@@ -37,5 +39,7 @@ const prescriptionItemSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+prescriptionItemSchema.index({ prescription_id: 1 });
+
 export default mongoose.model('PrescriptionItem', prescriptionItemSchema);
 
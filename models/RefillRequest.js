@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// A patient asking the prescribing doctor for another fill of a prescription
+const refillRequestSchema = new mongoose.Schema({
+  prescription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prescription',
+    required: true,
+  },
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  // The prescribing doctor, who decides on the request
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true,
+  },
+  // Where the refill should be filled; defaults to the prescription's pharmacy
+  pharmacy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  notes: {
+    type: String,
+  },
+  rejection_reason: {
+    type: String,
+  },
+  decided_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+  decided_at: {
+    type: Date,
+  },
+  // The pharmacy request sent on approval
+  pharmacy_request_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PharmacyRequest',
+  },
+}, {
+  timestamps: true,
+});
+
+refillRequestSchema.index({ prescription_id: 1, status: 1 });
+
+export default mongoose.model('RefillRequest', refillRequestSchema);
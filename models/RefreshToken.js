@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One document per issued refresh token. Tokens rotated from the same login
+// share a family_id, which is also the session id carried in access tokens.
+const refreshTokenSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  // SHA-256 of the token; the token itself is never stored
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  family_id: {
+    type: String,
+    required: true,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  revoked_at: {
+    type: Date,
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_change', 'mfa_required'],
+  },
+  replaced_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+  },
+  created_by_ip: {
+    type: String,
+  },
+  user_agent: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+refreshTokenSchema.index({ family_id: 1, revoked_at: 1 });
+refreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Times are stored as HH:MM; the HH:MM:SS form the schedule helpers also accept loses its seconds
+const toHourMinute = (time) => (typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/.test(time) ? time.slice(0, 5) : time);
+
+// A dated block-out of the weekly schedule. Without doctor_id the exception
+// applies to every doctor of hospital_id, or to everyone when neither is set
+// (e.g. a national public holiday).
+const scheduleExceptionSchema = new mongoose.Schema({
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+  },
+  hospital_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+  },
+  type: {
+    type: String,
+    enum: ['leave', 'public_holiday', 'other'],
+    required: true,
+  },
+  start_date: {
+    type: Date,
+    required: true,
+  },
+  end_date: {
+    type: Date,
+    required: true,
+  },
+  // Optional partial-day window; the whole day is blocked when omitted
+  start_time: {
+    type: String,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+  end_time: {
+    type: String,
+    match: TIME_PATTERN,
+    set: toHourMinute,
+  },
+  reason: {
+    type: String,
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+}, {
+  timestamps: true,
+});
+
+scheduleExceptionSchema.index({ doctor_id: 1, start_date: 1, end_date: 1 });
+
+export default mongoose.model('ScheduleException', scheduleExceptionSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const staffInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  role: {
+    type: String,
+    enum: ['doctor', 'lab_technician', 'pharmacist', 'admin', 'nurse'],
+    required: true,
+  },
+  full_name: {
+    type: String,
+  },
+  // Assignment applied when the invitation is accepted, depending on role
+  hospital_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+  },
+  department_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+  },
+  pharmacy_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pharmacy',
+  },
+  license_number: {
+    type: String,
+  },
+  specialization: {
+    type: String,
+  },
+  consultation_fee: {
+    type: Number,
+    min: 0,
+  },
+  // SHA-256 of the token in the invitation link
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  accepted_at: {
+    type: Date,
+  },
+  profile_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+}, {
+  timestamps: true,
+});
+
+staffInvitationSchema.index({ email: 1, status: 1 });
+
+export default mongoose.model('StaffInvitation', staffInvitationSchema);
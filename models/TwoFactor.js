@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const recoveryCodeSchema = new mongoose.Schema({
+  code_hash: {
+    type: String,
+    required: true,
+  },
+  used_at: {
+    type: Date,
+    default: null,
+  },
+}, { _id: false });
+
+const twoFactorSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  secret: {
+    type: String,
+    select: false,
+  },
+  // Secret handed out by setup, confirmed by the first valid code
+  pending_secret: {
+    type: String,
+    select: false,
+  },
+  enabled_at: {
+    type: Date,
+  },
+  // Last accepted time step, so a code cannot be replayed
+  last_used_step: {
+    type: Number,
+    default: 0,
+  },
+  recovery_codes: {
+    type: [recoveryCodeSchema],
+    select: false,
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('TwoFactor', twoFactorSchema);
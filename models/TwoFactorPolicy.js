@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Roles whose members must use two-factor authentication
+const twoFactorPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['patient', 'doctor', 'lab_technician', 'pharmacist', 'admin', 'nurse'],
+    required: true,
+    unique: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+  },
+}, {
+  timestamps: true,
+});
+
+export default mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
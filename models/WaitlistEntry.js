@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const waitlistEntrySchema = new mongoose.Schema({
+  patient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profile',
+    required: true,
+  },
+  doctor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: true,
+  },
+  // Optional: only accept slots at this hospital
+  hospital_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+  },
+  date_from: {
+    type: Date,
+    required: true,
+  },
+  date_to: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'cancelled'],
+    default: 'waiting',
+  },
+  reason: {
+    type: String,
+  },
+  // Slot currently held for this patient while status is offered
+  offer: {
+    hospital_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hospital',
+    },
+    department_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+    },
+    appointment_date: {
+      type: Date,
+    },
+    appointment_time: {
+      type: String,
+    },
+    offered_at: {
+      type: Date,
+    },
+    expires_at: {
+      type: Date,
+    },
+  },
+  // Slots (YYYY-MM-DD|HH:MM:SS) this patient declined or let expire, never offered again
+  skipped_slots: [{
+    type: String,
+  }],
+  appointment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+  },
+}, {
+  timestamps: true,
+});
+
+waitlistEntrySchema.index({ doctor_id: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expires_at': 1 });
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -2,10 +2,40 @@ import express from 'express';
 import Appointment from '../models/Appointment.js';
 import Doctor from '../models/Doctor.js';
 import Notification from '../models/Notification.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, can, canAccess, listScope, requirePermission } from '../middleware/auth.js';
+import { getAppointmentStart, getScheduledSlots, getSlotHospitals, normalizeTime, parseDate } from '../utils/schedule.js';
+import { ACTIVE_STATUSES, checkTransition } from '../utils/appointmentStatus.js';
+import { getHeldSlots, offerFreedSlot } from '../utils/waitlist.js';
+import { validate } from '../validation/validate.js';
+import { appointmentCreate, appointmentUpdate, appointmentReschedule } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { parseView, pickFields, populateView, selectView } from '../utils/expand.js';
+import { APPOINTMENT_VIEW } from '../utils/views.js';
 
 const router = express.Router();
 
+const MAX_PATIENT_RESCHEDULES = parseInt(process.env.MAX_PATIENT_RESCHEDULES || '2', 10);
+const RESCHEDULE_CUTOFF_HOURS = parseFloat(process.env.RESCHEDULE_CUTOFF_HOURS || '24');
+
+// Filters and sort orders of GET /api/appointments
+const APPOINTMENT_LIST = {
+  filters: {
+    status: { field: 'status', enum: Appointment.schema.path('status').enumValues },
+    hospitalId: { field: 'hospital_id' },
+    doctorId: { field: 'doctor_id' },
+    patientId: { field: 'patient_id' },
+    departmentId: { field: 'department_id' },
+  },
+  dateField: 'appointment_date',
+  sortFields: {
+    appointment_date: ['appointment_date', 'appointment_time'],
+    createdAt: ['createdAt'],
+    status: ['status'],
+  },
+  defaultSort: 'appointment_date',
+};
+
 /**
  * @openapi
  * tags:
@@ -34,17 +64,56 @@ const router = express.Router();
  *           description: Time in HH:MM:SS format
  *         status:
  *           type: string
- *           enum: [pending, approved, rejected, completed, cancelled]
+ *           enum: [pending, approved, rejected, completed, cancelled, rescheduled, no_show]
  *         reason:
  *           type: string
  *         rejection_reason:
  *           type: string
+ *         rescheduled_from:
+ *           type: string
+ *           nullable: true
+ *           description: Appointment this booking replaced
+ *         rescheduled_to:
+ *           type: string
+ *           nullable: true
+ *           description: Appointment that replaced this booking
+ *         reschedule_count:
+ *           type: integer
+ *         status_history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from_status:
+ *                 type: string
+ *               to_status:
+ *                 type: string
+ *               changed_by:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               changed_at:
+ *                 type: string
+ *                 format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     NoShowSummary:
+ *       type: object
+ *       properties:
+ *         patient_id:
+ *           type: string
+ *         no_show_count:
+ *           type: integer
+ *         last_no_show_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
  */
 
 /**
@@ -52,53 +121,209 @@ const router = express.Router();
  * /api/appointments:
  *   get:
  *     summary: Get all appointments for the authenticated user
+ *     description: One page of the appointments the user may see; from/to apply to appointment_date.
  *     tags:
  *       - Appointments
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more statuses separated by commas
+ *         schema:
+ *           type: string
+ *           example: pending,approved
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - $ref: '#/components/parameters/DoctorId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: departmentId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [appointment_date, -appointment_date, createdAt, -createdAt, status, -status]
+ *           default: appointment_date
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
- *         description: List of appointments
+ *         description: Page of appointments
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Appointment'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'doctor') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        query.doctor_id = doctor._id;
-      } else {
-        return res.json([]);
-      }
+    const query = await listScope(req, 'appointment:read');
+    if (!query) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const list = await parseListQuery(req.query, APPOINTMENT_LIST);
+    const view = parseView(req, APPOINTMENT_VIEW);
+    const page = await findPage(
+      populateView(selectView(Appointment.find(withScope(query, list.filter)), view), view),
+      list
+    );
+
+    res.json({ ...page, data: pickFields(page.data, view) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @openapi
+ * /api/appointments/no-shows:
+ *   get:
+ *     summary: No-show counts per patient (staff only)
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: since
+ *         in: query
+ *         required: false
+ *         description: Only count no-shows on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: min
+ *         in: query
+ *         required: false
+ *         description: Only include patients with at least this many no-shows
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Patients ordered by no-show count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NoShowSummary'
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/no-shows', authenticate, requirePermission('noshow:read'), async (req, res, next) => {
+  try {
+    const match = { status: 'no_show' };
+    const since = parseDate(req.query.since);
+    if (since) {
+      match.appointment_date = { $gte: since };
+    }
+    const min = parseInt(req.query.min || '1', 10);
+
+    const summary = await Appointment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$patient_id',
+          no_show_count: { $sum: 1 },
+          last_no_show_date: { $max: '$appointment_date' },
+        },
+      },
+      { $match: { no_show_count: { $gte: min } } },
+      { $sort: { no_show_count: -1 } },
+      { $project: { _id: 0, patient_id: '$_id', no_show_count: 1, last_no_show_date: 1 } },
+    ]);
+
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @openapi
+ * /api/appointments/no-shows/{patientId}:
+ *   get:
+ *     summary: No-show count for a patient
+ *     description: Patients can only query themselves.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: patientId
+ *         in: path
+ *         required: true
+ *         description: Patient profile ID
+ *         schema:
+ *           type: string
+ *       - name: since
+ *         in: query
+ *         required: false
+ *         description: Only count no-shows on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: No-show summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NoShowSummary'
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/no-shows/:patientId', authenticate, async (req, res, next) => {
+  try {
+    const isSelf = req.user._id.toString() === req.params.patientId;
+    if (!isSelf && !can(req.user, 'noshow:read')) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const query = { patient_id: req.params.patientId, status: 'no_show' };
+    const since = parseDate(req.query.since);
+    if (since) {
+      query.appointment_date = { $gte: since };
     }
 
-    const appointments = await Appointment.find(query)
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('hospital_id')
-      .populate('department_id')
-      .sort({ appointment_date: 1, appointment_time: 1 });
+    const [count, last] = await Promise.all([
+      Appointment.countDocuments(query),
+      Appointment.findOne(query).sort({ appointment_date: -1 }).select('appointment_date'),
+    ]);
 
-    res.json(appointments);
+    res.json({
+      patient_id: req.params.patientId,
+      no_show_count: count,
+      last_no_show_date: last ? last.appointment_date : null,
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -118,6 +343,8 @@ router.get('/', authenticate, async (req, res) => {
  *         description: Appointment ID
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Appointment object
@@ -125,6 +352,8 @@ router.get('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid fields or expand parameter
  *       403:
  *         description: Access denied
  *       404:
@@ -132,30 +361,22 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
-    const appointment = await Appointment.findById(req.params.id)
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('hospital_id')
-      .populate('department_id');
+    const view = parseView(req, APPOINTMENT_VIEW);
+    const appointment = await populateView(Appointment.findById(req.params.id), view);
 
     if (!appointment) {
-      return res.status(404).json({ error: 'Appointment not found' });
+      return next(new NotFoundError('Appointment not found'));
     }
 
-    // Check access
-    if (req.user.role === 'patient' && appointment.patient_id._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!(await canAccess(req, 'appointment:read', appointment))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    res.json(appointment);
+    res.json(pickFields(appointment, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -168,30 +389,15 @@ router.get('/:id', authenticate, async (req, res) => {
  *       - Appointments
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               doctor_id:
- *                 type: string
- *               hospital_id:
- *                 type: string
- *               department_id:
- *                 type: string
- *               appointment_date:
- *                 type: string
- *                 format: date
- *               appointment_time:
- *                 type: string
- *               reason:
- *                 type: string
- *             required:
- *               - doctor_id
- *               - appointment_date
- *               - appointment_time
+ *             $ref: '#/components/schemas/AppointmentCreateRequest'
  *     responses:
  *       201:
  *         description: Appointment created
@@ -199,30 +405,69 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation failed, invalid date/time, a slot that has already passed or a slot outside the doctor's schedule
  *       403:
  *         description: Only patients can create appointments
+ *       404:
+ *         description: Doctor not found
+ *       409:
+ *         description: Time slot already booked
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validate(appointmentCreate), async (req, res, next) => {
   try {
-    if (req.user.role !== 'patient') {
-      return res.status(403).json({ error: 'Only patients can create appointments' });
+    const view = parseView(req, APPOINTMENT_VIEW);
+    if (!can(req.user, 'appointment:create')) {
+      return next(new ForbiddenError('Only patients can create appointments'));
+    }
+
+    const appointmentDate = parseDate(req.body.appointment_date);
+    const appointmentTime = normalizeTime(req.body.appointment_time);
+    if (!appointmentDate || !appointmentTime) {
+      return next(new BadRequestError('A valid appointment_date and appointment_time (HH:MM:SS) are required'));
+    }
+    if (getAppointmentStart({ appointment_date: appointmentDate, appointment_time: appointmentTime }) <= new Date()) {
+      return next(new BadRequestError('The requested time has already passed'));
+    }
+
+    const bookedDoctor = await Doctor.findById(req.body.doctor_id);
+    if (!bookedDoctor) {
+      return next(new NotFoundError('Doctor not found'));
+    }
+
+    // Without hospital_id the slot is booked at whichever hospital's schedule offers it, as /available lists them
+    const slotHospitals = await getSlotHospitals(bookedDoctor._id, appointmentDate, { hospitalId: req.body.hospital_id });
+    const offeredAt = slotHospitals.get(appointmentTime);
+    if (!offeredAt) {
+      return next(new BadRequestError('The requested time is outside the doctor\'s schedule'));
+    }
+    const hospitalId = req.body.hospital_id
+      || offeredAt.find(id => id.equals(bookedDoctor.hospital_id))
+      || offeredAt[0];
+
+    const taken = await Appointment.exists({
+      doctor_id: bookedDoctor._id,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    const heldSlots = await getHeldSlots(bookedDoctor._id, appointmentDate);
+    if (taken || heldSlots.includes(appointmentTime)) {
+      return next(new ConflictError('This time slot is already booked', { code: 'slot_taken' }));
     }
 
     const appointment = new Appointment({
       ...req.body,
+      hospital_id: hospitalId,
+      department_id: req.body.department_id || bookedDoctor.department_id,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
       patient_id: req.user._id,
     });
     await appointment.save();
-    await appointment.populate('patient_id', 'full_name phone national_id');
-    await appointment.populate('doctor_id');
-    await appointment.populate({
-      path: 'doctor_id',
-      populate: { path: 'user_id', select: 'full_name' }
-    });
-    await appointment.populate('hospital_id');
-    await appointment.populate('department_id');
+    await populateView(appointment, view);
 
     // Create notification for doctor
     const doctor = await Doctor.findById(appointment.doctor_id).populate('user_id');
@@ -236,9 +481,12 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    res.status(201).json(appointment);
+    res.status(201).json(pickFields(appointment, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error.code === 11000) {
+      return next(new ConflictError('This time slot is already booked', { code: 'slot_taken' }));
+    }
+    next(error);
   }
 });
 
@@ -258,23 +506,14 @@ router.post('/', authenticate, async (req, res) => {
  *         description: Appointment ID
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [pending, approved, rejected, cancelled]
- *               appointment_date:
- *                 type: string
- *                 format: date
- *               appointment_time:
- *                 type: string
- *               vitals:
- *                 type: object
+ *             $ref: '#/components/schemas/AppointmentUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated appointment
@@ -282,67 +521,267 @@ router.post('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation failed, including date/time changes, which must go through the reschedule endpoint
  *       403:
- *         description: Access denied
+ *         description: Access denied or role not allowed to make this status change
  *       404:
  *         description: Appointment not found
+ *       409:
+ *         description: Illegal status transition
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(appointmentUpdate), async (req, res, next) => {
   try {
+    const view = parseView(req, APPOINTMENT_VIEW);
     const appointment = await Appointment.findById(req.params.id);
     if (!appointment) {
-      return res.status(404).json({ error: 'Appointment not found' });
+      return next(new NotFoundError('Appointment not found'));
     }
 
-    // Check permissions based on role
-    if (req.user.role === 'doctor') {
-      // Doctors can approve/reject their own appointments
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (!doctor || doctor._id.toString() !== appointment.doctor_id.toString()) {
-        return res.status(403).json({ error: 'Access denied' });
+    if (!(await canAccess(req, 'appointment:update', appointment))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { status, status_reason, ...updates } = req.body;
+    const update = { $set: updates };
+    const changesStatus = status !== undefined && status !== appointment.status;
+
+    if (changesStatus) {
+      const denied = checkTransition(appointment.status, status, req.user);
+      if (denied) {
+        return next(denied);
       }
-    } else if (req.user.role === 'nurse') {
-      // Nurses can update appointments to record vitals and approve/reject
-      // They can work with any appointment in the system
-      // No additional permission check needed
-    } else if (req.user.role === 'admin') {
-      // Admins can update any appointment
-      // No additional permission check needed
-    } else if (req.user._id.toString() !== appointment.patient_id.toString()) {
-      // Patients can only update their own appointments
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
-    const updatedAppointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('hospital_id')
-      .populate('department_id');
+
+      update.$set.status = status;
+      update.$push = {
+        status_history: {
+          from_status: appointment.status,
+          to_status: status,
+          changed_by: req.user._id,
+          role: req.user.role,
+          reason: status_reason || (status === 'rejected' ? updates.rejection_reason : undefined),
+          changed_at: new Date(),
+        },
+      };
+    }
+
+    // Matching on the status we validated against guards against a concurrent transition
+    const updatedAppointment = await populateView(
+      Appointment.findOneAndUpdate(
+        { _id: req.params.id, status: appointment.status },
+        update,
+        { new: true, runValidators: true }
+      ),
+      view
+    );
+
+    if (!updatedAppointment) {
+      return next(new ConflictError('Appointment status was changed by someone else, please reload and retry'));
+    }
 
     // Create notification for patient
-    if (req.body.status === 'approved' || req.body.status === 'rejected') {
+    if (changesStatus && (status === 'approved' || status === 'rejected')) {
       await Notification.create({
         user_id: appointment.patient_id,
-        title: `Appointment ${req.body.status}`,
-        message: `Your appointment has been ${req.body.status}`,
+        title: `Appointment ${status}`,
+        message: `Your appointment has been ${status}`,
         type: 'appointment',
         reference_id: appointment._id,
       });
     }
 
-    res.json(updatedAppointment);
+    // A cancelled or rejected booking frees its slot for the waitlist
+    if (changesStatus && (status === 'cancelled' || status === 'rejected')) {
+      await offerFreedSlot(appointment);
+    }
+
+    res.json(pickFields(updatedAppointment, view));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @openapi
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Move an appointment to a new slot
+ *     description: |
+ *       Books the new slot as a new appointment linked to the original through
+ *       rescheduled_from/rescheduled_to and marks the original as rescheduled.
+ *       Patients may reschedule a limited number of times and not within the
+ *       cutoff window before the appointment; their rescheduled bookings go back
+ *       to pending. Patient and doctor are both notified.
+ *     tags:
+ *       - Appointments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Appointment ID
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AppointmentRescheduleRequest'
+ *     responses:
+ *       201:
+ *         description: The new appointment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation failed, invalid date/time or slot outside the doctor's schedule
+ *       403:
+ *         description: Access denied or reschedule limit reached
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment cannot be rescheduled or the slot is taken
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reschedule', authenticate, validate(appointmentReschedule), async (req, res, next) => {
+  try {
+    const view = parseView(req, APPOINTMENT_VIEW);
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return next(new NotFoundError('Appointment not found'));
+    }
+
+    const doctor = await Doctor.findById(appointment.doctor_id);
+    const isPatient = req.user.role === 'patient';
+
+    if (!(await canAccess(req, 'appointment:reschedule', appointment))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+      return next(new ConflictError(`A ${appointment.status} appointment cannot be rescheduled`));
+    }
+
+    if (isPatient) {
+      if (appointment.reschedule_count >= MAX_PATIENT_RESCHEDULES) {
+        return next(new ForbiddenError(`Appointments can be rescheduled at most ${MAX_PATIENT_RESCHEDULES} time(s); please contact the clinic`));
+      }
+      const hoursUntil = (getAppointmentStart(appointment) - Date.now()) / (60 * 60 * 1000);
+      if (hoursUntil < RESCHEDULE_CUTOFF_HOURS) {
+        return next(new ForbiddenError(`Appointments cannot be rescheduled less than ${RESCHEDULE_CUTOFF_HOURS} hour(s) before they start`));
+      }
+    }
+
+    const appointmentDate = parseDate(req.body.appointment_date);
+    const appointmentTime = normalizeTime(req.body.appointment_time);
+    if (!appointmentDate || !appointmentTime) {
+      return next(new BadRequestError('A valid appointment_date and appointment_time (HH:MM:SS) are required'));
+    }
+    if (appointmentDate.getTime() === appointment.appointment_date.getTime() && appointmentTime === appointment.appointment_time) {
+      return next(new BadRequestError('The appointment is already booked for this slot'));
+    }
+
+    const scheduledSlots = await getScheduledSlots(appointment.doctor_id, appointmentDate, {
+      hospitalId: appointment.hospital_id,
+    });
+    if (!scheduledSlots.includes(appointmentTime)) {
+      return next(new BadRequestError('The requested time is outside the doctor\'s schedule'));
+    }
+
+    const taken = await Appointment.exists({
+      doctor_id: appointment.doctor_id,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    const heldSlots = await getHeldSlots(appointment.doctor_id, appointmentDate);
+    if (taken || heldSlots.includes(appointmentTime)) {
+      return next(new ConflictError('This time slot is already booked', { code: 'slot_taken' }));
+    }
+
+    // Patient-initiated moves need the doctor's approval again
+    const newStatus = isPatient ? 'pending' : appointment.status;
+    const reason = req.body.reason;
+    const rescheduled = new Appointment({
+      patient_id: appointment.patient_id,
+      doctor_id: appointment.doctor_id,
+      hospital_id: appointment.hospital_id,
+      department_id: appointment.department_id,
+      appointment_date: appointmentDate,
+      appointment_time: appointmentTime,
+      status: newStatus,
+      reason: appointment.reason,
+      rescheduled_from: appointment._id,
+      reschedule_count: appointment.reschedule_count + 1,
+      status_history: [{
+        to_status: newStatus,
+        changed_by: req.user._id,
+        role: req.user.role,
+        reason: reason || `Rescheduled from appointment ${appointment._id}`,
+      }],
+    });
+    await rescheduled.save();
+
+    const original = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: appointment.status },
+      {
+        $set: { status: 'rescheduled', rescheduled_to: rescheduled._id },
+        $push: {
+          status_history: {
+            from_status: appointment.status,
+            to_status: 'rescheduled',
+            changed_by: req.user._id,
+            role: req.user.role,
+            reason,
+            changed_at: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!original) {
+      // The original changed underneath us; give the new slot back
+      await rescheduled.deleteOne();
+      return next(new ConflictError('Appointment status was changed by someone else, please reload and retry'));
+    }
+
+    await offerFreedSlot(appointment);
+
+    const when = `${appointmentDate.toISOString().slice(0, 10)} at ${appointmentTime}`;
+    const notifications = [{
+      user_id: appointment.patient_id,
+      title: 'Appointment Rescheduled',
+      message: `Your appointment has been moved to ${when}`,
+      type: 'appointment',
+      reference_id: rescheduled._id,
+    }];
+    if (doctor) {
+      notifications.push({
+        user_id: doctor.user_id,
+        title: 'Appointment Rescheduled',
+        message: `An appointment has been moved to ${when}`,
+        type: 'appointment',
+        reference_id: rescheduled._id,
+      });
+    }
+    await Notification.insertMany(notifications);
+
+    await populateView(rescheduled, view);
+
+    res.status(201).json(pickFields(rescheduled, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (error.code === 11000) {
+      return next(new ConflictError('This time slot is already booked', { code: 'slot_taken' }));
+    }
+    next(error);
   }
 });
 
@@ -351,6 +790,12 @@ router.put('/:id', authenticate, async (req, res) => {
  * /api/appointments/available/{doctorId}/{date}:
  *   get:
  *     summary: Get available time slots for a doctor on a date
+ *     description: |
+ *       Slots come from the doctor's weekly schedule, minus breaks, leave/holiday exceptions,
+ *       slots that have already started, existing bookings and slots held for waitlisted
+ *       patients. Without hospital_id they cover all the doctor's hospitals, and booking
+ *       one without hospital_id places it at the hospital offering it. When nothing is free,
+ *       patients can join the waitlist via POST /api/waitlist.
  *     tags:
  *       - Appointments
  *     security:
@@ -369,6 +814,12 @@ router.put('/:id', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *           format: date
+ *       - name: hospitalId
+ *         in: query
+ *         required: false
+ *         description: Only consider the doctor's schedule at this hospital
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Array of available time slot strings (HH:MM:SS)
@@ -378,33 +829,40 @@ router.put('/:id', authenticate, async (req, res) => {
  *               type: array
  *               items:
  *                 type: string
+ *       400:
+ *         description: Invalid date
  *       500:
  *         description: Server error
  */
-router.get('/available/:doctorId/:date', authenticate, async (req, res) => {
+router.get('/available/:doctorId/:date', authenticate, async (req, res, next) => {
   try {
-    const { doctorId, date } = req.params;
+    const { doctorId } = req.params;
+    const date = parseDate(req.params.date);
+    if (!date) {
+      return next(new BadRequestError('Invalid date'));
+    }
+
+    // Slots that have already started are no longer offered
+    const now = new Date();
+    const scheduledSlots = (await getScheduledSlots(doctorId, date, { hospitalId: req.query.hospitalId }))
+      .filter(slot => getAppointmentStart({ appointment_date: date, appointment_time: slot }) > now);
+    if (scheduledSlots.length === 0) {
+      return res.json([]);
+    }
+
     const appointments = await Appointment.find({
       doctor_id: doctorId,
-      appointment_date: new Date(date),
+      appointment_date: date,
       status: { $in: ['pending', 'approved'] },
     }).select('appointment_time');
 
-    const bookedSlots = appointments.map(a => a.appointment_time);
-    
-    // Generate all possible slots (8 AM to 6 PM, 10-minute intervals)
-    const allSlots = [];
-    for (let hour = 8; hour < 18; hour++) {
-      for (let minute = 0; minute < 60; minute += 10) {
-        const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00`;
-        allSlots.push(timeStr);
-      }
-    }
+    const heldSlots = await getHeldSlots(doctorId, date);
 
-    const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
+    const bookedSlots = appointments.map(a => a.appointment_time).concat(heldSlots);
+    const availableSlots = scheduledSlots.filter(slot => !bookedSlots.includes(slot));
     res.json(availableSlots);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
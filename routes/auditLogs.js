@@ -0,0 +1,245 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+// Filters and sort orders of GET /api/audit-logs
+const AUDIT_LIST = {
+  filters: {
+    patientId: { field: 'patient_id' },
+    actorId: { field: 'actor_id' },
+    resourceType: { field: 'resource_type', text: true },
+    resourceId: { field: 'resource_id' },
+    action: { field: 'action', enum: AuditLog.schema.path('action').enumValues },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+  },
+  defaultSort: '-createdAt',
+};
+
+// GET /api/audit-logs/my-records narrows by date and sorts, nothing more
+const RECORD_ACCESS_LIST = {
+  sortFields: AUDIT_LIST.sortFields,
+  defaultSort: AUDIT_LIST.defaultSort,
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: AuditLogs
+ *     description: Who read or changed patient health data
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         actor_id:
+ *           type: string
+ *         actor_role:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [read, create, update, delete]
+ *         resource_type:
+ *           type: string
+ *           enum: [consultation, prescription, lab_test_request, lab_test_result, vital, break_glass_access]
+ *         resource_id:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         break_glass_id:
+ *           type: string
+ *           description: Emergency access grant the record was opened through
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     RecordAccess:
+ *       type: object
+ *       properties:
+ *         actor_id:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             full_name:
+ *               type: string
+ *         actor_role:
+ *           type: string
+ *         action:
+ *           type: string
+ *         resource_type:
+ *           type: string
+ *         resource_id:
+ *           type: string
+ *         break_glass_id:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Query audit log (admin only)
+/**
+ * @openapi
+ * /api/audit-logs:
+ *   get:
+ *     summary: Query the audit log
+ *     tags:
+ *       - AuditLogs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: actorId
+ *         in: query
+ *         description: One or more actor profile IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: resourceType
+ *         in: query
+ *         description: One or more resource types, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: resourceId
+ *         in: query
+ *         description: One or more record IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: action
+ *         in: query
+ *         description: One or more of read, create, update, delete, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Page of matching entries, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, requirePermission('audit:read:any'), async (req, res, next) => {
+  try {
+    const list = await parseListQuery(req.query, AUDIT_LIST);
+    const page = await findPage(
+      AuditLog.find(list.filter)
+        .populate('actor_id', 'full_name email')
+        .populate('patient_id', 'full_name'),
+      list
+    );
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get who accessed own records
+/**
+ * @openapi
+ * /api/audit-logs/my-records:
+ *   get:
+ *     summary: See who read or changed your health records
+ *     description: Lists what other users did with the current user's records; own actions are left out.
+ *     tags:
+ *       - AuditLogs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Page of accesses to the user's records, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecordAccess'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/my-records', authenticate, requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const list = await parseListQuery(req.query, RECORD_ACCESS_LIST);
+    const ownRecords = {
+      patient_id: req.user._id,
+      actor_id: { $ne: req.user._id },
+    };
+    const page = await findPage(
+      AuditLog.find(withScope(ownRecords, list.filter))
+        .select('actor_id actor_role action resource_type resource_id break_glass_id createdAt')
+        .populate('actor_id', 'full_name'),
+      list
+    );
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,11 +1,80 @@
 import express from 'express';
+import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import Profile from '../models/Profile.js';
+import Notification from '../models/Notification.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  hashToken,
+  issueSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from '../utils/tokens.js';
+import { checkNewPassword, hashPassword } from '../utils/passwords.js';
+import { sendMail } from '../utils/mailer.js';
+import { getLoginChallenge, needsTwoFactorSetup } from '../utils/twoFactor.js';
+import {
+  LOGIN_LOCKOUT_MINUTES,
+  accountKey,
+  clearLoginFailures,
+  getLoginBlock,
+  ipKey,
+  recordLoginFailure,
+} from '../utils/loginThrottle.js';
+import { validate } from '../validation/validate.js';
+import { authRegister } from '../validation/schemas.js';
+import { AppError, BadRequestError, ForbiddenError, TooManyRequestsError, UnauthorizedError } from '../utils/errors.js';
 
 const router = express.Router();
 
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+
+// Tells the account owner their login was locked, in-app and by mail
+const notifyLockout = async (user, req) => {
+  const message = `Your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after repeated failed login attempts from ${req.ip}. `
+    + 'If this was not you, reset your password.';
+
+  await Notification.create({
+    user_id: user._id,
+    title: 'Account Temporarily Locked',
+    message,
+    type: 'security',
+  });
+  // The lockout stands and the login is answered even when the mail cannot go out
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your EasyHealth account was temporarily locked',
+      text: `Hello ${user.full_name},\n\n${message}\n`,
+    });
+  } catch (error) {
+    console.error(`Lockout mail to ${user.email} failed: ${error.message}`);
+  }
+};
+
+// 429 for a blocked login, worded by whether the account or the client IP tripped the limit
+const loginBlockedError = (block) => {
+  if (!block.locked) {
+    return new TooManyRequestsError('Too many failed login attempts, please wait before trying again', {
+      code: 'too_many_attempts',
+      retryAfter: block.retry_after,
+    });
+  }
+  if (block.key.startsWith('ip:')) {
+    return new TooManyRequestsError('Too many failed login attempts from this address, logins from it are temporarily blocked', {
+      code: 'ip_locked',
+      retryAfter: block.retry_after,
+    });
+  }
+  return new TooManyRequestsError('Too many failed login attempts, the account is temporarily locked', {
+    code: 'account_locked',
+    retryAfter: block.retry_after,
+  });
+};
+
 /**
  * @openapi
  * tags:
@@ -13,13 +82,11 @@ const router = express.Router();
  *     description: Authentication and session management
  * components:
  *   schemas:
- *     AuthRegisterRequest:
+ *     AuthLoginRequest:
  *       type: object
  *       required:
  *         - email
  *         - password
- *         - full_name
- *         - role
  *       properties:
  *         email:
  *           type: string
@@ -27,38 +94,70 @@ const router = express.Router();
  *         password:
  *           type: string
  *           format: password
- *         full_name:
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/Profile'
+ *         token:
  *           type: string
- *         role:
+ *           description: Short-lived JWT access token
+ *         refresh_token:
  *           type: string
- *           description: User role (e.g., admin, doctor, nurse, patient)
- *         phone:
+ *           description: Single-use token for POST /api/auth/refresh
+ *         expires_in:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *     AuthRefreshRequest:
+ *       type: object
+ *       required:
+ *         - refresh_token
+ *       properties:
+ *         refresh_token:
  *           type: string
- *         national_id:
+ *     ChangePasswordRequest:
+ *       type: object
+ *       required:
+ *         - current_password
+ *         - new_password
+ *       properties:
+ *         current_password:
  *           type: string
- *         insurance_id:
+ *           format: password
+ *         new_password:
  *           type: string
- *           description: Insurance policy identifier
- *     AuthLoginRequest:
+ *           format: password
+ *           minLength: 8
+ *     ForgotPasswordRequest:
  *       type: object
  *       required:
  *         - email
- *         - password
  *       properties:
  *         email:
  *           type: string
  *           format: email
- *         password:
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - new_password
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token from the password reset mail
+ *         new_password:
  *           type: string
  *           format: password
- *     AuthResponse:
+ *           minLength: 8
+ *     AuthTokenResponse:
  *       type: object
  *       properties:
- *         user:
- *           $ref: '#/components/schemas/Profile'
  *         token:
  *           type: string
- *           description: JWT access token
+ *         refresh_token:
+ *           type: string
+ *         expires_in:
+ *           type: integer
  */
 
 // Register
@@ -66,7 +165,7 @@ const router = express.Router();
  * @openapi
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new patient account
  *     tags:
  *       - Auth
  *     requestBody:
@@ -77,36 +176,46 @@ const router = express.Router();
  *             $ref: '#/components/schemas/AuthRegisterRequest'
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created successfully (with mfa_setup_required and mfa_token instead of tokens if patients must use 2FA)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: User already exists or invalid payload
+ *         description: User already exists, invalid payload or password too weak
+ *       403:
+ *         description: A staff role was requested
  *       500:
  *         description: Server error
  */
-router.post('/register', async (req, res) => {
+router.post('/register', validate(authRegister), async (req, res, next) => {
   try {
     const { email, password, full_name, role, phone, national_id, insurance_id } = req.body;
 
+    if (role !== undefined && role !== 'patient') {
+      return next(new ForbiddenError('Public registration is only available for patients; staff accounts are created by invitation'));
+    }
+
+    const weak = checkNewPassword(password);
+    if (weak) {
+      return next(new BadRequestError(weak));
+    }
+
     // Check if user exists
     const existingUser = await Profile.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+      return next(new BadRequestError('User already exists'));
     }
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const user = new Profile({
       email,
       password: hashedPassword,
       full_name,
-      role,
+      role: 'patient',
       phone,
       national_id,
       insurance_id,
@@ -114,18 +223,18 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    // Roles that require 2FA must enroll before getting a session
+    const tokens = await getLoginChallenge(user) || await issueSession(user, req);
 
     const userObj = user.toObject();
     delete userObj.password;
 
     res.status(201).json({
       user: userObj,
-      token,
+      ...tokens,
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -135,6 +244,9 @@ router.post('/register', async (req, res) => {
  * /api/auth/login:
  *   post:
  *     summary: Authenticate a user and return a token
+ *     description: |
+ *       Accounts with two-factor authentication, or whose role requires it, get an
+ *       MfaChallenge instead of tokens and finish through /api/auth/2fa.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -145,60 +257,346 @@ router.post('/register', async (req, res) => {
  *             $ref: '#/components/schemas/AuthLoginRequest'
  *     responses:
  *       200:
- *         description: Authentication successful
+ *         description: Authentication successful, or a second factor is needed
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallenge'
  *       400:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts for this account or IP; see the Retry-After header
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
  *       500:
  *         description: Server error
  */
-router.post('/login', async (req, res) => {
+router.post('/login', async (req, res, next) => {
   try {
-    console.log('Login attempt - Body:', JSON.stringify(req.body));
     const { email, password } = req.body;
 
     // Validate input
     if (!email || !password) {
-      console.log('Login failed: Missing email or password');
-      return res.status(400).json({ error: 'Email and password are required' });
+      return next(new BadRequestError('Email and password are required'));
     }
 
-    // Check if user exists
-    const user = await Profile.findOne({ email: email.toLowerCase().trim() });
-    if (!user) {
-      console.log('Login failed: User not found for email:', email);
-      return res.status(400).json({ error: 'Invalid email or password' });
+    const normalizedEmail = String(email).toLowerCase().trim();
+    const throttleKeys = [ipKey(req.ip), accountKey(normalizedEmail)];
+
+    const block = await getLoginBlock(throttleKeys);
+    if (block) {
+      return next(loginBlockedError(block));
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Check if user exists and the password matches
+    const user = await Profile.findOne({ email: normalizedEmail });
+    const isMatch = user ? await bcrypt.compare(String(password), user.password) : false;
     if (!isMatch) {
-      console.log('Login failed: Password mismatch for email:', email);
-      return res.status(400).json({ error: 'Invalid email or password' });
+      const [, accountLocked] = await Promise.all(throttleKeys.map(recordLoginFailure));
+      if (accountLocked) {
+        console.warn(`Login locked for ${normalizedEmail} after repeated failures from ${req.ip}`);
+        if (user) {
+          await notifyLockout(user, req);
+        }
+      }
+      return next(new BadRequestError('Invalid email or password'));
     }
 
-    console.log('Login successful for user:', email);
-
     // Generate token
     if (!process.env.JWT_SECRET) {
-      return res.status(500).json({ error: 'Server configuration error' });
+      return next(new AppError('Server configuration error'));
+    }
+
+    await clearLoginFailures([accountKey(normalizedEmail)]);
+
+    // Staff with 2FA get a partial token until they enter a code
+    const challenge = await getLoginChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+    const tokens = await issueSession(user, req);
 
     const userObj = user.toObject();
     delete userObj.password;
 
     res.json({
       user: userObj,
-      token,
+      ...tokens,
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    next(error);
+  }
+});
+
+// Refresh tokens
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens are single use. Presenting one that was already used
+ *       revokes every token of that session.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AuthRefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokenResponse'
+ *       401:
+ *         description: Refresh token invalid, expired or revoked, or the role now requires 2FA and the user has not set it up (mfa_setup_required)
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const session = await rotateRefreshToken(req.body.refresh_token, req);
+    if (!session) {
+      return next(new UnauthorizedError('Invalid or expired refresh token'));
+    }
+
+    const { user, family_id: familyId, ...tokens } = session;
+    // Sessions opened before the role's 2FA policy was switched on end here
+    if (await needsTwoFactorSetup(user)) {
+      await revokeSession(familyId, 'mfa_required');
+      return next(new UnauthorizedError('Two-factor authentication is required for your role; log in again to set it up', { code: 'mfa_setup_required' }));
+    }
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the current session
+ *     description: Revokes the refresh token family of the access token used for this request.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout everywhere
+/**
+ * @openapi
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: End all sessions of the authenticated user
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', authenticate, async (req, res, next) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', sessions_revoked: result.modifiedCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change password
+/**
+ * @openapi
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the authenticated user's password
+ *     description: All other sessions of the user are logged out.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password wrong or new password too weak
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/change-password', authenticate, async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const user = await Profile.findById(req.user._id);
+    const isMatch = typeof current_password === 'string' && await bcrypt.compare(current_password, user.password);
+    if (!isMatch) {
+      return next(new BadRequestError('Current password is incorrect'));
+    }
+
+    const weak = checkNewPassword(new_password);
+    if (weak) {
+      return next(new BadRequestError(weak));
+    }
+
+    user.password = await hashPassword(new_password);
+    await user.save();
+    await revokeOtherSessions(user._id, req.sessionId, 'password_change');
+
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Forgot password
+/**
+ * @openapi
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by mail
+ *     description: Always answers the same way so it cannot be used to probe which emails are registered.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset mail sent if the account exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    const user = email ? await Profile.findOne({ email }) : null;
+
+    if (user) {
+      // Only the most recent link stays valid
+      await PasswordResetToken.updateMany({ user_id: user._id, used_at: null }, { used_at: new Date() });
+
+      const token = crypto.randomBytes(32).toString('hex');
+      await PasswordResetToken.create({
+        user_id: user._id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        requested_ip: req.ip,
+      });
+
+      const appUrl = process.env.APP_URL || 'http://localhost:3000';
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your EasyHealth password',
+        text: `Hello ${user.full_name},\n\n`
+          + `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n`
+          + `${appUrl}/reset-password?token=${token}\n\n`
+          + 'If you did not ask for this, you can ignore this email.',
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset password
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token is single use. All sessions of the user are logged out.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Token invalid, used or expired, or new password too weak
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, new_password } = req.body;
+
+    const weak = checkNewPassword(new_password);
+    if (weak) {
+      return next(new BadRequestError(weak));
+    }
+
+    // Marking the token used in the same step makes it single use under concurrency
+    const resetToken = typeof token === 'string' && await PasswordResetToken.findOneAndUpdate(
+      { token_hash: hashToken(token), used_at: null, expires_at: { $gt: new Date() } },
+      { used_at: new Date() }
+    );
+    if (!resetToken) {
+      return next(new BadRequestError('Invalid or expired reset token'));
+    }
+
+    const user = await Profile.findById(resetToken.user_id);
+    if (!user) {
+      return next(new BadRequestError('Invalid or expired reset token'));
+    }
+
+    user.password = await hashPassword(new_password);
+    await user.save();
+    await revokeAllSessions(user._id, 'password_change');
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -224,13 +622,13 @@ router.post('/login', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/me', authenticate, async (req, res) => {
+router.get('/me', authenticate, async (req, res, next) => {
   try {
     const userObj = req.user.toObject();
     delete userObj.password;
     res.json(userObj);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
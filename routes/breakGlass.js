@@ -0,0 +1,232 @@
+import express from 'express';
+import BreakGlassAccess from '../models/BreakGlassAccess.js';
+import Profile from '../models/Profile.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { BREAK_GLASS_MINUTES } from '../utils/careAccess.js';
+import { audit } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { breakGlassCreate } from '../validation/schemas.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: BreakGlass
+ *     description: Logged emergency access to clinical records
+ * components:
+ *   schemas:
+ *     BreakGlassAccess:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user_id:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         ip:
+ *           type: string
+ *         accesses:
+ *           type: array
+ *           description: Every record read under this grant
+ *           items:
+ *             type: object
+ *             properties:
+ *               resource:
+ *                 type: string
+ *                 example: consultation
+ *               record_id:
+ *                 type: string
+ *               accessed_at:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Open emergency access to a patient's records
+/**
+ * @openapi
+ * /api/break-glass:
+ *   post:
+ *     summary: Open emergency access to a patient's clinical records
+ *     description: |
+ *       Grants read access to the patient's consultations, lab requests and results
+ *       and vitals for BREAK_GLASS_MINUTES (default 60), outside any care relationship.
+ *       The grant and every record read under it are kept for review.
+ *     tags:
+ *       - BreakGlass
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BreakGlassRequest'
+ *     responses:
+ *       201:
+ *         description: Access granted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BreakGlassAccess'
+ *       400:
+ *         description: Missing patient or reason too short
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Patient not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, requirePermission('clinical:break_glass'), validate(breakGlassCreate), async (req, res, next) => {
+  try {
+    const { patient_id, reason } = req.body;
+
+    if (!(await Profile.exists({ _id: patient_id, role: 'patient' }))) {
+      return next(new NotFoundError('Patient not found'));
+    }
+
+    const grant = await BreakGlassAccess.create({
+      user_id: req.user._id,
+      patient_id,
+      reason,
+      expires_at: new Date(Date.now() + BREAK_GLASS_MINUTES * 60 * 1000),
+      ip: req.ip,
+    });
+
+    console.warn(`Break-glass access to patient ${patient_id} by ${req.user.email} (${req.user.role}): ${reason}`);
+    await audit(req, 'create', 'break_glass_access', grant, {
+      changes: [{ field: 'reason', before: null, after: reason }],
+    });
+
+    res.status(201).json(grant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get own emergency access grants
+/**
+ * @openapi
+ * /api/break-glass/mine:
+ *   get:
+ *     summary: List the current user's emergency access grants
+ *     tags:
+ *       - BreakGlass
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: active
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *         description: Only grants that have not expired
+ *     responses:
+ *       200:
+ *         description: Array of grants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BreakGlassAccess'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/mine', authenticate, requirePermission('clinical:break_glass'), async (req, res, next) => {
+  try {
+    const query = { user_id: req.user._id };
+    if (req.query.active === 'true') {
+      query.expires_at = { $gt: new Date() };
+    }
+
+    const grants = await BreakGlassAccess.find(query)
+      .populate('patient_id', 'full_name')
+      .sort({ createdAt: -1 });
+
+    res.json(grants);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Review emergency access (admin only)
+/**
+ * @openapi
+ * /api/break-glass:
+ *   get:
+ *     summary: Review emergency access grants
+ *     tags:
+ *       - BreakGlass
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: patientId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: active
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Array of grants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BreakGlassAccess'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, requirePermission('breakglass:review'), async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.userId) {
+      query.user_id = req.query.userId;
+    }
+    if (req.query.patientId) {
+      query.patient_id = req.query.patientId;
+    }
+    if (req.query.active === 'true') {
+      query.expires_at = { $gt: new Date() };
+    }
+
+    const grants = await BreakGlassAccess.find(query)
+      .populate('user_id', 'full_name email role')
+      .populate('patient_id', 'full_name')
+      .sort({ createdAt: -1 });
+
+    res.json(grants);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
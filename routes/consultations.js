@@ -1,11 +1,32 @@
 import express from 'express';
 import Consultation from '../models/Consultation.js';
 import Appointment from '../models/Appointment.js';
-import Doctor from '../models/Doctor.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, canAccess, ownsRecord, requirePermission } from '../middleware/auth.js';
+import { canReadClinical, clinicalListScope } from '../utils/careAccess.js';
+import { audit, diffFields } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { consultationCreate, consultationUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { parseView, pickFields, populateView, selectView } from '../utils/expand.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { CONSULTATION_VIEW } from '../utils/views.js';
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/consultations
+const CONSULTATION_LIST = {
+  filters: {
+    doctorId: { field: 'doctor_id' },
+    patientId: { field: 'patient_id' },
+  },
+  dateField: 'consultation_date',
+  sortFields: {
+    consultation_date: ['consultation_date'],
+    createdAt: ['createdAt'],
+  },
+  defaultSort: '-consultation_date',
+};
+
 /**
  * @openapi
  * tags:
@@ -41,24 +62,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     ConsultationRequest:
- *       type: object
- *       required:
- *         - appointment_id
- *       properties:
- *         appointment_id:
- *           type: string
- *         diagnosis:
- *           type: string
- *         notes:
- *           type: string
- *         requires_lab_test:
- *           type: boolean
- *         requires_prescription:
- *           type: boolean
- *         consultation_date:
- *           type: string
- *           format: date-time
  */
 
 // Get consultations
@@ -67,52 +70,69 @@ const router = express.Router();
  * /api/consultations:
  *   get:
  *     summary: List consultations for the authenticated user
+ *     description: One page of the user's own consultations and those of patients under their care.
  *     tags:
  *       - Consultations
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/DoctorId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [consultation_date, -consultation_date, createdAt, -createdAt]
+ *           default: -consultation_date
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
- *         description: Array of consultations
+ *         description: Page of consultations; from and to apply to consultation_date
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Consultation'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Consultation'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters, fields or expand parameter
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'doctor') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        query.doctor_id = doctor._id;
-      } else {
-        return res.json([]);
-      }
+    // Own consultations, plus those of patients under the user's care
+    const scope = await clinicalListScope(req, 'consultation:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    const consultations = await Consultation.find(query)
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('appointment_id')
-      .sort({ consultation_date: -1 });
+    const list = await parseListQuery(req.query, CONSULTATION_LIST);
+    const view = parseView(req, CONSULTATION_VIEW);
+    const page = await findPage(
+      populateView(selectView(Consultation.find(withScope(scope, list.filter)), view), view),
+      list
+    );
 
-    res.json(consultations);
+    await audit(req, 'read', 'consultation', page.data);
+    res.json({ ...page, data: pickFields(page.data, view) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -133,6 +153,8 @@ router.get('/', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Consultation ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Consultation details
@@ -140,31 +162,34 @@ router.get('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Consultation'
+ *       400:
+ *         description: Invalid fields or expand parameter
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Consultation not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
-    const consultation = await Consultation.findById(req.params.id)
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('appointment_id');
+    const view = parseView(req, CONSULTATION_VIEW);
+    const consultation = await populateView(Consultation.findById(req.params.id), view);
 
     if (!consultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+      return next(new NotFoundError('Consultation not found'));
+    }
+
+    if (!(await canReadClinical(req, 'consultation:read', consultation, { resource: 'consultation' }))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    res.json(consultation);
+    await audit(req, 'read', 'consultation', consultation);
+    res.json(pickFields(consultation, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -185,6 +210,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Appointment ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Consultation details
@@ -192,31 +219,34 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Consultation'
+ *       400:
+ *         description: Invalid fields or expand parameter
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Consultation not found
  *       500:
  *         description: Server error
  */
-router.get('/appointment/:appointmentId', authenticate, async (req, res) => {
+router.get('/appointment/:appointmentId', authenticate, async (req, res, next) => {
   try {
-    const consultation = await Consultation.findOne({ appointment_id: req.params.appointmentId })
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('appointment_id');
+    const view = parseView(req, CONSULTATION_VIEW);
+    const consultation = await populateView(Consultation.findOne({ appointment_id: req.params.appointmentId }), view);
 
     if (!consultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+      return next(new NotFoundError('Consultation not found'));
+    }
+
+    if (!(await canReadClinical(req, 'consultation:read', consultation, { resource: 'consultation' }))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    res.json(consultation);
+    await audit(req, 'read', 'consultation', consultation);
+    res.json(pickFields(consultation, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -230,6 +260,9 @@ router.get('/appointment/:appointmentId', authenticate, async (req, res) => {
  *       - Consultations
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
@@ -243,6 +276,8 @@ router.get('/appointment/:appointmentId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Consultation'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -252,20 +287,17 @@ router.get('/appointment/:appointmentId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('consultation:create'), validate(consultationCreate), async (req, res, next) => {
   try {
-    if (req.user.role !== 'doctor') {
-      return res.status(403).json({ error: 'Only doctors can create consultations' });
-    }
-
+    const view = parseView(req, CONSULTATION_VIEW);
     const appointment = await Appointment.findById(req.body.appointment_id);
     if (!appointment) {
-      return res.status(404).json({ error: 'Appointment not found' });
+      return next(new NotFoundError('Appointment not found'));
     }
 
-    const doctor = await Doctor.findOne({ user_id: req.user._id });
-    if (!doctor || doctor._id.toString() !== appointment.doctor_id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Consultations are recorded by the doctor the appointment is with
+    if (!(await ownsRecord(req, appointment))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     const consultation = new Consultation({
@@ -274,17 +306,12 @@ router.post('/', authenticate, async (req, res) => {
       doctor_id: appointment.doctor_id,
     });
     await consultation.save();
-    await consultation.populate('patient_id', 'full_name phone national_id');
-    await consultation.populate('doctor_id');
-    await consultation.populate({
-      path: 'doctor_id',
-      populate: { path: 'user_id', select: 'full_name' }
-    });
-    await consultation.populate('appointment_id');
+    await populateView(consultation, view);
 
-    res.status(201).json(consultation);
+    await audit(req, 'create', 'consultation', consultation, { changes: diffFields(null, consultation) });
+    res.status(201).json(pickFields(consultation, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -305,12 +332,14 @@ router.post('/', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Consultation ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ConsultationRequest'
+ *             $ref: '#/components/schemas/ConsultationUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated consultation
@@ -318,6 +347,8 @@ router.post('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Consultation'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -327,36 +358,31 @@ router.post('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(consultationUpdate), async (req, res, next) => {
   try {
+    const view = parseView(req, CONSULTATION_VIEW);
     const consultation = await Consultation.findById(req.params.id);
     if (!consultation) {
-      return res.status(404).json({ error: 'Consultation not found' });
+      return next(new NotFoundError('Consultation not found'));
     }
 
-    if (req.user.role === 'doctor') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (!doctor || doctor._id.toString() !== consultation.doctor_id.toString()) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (!(await canAccess(req, 'consultation:update', consultation))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    const updatedConsultation = await Consultation.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate('patient_id', 'full_name phone national_id')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('appointment_id');
+    const updatedConsultation = await populateView(
+      Consultation.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        { new: true, runValidators: true }
+      ),
+      view
+    );
 
-    res.json(updatedConsultation);
+    await audit(req, 'update', 'consultation', updatedConsultation, { changes: diffFields(consultation, updatedConsultation) });
+    res.json(pickFields(updatedConsultation, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,209 @@
+import express from 'express';
+import ControlledDrugEntry from '../models/ControlledDrugEntry.js';
+import { authenticate, listScope } from '../middleware/auth.js';
+import { audit } from '../utils/audit.js';
+import { ForbiddenError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+// Filters and sort orders of GET /api/controlled-register
+const REGISTER_LIST = {
+  filters: {
+    pharmacyId: { field: 'pharmacy_id' },
+    medicationId: { field: 'medication_id' },
+    type: { field: 'type', enum: ControlledDrugEntry.schema.path('type').enumValues },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+  },
+  defaultSort: '-createdAt',
+};
+
+const REGISTER_POPULATE = [
+  { path: 'pharmacy_id', select: 'name location' },
+  { path: 'medication_id', select: 'name controlled_schedule' },
+  { path: 'patient_id', select: 'full_name national_id' },
+  { path: 'doctor_id', populate: { path: 'user_id', select: 'full_name' } },
+  { path: 'recorded_by', select: 'full_name' },
+];
+
+const CSV_COLUMNS = [
+  ['date', entry => entry.createdAt?.toISOString()],
+  ['pharmacy', entry => entry.pharmacy_id?.name],
+  ['medication', entry => entry.medication_id?.name],
+  ['schedule', entry => entry.schedule],
+  ['type', entry => entry.type],
+  ['quantity', entry => entry.quantity],
+  ['balance', entry => entry.balance],
+  ['patient', entry => entry.patient_id?.full_name],
+  ['patient_national_id', entry => entry.patient_id?.national_id],
+  ['prescriber', entry => entry.doctor_id?.user_id?.full_name],
+  ['prescription_id', entry => entry.prescription_id],
+  ['recorded_by', entry => entry.recorded_by?.full_name],
+  ['notes', entry => entry.notes],
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(([, value]) => csvCell(value(entry))).join(',')),
+].join('\r\n');
+
+/**
+ * @openapi
+ * tags:
+ *   - name: ControlledRegister
+ *     description: The controlled drug register kept by each pharmacy
+ * components:
+ *   schemas:
+ *     ControlledDrugEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         pharmacy_id:
+ *           type: string
+ *         medication_id:
+ *           type: string
+ *         schedule:
+ *           type: string
+ *           description: The medication's schedule when the entry was made
+ *         type:
+ *           type: string
+ *           enum: [receipt, dispense, adjustment]
+ *         quantity:
+ *           type: integer
+ *           description: Change to the pharmacy's stock, negative for dispenses and write-offs
+ *         balance:
+ *           type: integer
+ *           description: Stock at the pharmacy after the change
+ *         prescription_id:
+ *           type: string
+ *           nullable: true
+ *         pharmacy_request_id:
+ *           type: string
+ *           nullable: true
+ *         dispensing_id:
+ *           type: string
+ *           nullable: true
+ *         patient_id:
+ *           type: string
+ *           nullable: true
+ *         doctor_id:
+ *           type: string
+ *           nullable: true
+ *           description: The prescribing doctor
+ *         recorded_by:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get register entries
+/**
+ * @openapi
+ * /api/controlled-register:
+ *   get:
+ *     summary: List or export controlled drug register entries
+ *     description: |
+ *       Every stock change of a controlled substance at the user's pharmacies
+ *       (every pharmacy for administrators), with the balance it left.
+ *       format=csv exports every matching entry, without pagination, for
+ *       inspection.
+ *     tags:
+ *       - ControlledRegister
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: pharmacyId
+ *         in: query
+ *         description: One or more pharmacy IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: medicationId
+ *         in: query
+ *         description: One or more medication IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: type
+ *         in: query
+ *         description: One or more entry types, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Page of register entries, or the CSV export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ControlledDrugEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const scope = await listScope(req, 'controlledregister:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const list = await parseListQuery(req.query, REGISTER_LIST);
+    const query = ControlledDrugEntry.find(withScope(scope, list.filter)).populate(REGISTER_POPULATE);
+
+    if (req.query.format === 'csv') {
+      const entries = await query.sort(list.sort);
+      await audit(req, 'read', 'controlled_drug_entry', entries.filter(entry => entry.patient_id));
+      res.attachment(`controlled-register-${new Date().toISOString().slice(0, 10)}.csv`);
+      res.type('text/csv');
+      return res.send(toCsv(entries));
+    }
+
+    const page = await findPage(query, list);
+    await audit(req, 'read', 'controlled_drug_entry', page.data.filter(entry => entry.patient_id));
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
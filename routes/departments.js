@@ -1,6 +1,9 @@
 import express from 'express';
 import Department from '../models/Department.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { departmentCreate, departmentUpdate } from '../validation/schemas.js';
+import { NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -26,15 +29,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     DepartmentRequest:
- *       type: object
- *       required:
- *         - name
- *       properties:
- *         name:
- *           type: string
- *         description:
- *           type: string
  */
 
 // Get all departments
@@ -61,12 +55,12 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const departments = await Department.find().sort({ name: 1 });
     res.json(departments);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -101,15 +95,15 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const department = await Department.findById(req.params.id);
     if (!department) {
-      return res.status(404).json({ error: 'Department not found' });
+      return next(new NotFoundError('Department not found'));
     }
     res.json(department);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -136,6 +130,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Department'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -143,13 +139,13 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('department:manage'), validate(departmentCreate), async (req, res, next) => {
   try {
     const department = new Department(req.body);
     await department.save();
     res.status(201).json(department);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -175,7 +171,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/DepartmentRequest'
+ *             $ref: '#/components/schemas/DepartmentUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated department
@@ -183,6 +179,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Department'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -192,7 +190,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('department:manage'), validate(departmentUpdate), async (req, res, next) => {
   try {
     const department = await Department.findByIdAndUpdate(
       req.params.id,
@@ -200,11 +198,11 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       { new: true, runValidators: true }
     );
     if (!department) {
-      return res.status(404).json({ error: 'Department not found' });
+      return next(new NotFoundError('Department not found'));
     }
     res.json(department);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -237,15 +235,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('department:manage'), async (req, res, next) => {
   try {
     const department = await Department.findByIdAndDelete(req.params.id);
     if (!department) {
-      return res.status(404).json({ error: 'Department not found' });
+      return next(new NotFoundError('Department not found'));
     }
     res.json({ message: 'Department deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
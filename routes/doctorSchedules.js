@@ -0,0 +1,480 @@
+import express from 'express';
+import DoctorSchedule from '../models/DoctorSchedule.js';
+import ScheduleException from '../models/ScheduleException.js';
+import Doctor from '../models/Doctor.js';
+import Hospital from '../models/Hospital.js';
+import HospitalDepartment from '../models/HospitalDepartment.js';
+import { authenticate, can, canAny, ownsRecord } from '../middleware/auth.js';
+import { normalizeTime, parseDate, toMinutes, validateWeeklyHours } from '../utils/schedule.js';
+import { validate } from '../validation/validate.js';
+import { scheduleException, doctorSchedule } from '../validation/schemas.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// schedule:manage:any covers every schedule and hospital-wide or global
+// exceptions, schedule:manage only the doctor's own
+const canManageDoctor = async (req, doctorId) => {
+  if (canAny(req.user, 'schedule:manage')) {
+    return true;
+  }
+  if (!doctorId || !can(req.user, 'schedule:manage')) {
+    return false;
+  }
+  return ownsRecord(req, { doctor_id: doctorId });
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: DoctorSchedules
+ *     description: Manage doctor working hours and schedule exceptions
+ * components:
+ *   schemas:
+ *     ScheduleBreak:
+ *       type: object
+ *       properties:
+ *         start_time:
+ *           type: string
+ *           description: Time in HH:MM format
+ *         end_time:
+ *           type: string
+ *           description: Time in HH:MM format
+ *     WorkingDay:
+ *       type: object
+ *       required:
+ *         - day_of_week
+ *         - start_time
+ *         - end_time
+ *       properties:
+ *         day_of_week:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 = Sunday, 6 = Saturday
+ *         start_time:
+ *           type: string
+ *           description: Time in HH:MM format
+ *         end_time:
+ *           type: string
+ *           description: Time in HH:MM format
+ *         breaks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleBreak'
+ *     DoctorSchedule:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         doctor_id:
+ *           type: string
+ *         hospital_id:
+ *           type: string
+ *         slot_duration_minutes:
+ *           type: integer
+ *         weekly_hours:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WorkingDay'
+ *         is_active:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ScheduleException:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         doctor_id:
+ *           type: string
+ *           nullable: true
+ *         hospital_id:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [leave, public_holiday, other]
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *         start_time:
+ *           type: string
+ *           nullable: true
+ *         end_time:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ */
+
+// Get schedule exceptions
+/**
+ * @openapi
+ * /api/doctor-schedules/exceptions:
+ *   get:
+ *     summary: List schedule exceptions
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: doctorId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Include exceptions for this doctor plus hospital-wide and global ones
+ *       - name: hospitalId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - name: to
+ *         in: query
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Array of schedule exceptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ScheduleException'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/exceptions', authenticate, async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.doctorId) {
+      query.doctor_id = { $in: [req.query.doctorId, null] };
+    }
+    if (req.query.hospitalId) {
+      query.hospital_id = { $in: [req.query.hospitalId, null] };
+    }
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from) {
+      query.end_date = { $gte: from };
+    }
+    if (to) {
+      query.start_date = { $lte: to };
+    }
+
+    const exceptions = await ScheduleException.find(query).sort({ start_date: 1 });
+    res.json(exceptions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create schedule exception
+/**
+ * @openapi
+ * /api/doctor-schedules/exceptions:
+ *   post:
+ *     summary: Create a schedule exception (leave, public holiday)
+ *     description: Doctors may record exceptions for themselves; hospital-wide and global exceptions are admin only.
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduleExceptionRequest'
+ *     responses:
+ *       201:
+ *         description: Exception created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleException'
+ *       400:
+ *         description: Invalid dates or times
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.post('/exceptions', authenticate, validate(scheduleException), async (req, res, next) => {
+  try {
+    const { doctor_id, hospital_id, type, reason } = req.body;
+
+    if (!(await canManageDoctor(req, doctor_id))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const startDate = parseDate(req.body.start_date);
+    const endDate = req.body.end_date ? parseDate(req.body.end_date) : startDate;
+    if (!startDate || !endDate || endDate < startDate) {
+      return next(new BadRequestError('A valid start_date and an end_date on or after it are required'));
+    }
+
+    const { start_time, end_time } = req.body;
+    if (start_time || end_time) {
+      if (!normalizeTime(start_time) || !normalizeTime(end_time) || toMinutes(end_time) <= toMinutes(start_time)) {
+        return next(new BadRequestError('Partial-day exceptions need start_time before end_time in HH:MM format'));
+      }
+    }
+
+    const exception = new ScheduleException({
+      doctor_id,
+      hospital_id,
+      type,
+      start_date: startDate,
+      end_date: endDate,
+      start_time,
+      end_time,
+      reason,
+      created_by: req.user._id,
+    });
+    await exception.save();
+
+    res.status(201).json(exception);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete schedule exception
+/**
+ * @openapi
+ * /api/doctor-schedules/exceptions/{id}:
+ *   delete:
+ *     summary: Delete a schedule exception
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Exception ID
+ *     responses:
+ *       200:
+ *         description: Exception deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Exception not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/exceptions/:id', authenticate, async (req, res, next) => {
+  try {
+    const exception = await ScheduleException.findById(req.params.id);
+    if (!exception) {
+      return next(new NotFoundError('Exception not found'));
+    }
+
+    if (!(await canManageDoctor(req, exception.doctor_id))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    await exception.deleteOne();
+    res.json({ message: 'Exception deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get schedules for a doctor
+/**
+ * @openapi
+ * /api/doctor-schedules/doctor/{doctorId}:
+ *   get:
+ *     summary: Get a doctor's weekly schedules
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: doctorId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     responses:
+ *       200:
+ *         description: One schedule per hospital the doctor works at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DoctorSchedule'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/doctor/:doctorId', authenticate, async (req, res, next) => {
+  try {
+    const schedules = await DoctorSchedule.find({ doctor_id: req.params.doctorId })
+      .populate('hospital_id', 'name location');
+    res.json(schedules);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create or replace a doctor's schedule at a hospital
+/**
+ * @openapi
+ * /api/doctor-schedules/doctor/{doctorId}:
+ *   put:
+ *     summary: Create or replace a doctor's weekly schedule at a hospital
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: doctorId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorScheduleRequest'
+ *     responses:
+ *       200:
+ *         description: Saved schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DoctorSchedule'
+ *       400:
+ *         description: Invalid working hours, or a hospital the doctor does not work at
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Doctor or hospital not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/doctor/:doctorId', authenticate, validate(doctorSchedule), async (req, res, next) => {
+  try {
+    const doctor = await Doctor.findById(req.params.doctorId);
+    if (!doctor) {
+      return next(new NotFoundError('Doctor not found'));
+    }
+
+    if (!(await canManageDoctor(req, doctor._id))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { slot_duration_minutes, weekly_hours, is_active } = req.body;
+    const hospitalId = req.body.hospital_id || doctor.hospital_id;
+    // Doctors work at their own hospital and at hospitals running their department
+    if (req.body.hospital_id && !doctor.hospital_id?.equals(hospitalId)) {
+      if (!(await Hospital.exists({ _id: hospitalId }))) {
+        return next(new NotFoundError('Hospital not found'));
+      }
+      if (!(await HospitalDepartment.exists({ hospital_id: hospitalId, department_id: doctor.department_id }))) {
+        return next(new BadRequestError('The doctor does not work at this hospital: it is not their hospital and does not run their department'));
+      }
+    }
+
+    let schedule = await DoctorSchedule.findOne({ doctor_id: doctor._id, hospital_id: hospitalId });
+    if (!schedule) {
+      schedule = new DoctorSchedule({ doctor_id: doctor._id, hospital_id: hospitalId });
+    }
+    if (slot_duration_minutes !== undefined) schedule.slot_duration_minutes = slot_duration_minutes;
+    if (weekly_hours !== undefined) schedule.weekly_hours = weekly_hours;
+    if (is_active !== undefined) schedule.is_active = is_active;
+
+    const invalid = validateWeeklyHours(schedule.weekly_hours, schedule.slot_duration_minutes);
+    if (invalid) {
+      return next(new BadRequestError(invalid));
+    }
+
+    await schedule.save();
+    await schedule.populate('hospital_id', 'name location');
+    res.json(schedule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete schedule
+/**
+ * @openapi
+ * /api/doctor-schedules/{id}:
+ *   delete:
+ *     summary: Delete a doctor schedule
+ *     tags:
+ *       - DoctorSchedules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Schedule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    const schedule = await DoctorSchedule.findById(req.params.id);
+    if (!schedule) {
+      return next(new NotFoundError('Schedule not found'));
+    }
+
+    if (!(await canManageDoctor(req, schedule.doctor_id))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    await schedule.deleteOne();
+    res.json({ message: 'Schedule deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
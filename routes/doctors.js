@@ -1,6 +1,9 @@
 import express from 'express';
 import Doctor from '../models/Doctor.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, can, canAny, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { doctorCreate, doctorUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -38,30 +41,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     DoctorRequest:
- *       type: object
- *       required:
- *         - user_id
- *         - hospital_id
- *         - department_id
- *         - license_number
- *         - consultation_fee
- *       properties:
- *         user_id:
- *           type: string
- *         hospital_id:
- *           type: string
- *         department_id:
- *           type: string
- *         specialization:
- *           type: string
- *         license_number:
- *           type: string
- *         consultation_fee:
- *           type: number
- *           format: float
- *         signature_data:
- *           type: string
  */
 
 // Get all doctors
@@ -88,7 +67,7 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const doctors = await Doctor.find()
       .populate('user_id', 'full_name email phone')
@@ -97,7 +76,7 @@ router.get('/', authenticate, async (req, res) => {
       .sort({ createdAt: -1 });
     res.json(doctors);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -132,18 +111,18 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const doctor = await Doctor.findById(req.params.id)
       .populate('user_id', 'full_name email phone')
       .populate('hospital_id')
       .populate('department_id');
     if (!doctor) {
-      return res.status(404).json({ error: 'Doctor not found' });
+      return next(new NotFoundError('Doctor not found'));
     }
     res.json(doctor);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -178,18 +157,18 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/user/:userId', authenticate, async (req, res) => {
+router.get('/user/:userId', authenticate, async (req, res, next) => {
   try {
     const doctor = await Doctor.findOne({ user_id: req.params.userId })
       .populate('user_id', 'full_name email phone')
       .populate('hospital_id')
       .populate('department_id');
     if (!doctor) {
-      return res.status(404).json({ error: 'Doctor not found' });
+      return next(new NotFoundError('Doctor not found'));
     }
     res.json(doctor);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -216,6 +195,8 @@ router.get('/user/:userId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Doctor'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -223,7 +204,7 @@ router.get('/user/:userId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('doctor:manage'), validate(doctorCreate), async (req, res, next) => {
   try {
     const doctor = new Doctor(req.body);
     await doctor.save();
@@ -232,7 +213,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
     await doctor.populate('department_id');
     res.status(201).json(doctor);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -258,7 +239,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/DoctorRequest'
+ *             $ref: '#/components/schemas/DoctorUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated doctor profile
@@ -266,6 +247,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Doctor'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -275,16 +258,17 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(doctorUpdate), async (req, res, next) => {
   try {
     const doctor = await Doctor.findById(req.params.id);
     if (!doctor) {
-      return res.status(404).json({ error: 'Doctor not found' });
+      return next(new NotFoundError('Doctor not found'));
     }
 
-    // Doctors can update their own profile, admins can update any
-    if (req.user.role !== 'admin' && doctor.user_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Own record with doctor:update, any record with doctor:update:any
+    const isOwn = doctor.user_id.toString() === req.user._id.toString();
+    if (!canAny(req.user, 'doctor:update') && !(isOwn && can(req.user, 'doctor:update'))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     const updatedDoctor = await Doctor.findByIdAndUpdate(
@@ -297,7 +281,7 @@ router.put('/:id', authenticate, async (req, res) => {
       .populate('department_id');
     res.json(updatedDoctor);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -330,15 +314,15 @@ router.put('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('doctor:manage'), async (req, res, next) => {
   try {
     const doctor = await Doctor.findByIdAndDelete(req.params.id);
     if (!doctor) {
-      return res.status(404).json({ error: 'Doctor not found' });
+      return next(new NotFoundError('Doctor not found'));
     }
     res.json({ message: 'Doctor deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
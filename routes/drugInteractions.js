@@ -0,0 +1,323 @@
+import express from 'express';
+import DrugInteraction from '../models/DrugInteraction.js';
+import Medication from '../models/Medication.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { drugInteractionCreate, drugInteractionUpdate } from '../validation/schemas.js';
+import { NotFoundError, RequestValidationError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const INTERACTION_POPULATE = [
+  { path: 'first.medication_id', select: 'name category' },
+  { path: 'second.medication_id', select: 'name category' },
+];
+
+// Each side names exactly one medication or one category, and the medication exists
+const checkAgents = async (body) => {
+  const details = [];
+  for (const side of ['first', 'second']) {
+    const agent = body[side];
+    if (!agent) {
+      continue;
+    }
+    if (Boolean(agent.medication_id) === Boolean(agent.category)) {
+      details.push({ field: side, message: 'must have exactly one of medication_id or category' });
+    } else if (agent.medication_id && !(await Medication.exists({ _id: agent.medication_id }))) {
+      details.push({ field: `${side}.medication_id`, message: 'medication not found' });
+    }
+  }
+  if (details.length > 0) {
+    throw new RequestValidationError(details);
+  }
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: DrugInteractions
+ *     description: Rules for medications that should not be taken together
+ * components:
+ *   schemas:
+ *     InteractionAgent:
+ *       type: object
+ *       description: A catalogue medication or every medication of a category
+ *       properties:
+ *         medication_id:
+ *           type: string
+ *         category:
+ *           type: string
+ *     DrugInteraction:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         first:
+ *           $ref: '#/components/schemas/InteractionAgent'
+ *         second:
+ *           $ref: '#/components/schemas/InteractionAgent'
+ *         severity:
+ *           type: string
+ *           enum: [minor, moderate, severe]
+ *         description:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get all interaction rules
+/**
+ * @openapi
+ * /api/drug-interactions:
+ *   get:
+ *     summary: List drug interaction rules
+ *     tags:
+ *       - DrugInteractions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: medicationId
+ *         in: query
+ *         description: Rules naming this medication or its category
+ *         schema:
+ *           type: string
+ *       - name: severity
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [minor, moderate, severe]
+ *     responses:
+ *       200:
+ *         description: Array of interaction rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DrugInteraction'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Medication not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.severity) {
+      query.severity = String(req.query.severity);
+    }
+    if (req.query.medicationId) {
+      const medication = await Medication.findById(req.query.medicationId).select('category');
+      if (!medication) {
+        return next(new NotFoundError('Medication not found'));
+      }
+      // Rule categories are stored lowercase
+      const category = medication.category?.trim().toLowerCase();
+      query.$or = ['first', 'second'].flatMap(side => [
+        { [`${side}.medication_id`]: medication._id },
+        ...(category ? [{ [`${side}.category`]: category }] : []),
+      ]);
+    }
+
+    const interactions = await DrugInteraction.find(query).populate(INTERACTION_POPULATE).sort({ createdAt: -1 });
+    res.json(interactions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get interaction rule by ID
+/**
+ * @openapi
+ * /api/drug-interactions/{id}:
+ *   get:
+ *     summary: Retrieve a drug interaction rule
+ *     tags:
+ *       - DrugInteractions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interaction rule ID
+ *     responses:
+ *       200:
+ *         description: Interaction rule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DrugInteraction'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Interaction rule not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const interaction = await DrugInteraction.findById(req.params.id).populate(INTERACTION_POPULATE);
+    if (!interaction) {
+      return next(new NotFoundError('Interaction rule not found'));
+    }
+
+    res.json(interaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create interaction rule
+/**
+ * @openapi
+ * /api/drug-interactions:
+ *   post:
+ *     summary: Add a drug interaction rule
+ *     tags:
+ *       - DrugInteractions
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DrugInteractionRequest'
+ *     responses:
+ *       201:
+ *         description: Interaction rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DrugInteraction'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, requirePermission('interaction:manage'), validate(drugInteractionCreate), async (req, res, next) => {
+  try {
+    await checkAgents(req.body);
+
+    const interaction = await DrugInteraction.create(req.body);
+    await interaction.populate(INTERACTION_POPULATE);
+
+    res.status(201).json(interaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update interaction rule
+/**
+ * @openapi
+ * /api/drug-interactions/{id}:
+ *   put:
+ *     summary: Update a drug interaction rule
+ *     tags:
+ *       - DrugInteractions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interaction rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DrugInteractionUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Updated interaction rule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DrugInteraction'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Interaction rule not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authenticate, requirePermission('interaction:manage'), validate(drugInteractionUpdate), async (req, res, next) => {
+  try {
+    await checkAgents(req.body);
+
+    const interaction = await DrugInteraction.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+      .populate(INTERACTION_POPULATE);
+    if (!interaction) {
+      return next(new NotFoundError('Interaction rule not found'));
+    }
+
+    res.json(interaction);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete interaction rule
+/**
+ * @openapi
+ * /api/drug-interactions/{id}:
+ *   delete:
+ *     summary: Delete a drug interaction rule
+ *     tags:
+ *       - DrugInteractions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interaction rule ID
+ *     responses:
+ *       200:
+ *         description: Interaction rule deleted confirmation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Interaction rule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, requirePermission('interaction:manage'), async (req, res, next) => {
+  try {
+    const interaction = await DrugInteraction.findByIdAndDelete(req.params.id);
+    if (!interaction) {
+      return next(new NotFoundError('Interaction rule not found'));
+    }
+
+    res.json({ message: 'Interaction rule deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
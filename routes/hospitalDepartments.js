@@ -1,6 +1,9 @@
 import express from 'express';
 import HospitalDepartment from '../models/HospitalDepartment.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { hospitalDepartmentCreate, hospitalDepartmentUpdate } from '../validation/schemas.js';
+import { NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -29,20 +32,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     HospitalDepartmentRequest:
- *       type: object
- *       required:
- *         - hospital_id
- *         - department_id
- *         - consultation_fee
- *       properties:
- *         hospital_id:
- *           type: string
- *         department_id:
- *           type: string
- *         consultation_fee:
- *           type: number
- *           format: float
  */
 
 // Get all hospital departments
@@ -56,13 +45,13 @@ const router = express.Router();
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: hospital_id
+ *       - name: hospitalId
  *         in: query
  *         required: false
  *         schema:
  *           type: string
  *         description: Filter by hospital ID
- *       - name: department_id
+ *       - name: departmentId
  *         in: query
  *         required: false
  *         schema:
@@ -82,14 +71,14 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const query = {};
-    if (req.query.hospital_id) {
-      query.hospital_id = req.query.hospital_id;
+    if (req.query.hospitalId) {
+      query.hospital_id = req.query.hospitalId;
     }
-    if (req.query.department_id) {
-      query.department_id = req.query.department_id;
+    if (req.query.departmentId) {
+      query.department_id = req.query.departmentId;
     }
 
     const hospitalDepartments = await HospitalDepartment.find(query)
@@ -98,7 +87,7 @@ router.get('/', authenticate, async (req, res) => {
       .sort({ createdAt: -1 });
     res.json(hospitalDepartments);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -133,7 +122,7 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/hospital/:hospitalId', authenticate, async (req, res) => {
+router.get('/hospital/:hospitalId', authenticate, async (req, res, next) => {
   try {
     const hospitalDepartments = await HospitalDepartment.find({
       hospital_id: req.params.hospitalId,
@@ -142,7 +131,7 @@ router.get('/hospital/:hospitalId', authenticate, async (req, res) => {
       .sort({ createdAt: -1 });
     res.json(hospitalDepartments);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -169,6 +158,8 @@ router.get('/hospital/:hospitalId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/HospitalDepartment'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -176,7 +167,7 @@ router.get('/hospital/:hospitalId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('department:manage'), validate(hospitalDepartmentCreate), async (req, res, next) => {
   try {
     const hospitalDepartment = new HospitalDepartment(req.body);
     await hospitalDepartment.save();
@@ -184,7 +175,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
     await hospitalDepartment.populate('department_id');
     res.status(201).json(hospitalDepartment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -210,7 +201,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/HospitalDepartmentRequest'
+ *             $ref: '#/components/schemas/HospitalDepartmentUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated hospital department record
@@ -218,6 +209,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/HospitalDepartment'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -227,7 +220,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('department:manage'), validate(hospitalDepartmentUpdate), async (req, res, next) => {
   try {
     const hospitalDepartment = await HospitalDepartment.findByIdAndUpdate(
       req.params.id,
@@ -237,11 +230,11 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       .populate('hospital_id')
       .populate('department_id');
     if (!hospitalDepartment) {
-      return res.status(404).json({ error: 'Hospital department not found' });
+      return next(new NotFoundError('Hospital department not found'));
     }
     res.json(hospitalDepartment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -274,15 +267,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('department:manage'), async (req, res, next) => {
   try {
     const hospitalDepartment = await HospitalDepartment.findByIdAndDelete(req.params.id);
     if (!hospitalDepartment) {
-      return res.status(404).json({ error: 'Hospital department not found' });
+      return next(new NotFoundError('Hospital department not found'));
     }
     res.json({ message: 'Hospital department deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
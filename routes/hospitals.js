@@ -1,6 +1,12 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Hospital from '../models/Hospital.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import HospitalDepartment from '../models/HospitalDepartment.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { hospitalCreate, hospitalUpdate } from '../validation/schemas.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { nearStages, parseNearQuery } from '../utils/geo.js';
 
 const router = express.Router();
 
@@ -27,6 +33,14 @@ const router = express.Router();
  *           format: email
  *         description:
  *           type: string
+ *         latitude:
+ *           type: number
+ *           format: float
+ *         longitude:
+ *           type: number
+ *           format: float
+ *         geo:
+ *           $ref: '#/components/schemas/GeoPoint'
  *         consultation_fee:
  *           type: number
  *           format: float
@@ -40,29 +54,15 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     HospitalRequest:
- *       type: object
- *       required:
- *         - name
- *         - location
- *       properties:
- *         name:
- *           type: string
- *         location:
- *           type: string
- *         phone:
- *           type: string
- *         email:
- *           type: string
- *           format: email
- *         description:
- *           type: string
- *         consultation_fee:
- *           type: number
- *           format: float
- *         lab_user_id:
- *           type: string
- *           nullable: true
+ *     NearbyHospital:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Hospital'
+ *         - type: object
+ *           properties:
+ *             distance_km:
+ *               type: number
+ *               format: float
+ *               description: Distance from the searched point
  */
 
 // Get all hospitals
@@ -89,12 +89,70 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const hospitals = await Hospital.find().sort({ name: 1 });
     res.json(hospitals);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Find nearby hospitals
+/**
+ * @openapi
+ * /api/hospitals/nearby:
+ *   get:
+ *     summary: List hospitals near a point, nearest first
+ *     description: Hospitals with coordinates within `radius` km of the point, optionally only those with a department.
+ *     tags:
+ *       - Hospitals
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Latitude'
+ *       - $ref: '#/components/parameters/Longitude'
+ *       - $ref: '#/components/parameters/Radius'
+ *       - $ref: '#/components/parameters/NearLimit'
+ *       - name: departmentId
+ *         in: query
+ *         description: Only hospitals offering this department
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hospitals by distance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NearbyHospital'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/nearby', authenticate, async (req, res, next) => {
+  try {
+    const near = parseNearQuery(req.query);
+
+    const query = {};
+    if (req.query.departmentId) {
+      if (!mongoose.isValidObjectId(req.query.departmentId)) {
+        return next(new BadRequestError('Invalid query parameters', {
+          code: 'invalid_query',
+          details: [{ field: 'departmentId', message: 'must be a valid id' }],
+        }));
+      }
+      query._id = { $in: await HospitalDepartment.distinct('hospital_id', { department_id: req.query.departmentId }) };
+    }
+
+    res.json(await Hospital.aggregate(nearStages(near, query)));
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -129,15 +187,15 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const hospital = await Hospital.findById(req.params.id);
     if (!hospital) {
-      return res.status(404).json({ error: 'Hospital not found' });
+      return next(new NotFoundError('Hospital not found'));
     }
     res.json(hospital);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -164,6 +222,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Hospital'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -171,13 +231,13 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('hospital:manage'), validate(hospitalCreate), async (req, res, next) => {
   try {
     const hospital = new Hospital(req.body);
     await hospital.save();
     res.status(201).json(hospital);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -203,7 +263,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/HospitalRequest'
+ *             $ref: '#/components/schemas/HospitalUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated hospital
@@ -211,6 +271,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Hospital'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -220,19 +282,18 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('hospital:manage'), validate(hospitalUpdate), async (req, res, next) => {
   try {
-    const hospital = await Hospital.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Loaded and saved, so geo follows latitude and longitude
+    const hospital = await Hospital.findById(req.params.id);
     if (!hospital) {
-      return res.status(404).json({ error: 'Hospital not found' });
+      return next(new NotFoundError('Hospital not found'));
     }
+    hospital.set(req.body);
+    await hospital.save();
     res.json(hospital);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -265,15 +326,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('hospital:manage'), async (req, res, next) => {
   try {
     const hospital = await Hospital.findByIdAndDelete(req.params.id);
     if (!hospital) {
-      return res.status(404).json({ error: 'Hospital not found' });
+      return next(new NotFoundError('Hospital not found'));
     }
     res.json({ message: 'Hospital deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -1,6 +1,9 @@
 import express from 'express';
 import Insurance from '../models/Insurance.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { insuranceCreate, insuranceUpdate } from '../validation/schemas.js';
+import { NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -31,21 +34,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     InsuranceRequest:
- *       type: object
- *       required:
- *         - name
- *         - coverage_percentage
- *       properties:
- *         name:
- *           type: string
- *         coverage_percentage:
- *           type: number
- *           format: float
- *           minimum: 0
- *           maximum: 100
- *         description:
- *           type: string
  */
 
 // Get all insurances
@@ -72,12 +60,12 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const insurances = await Insurance.find().sort({ name: 1 });
     res.json(insurances);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -112,15 +100,15 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const insurance = await Insurance.findById(req.params.id);
     if (!insurance) {
-      return res.status(404).json({ error: 'Insurance not found' });
+      return next(new NotFoundError('Insurance not found'));
     }
     res.json(insurance);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -147,6 +135,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Insurance'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -154,13 +144,13 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('insurance:manage'), validate(insuranceCreate), async (req, res, next) => {
   try {
     const insurance = new Insurance(req.body);
     await insurance.save();
     res.status(201).json(insurance);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -186,7 +176,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/InsuranceRequest'
+ *             $ref: '#/components/schemas/InsuranceUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated insurance
@@ -194,6 +184,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Insurance'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -203,7 +195,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('insurance:manage'), validate(insuranceUpdate), async (req, res, next) => {
   try {
     const insurance = await Insurance.findByIdAndUpdate(
       req.params.id,
@@ -211,11 +203,11 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
       { new: true, runValidators: true }
     );
     if (!insurance) {
-      return res.status(404).json({ error: 'Insurance not found' });
+      return next(new NotFoundError('Insurance not found'));
     }
     res.json(insurance);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -248,15 +240,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('insurance:manage'), async (req, res, next) => {
   try {
     const insurance = await Insurance.findByIdAndDelete(req.params.id);
     if (!insurance) {
-      return res.status(404).json({ error: 'Insurance not found' });
+      return next(new NotFoundError('Insurance not found'));
     }
     res.json({ message: 'Insurance deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,481 @@
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import StaffInvitation from '../models/StaffInvitation.js';
+import Profile from '../models/Profile.js';
+import Doctor from '../models/Doctor.js';
+import Nurse from '../models/Nurse.js';
+import Hospital from '../models/Hospital.js';
+import Department from '../models/Department.js';
+import Pharmacy from '../models/Pharmacy.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { hashToken, issueSession } from '../utils/tokens.js';
+import { checkNewPassword, hashPassword } from '../utils/passwords.js';
+import { sendMail } from '../utils/mailer.js';
+import { getLoginChallenge } from '../utils/twoFactor.js';
+import { validate } from '../validation/validate.js';
+import { invitationAccept, staffInvitationCreate } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+
+// Fields an invitation must carry so the staff record can be created on acceptance
+const ROLE_REQUIREMENTS = {
+  doctor: ['hospital_id', 'department_id', 'license_number'],
+  nurse: ['hospital_id', 'license_number'],
+  pharmacist: ['pharmacy_id'],
+  lab_technician: ['hospital_id'],
+  admin: [],
+};
+
+const findPendingInvitation = (token) => StaffInvitation.findOne({
+  token_hash: hashToken(token),
+  status: 'pending',
+  expires_at: { $gt: new Date() },
+});
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Invitations
+ *     description: Staff account invitations
+ * components:
+ *   schemas:
+ *     StaffInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         role:
+ *           type: string
+ *           enum: [doctor, lab_technician, pharmacist, admin, nurse]
+ *         full_name:
+ *           type: string
+ *         hospital_id:
+ *           type: string
+ *         department_id:
+ *           type: string
+ *         pharmacy_id:
+ *           type: string
+ *         license_number:
+ *           type: string
+ *         specialization:
+ *           type: string
+ *         consultation_fee:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked]
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         invited_by:
+ *           type: string
+ *         accepted_at:
+ *           type: string
+ *           format: date-time
+ *         profile_id:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get invitations (admin only)
+/**
+ * @openapi
+ * /api/invitations:
+ *   get:
+ *     summary: List staff invitations
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked]
+ *     responses:
+ *       200:
+ *         description: Array of invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StaffInvitation'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, requirePermission('invitation:manage'), async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const invitations = await StaffInvitation.find(query)
+      .populate('invited_by', 'full_name email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create invitation (admin only)
+/**
+ * @openapi
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a staff member
+ *     description: Mails a one-time link the invitee uses to set their password. Replaces any pending invitation for the same email.
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StaffInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation created and sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StaffInvitation'
+ *       400:
+ *         description: Missing fields for the role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Hospital, department or pharmacy not found
+ *       409:
+ *         description: Account or license number already exists, or the pharmacy or hospital lab was staffed meanwhile, or the pharmacy or hospital lab is already staffed
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, requirePermission('invitation:manage'), validate(staffInvitationCreate), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const email = req.body.email.toLowerCase();
+
+    const missing = ROLE_REQUIREMENTS[role].filter(field => !req.body[field]);
+    if (missing.length > 0) {
+      return next(new BadRequestError(`Invitations for ${role} require: ${missing.join(', ')}`));
+    }
+
+    if (await Profile.exists({ email })) {
+      return next(new ConflictError('An account with this email already exists'));
+    }
+
+    const { hospital_id, department_id, pharmacy_id, license_number } = req.body;
+    if (hospital_id && !(await Hospital.exists({ _id: hospital_id }))) {
+      return next(new NotFoundError('Hospital not found'));
+    }
+    if (department_id && !(await Department.exists({ _id: department_id }))) {
+      return next(new NotFoundError('Department not found'));
+    }
+    if (pharmacy_id && !(await Pharmacy.exists({ _id: pharmacy_id }))) {
+      return next(new NotFoundError('Pharmacy not found'));
+    }
+    // Pharmacies and hospital labs have one pharmacist / lab technician; replacing one is not done by invitation
+    if (role === 'pharmacist' && await Pharmacy.exists({ _id: pharmacy_id, pharmacist_id: { $ne: null } })) {
+      return next(new ConflictError('This pharmacy already has a pharmacist'));
+    }
+    if (role === 'lab_technician' && await Hospital.exists({ _id: hospital_id, lab_user_id: { $ne: null } })) {
+      return next(new ConflictError('This hospital already has a lab technician'));
+    }
+    if (role === 'doctor' && await Doctor.exists({ license_number })) {
+      return next(new ConflictError('A doctor with this license number already exists'));
+    }
+    if (role === 'nurse' && await Nurse.exists({ license_number })) {
+      return next(new ConflictError('A nurse with this license number already exists'));
+    }
+
+    await StaffInvitation.updateMany({ email, status: 'pending' }, { status: 'revoked' });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = new StaffInvitation({
+      email,
+      role,
+      full_name: req.body.full_name,
+      hospital_id,
+      department_id,
+      pharmacy_id,
+      license_number,
+      specialization: req.body.specialization,
+      consultation_fee: req.body.consultation_fee,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      invited_by: req.user._id,
+    });
+    await invitation.save();
+
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    await sendMail({
+      to: email,
+      subject: 'You have been invited to EasyHealth',
+      text: `Hello${invitation.full_name ? ` ${invitation.full_name}` : ''},\n\n`
+        + `${req.user.full_name} has invited you to join EasyHealth as ${role.replace('_', ' ')}.\n`
+        + `Set your password with the link below within ${INVITATION_TTL_DAYS} days:\n\n`
+        + `${appUrl}/accept-invitation?token=${token}\n`,
+    });
+
+    const invitationObj = invitation.toObject();
+    delete invitationObj.token_hash;
+    res.status(201).json(invitationObj);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview invitation
+/**
+ * @openapi
+ * /api/invitations/token/{token}:
+ *   get:
+ *     summary: Look up a pending invitation by its link token
+ *     tags:
+ *       - Invitations
+ *     parameters:
+ *       - name: token
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                 role:
+ *                   type: string
+ *                 full_name:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Invitation invalid, used or expired
+ *       500:
+ *         description: Server error
+ */
+router.get('/token/:token', async (req, res, next) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return next(new NotFoundError('Invitation is invalid or has expired'));
+    }
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      full_name: invitation.full_name,
+      expires_at: invitation.expires_at,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept invitation
+/**
+ * @openapi
+ * /api/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and create the staff account
+ *     description: |
+ *       Creates the profile together with its Doctor or Nurse record, or the
+ *       pharmacy / hospital lab assignment, in one transaction, and logs the user in.
+ *     tags:
+ *       - Invitations
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Account created (with mfa_setup_required and mfa_token instead of tokens if the role must use 2FA)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Password too weak or name missing
+ *       404:
+ *         description: Invitation invalid, used or expired
+ *       409:
+ *         description: Account or license number already exists
+ *       500:
+ *         description: Server error
+ */
+router.post('/accept', validate(invitationAccept), async (req, res, next) => {
+  try {
+    const { token, password, phone, national_id } = req.body;
+
+    const weak = checkNewPassword(password);
+    if (weak) {
+      return next(new BadRequestError(weak));
+    }
+
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return next(new NotFoundError('Invitation is invalid or has expired'));
+    }
+
+    const fullName = req.body.full_name || invitation.full_name;
+    if (!fullName) {
+      return next(new BadRequestError('full_name is required'));
+    }
+
+    const hashedPassword = await hashPassword(password);
+
+    const user = await mongoose.connection.transaction(async (session) => {
+      const claimed = await StaffInvitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { status: 'accepted', accepted_at: new Date() },
+        { session }
+      );
+      if (!claimed) {
+        return null;
+      }
+
+      const [profile] = await Profile.create([{
+        email: invitation.email,
+        password: hashedPassword,
+        full_name: fullName,
+        role: invitation.role,
+        phone,
+        national_id,
+      }], { session });
+
+      if (invitation.role === 'doctor') {
+        await Doctor.create([{
+          user_id: profile._id,
+          hospital_id: invitation.hospital_id,
+          department_id: invitation.department_id,
+          license_number: invitation.license_number,
+          specialization: invitation.specialization,
+          consultation_fee: invitation.consultation_fee || 0,
+        }], { session });
+      } else if (invitation.role === 'nurse') {
+        await Nurse.create([{
+          user_id: profile._id,
+          hospital_id: invitation.hospital_id,
+          license_number: invitation.license_number,
+        }], { session });
+      } else if (invitation.role === 'pharmacist') {
+        const assigned = await Pharmacy.updateOne(
+          { _id: invitation.pharmacy_id, pharmacist_id: null },
+          { pharmacist_id: profile._id },
+          { session }
+        );
+        if (assigned.matchedCount === 0) {
+          throw new ConflictError('The pharmacy already has a pharmacist');
+        }
+      } else if (invitation.role === 'lab_technician') {
+        const assigned = await Hospital.updateOne(
+          { _id: invitation.hospital_id, lab_user_id: null },
+          { lab_user_id: profile._id },
+          { session }
+        );
+        if (assigned.matchedCount === 0) {
+          throw new ConflictError('The hospital already has a lab technician');
+        }
+      }
+
+      await StaffInvitation.updateOne({ _id: invitation._id }, { profile_id: profile._id }, { session });
+      return profile;
+    });
+
+    if (!user) {
+      return next(new NotFoundError('Invitation is invalid or has expired'));
+    }
+
+    // Roles that require 2FA must enroll before getting a session
+    const tokens = await getLoginChallenge(user) || await issueSession(user, req);
+
+    const userObj = user.toObject();
+    delete userObj.password;
+
+    res.status(201).json({
+      user: userObj,
+      ...tokens,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('An account, national ID or license number in this invitation already exists'));
+    }
+    next(error);
+  }
+});
+
+// Revoke invitation (admin only)
+/**
+ * @openapi
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Pending invitation not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, requirePermission('invitation:manage'), async (req, res, next) => {
+  try {
+    const invitation = await StaffInvitation.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'revoked' }
+    );
+    if (!invitation) {
+      return next(new NotFoundError('Pending invitation not found'));
+    }
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
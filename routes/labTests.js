@@ -2,13 +2,40 @@ import express from 'express';
 import LabTestTemplate from '../models/LabTestTemplate.js';
 import LabTestRequest from '../models/LabTestRequest.js';
 import LabTestResult from '../models/LabTestResult.js';
-import Consultation from '../models/Consultation.js';
-import Appointment from '../models/Appointment.js';
-import Hospital from '../models/Hospital.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, canAccess, requirePermission } from '../middleware/auth.js';
+import { canReadClinical, clinicalListScope, getOrderingConsultation } from '../utils/careAccess.js';
+import { audit, diffFields } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { labTestTemplateCreate, labTestTemplateUpdate, labTestRequestCreate, labTestRequestUpdate, labTestResultCreate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { parseView, pickFields, populateView, selectView } from '../utils/expand.js';
+import { LAB_REQUEST_VIEW, labResultPopulate } from '../utils/views.js';
+
+// Results reach their patient through the request
+const resultPatient = (result) => {
+  const patient = result.lab_test_request_id?.patient_id;
+  return patient?._id ?? patient ?? null;
+};
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/lab-tests/requests
+const LAB_REQUEST_LIST = {
+  filters: {
+    status: { field: 'status', enum: LabTestRequest.schema.path('status').enumValues },
+    hospitalId: { field: 'hospital_id' },
+    doctorId: { field: 'doctor_id' },
+    patientId: { field: 'patient_id' },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    status: ['status'],
+    total_price: ['total_price'],
+  },
+  defaultSort: '-createdAt',
+};
+
 /**
  * @openapi
  * tags:
@@ -36,21 +63,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     LabTestTemplateRequest:
- *       type: object
- *       required:
- *         - name
- *         - price
- *       properties:
- *         name:
- *           type: string
- *         description:
- *           type: string
- *         price:
- *           type: number
- *           format: float
- *         category:
- *           type: string
  *     LabTestRequest:
  *       type: object
  *       properties:
@@ -78,31 +90,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     LabTestRequestPayload:
- *       type: object
- *       required:
- *         - consultation_id
- *         - patient_id
- *         - doctor_id
- *         - lab_test_template_id
- *         - total_price
- *       properties:
- *         consultation_id:
- *           type: string
- *         patient_id:
- *           type: string
- *         doctor_id:
- *           type: string
- *         lab_test_template_id:
- *           type: string
- *         hospital_id:
- *           type: string
- *         status:
- *           type: string
- *           enum: [awaiting_payment, pending, in_progress, completed]
- *         total_price:
- *           type: number
- *           format: float
  *     LabTestResult:
  *       type: object
  *       properties:
@@ -128,22 +115,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     LabTestResultPayload:
- *       type: object
- *       required:
- *         - lab_test_request_id
- *         - result_status
- *         - result_data
- *       properties:
- *         lab_test_request_id:
- *           type: string
- *         result_status:
- *           type: string
- *           enum: [positive, negative, inconclusive]
- *         result_data:
- *           type: string
- *         notes:
- *           type: string
  */
 
 // Lab Test Templates
@@ -170,12 +141,12 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/templates', authenticate, async (req, res) => {
+router.get('/templates', authenticate, async (req, res, next) => {
   try {
     const templates = await LabTestTemplate.find().sort({ name: 1 });
     res.json(templates);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -209,15 +180,15 @@ router.get('/templates', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/templates/:id', authenticate, async (req, res) => {
+router.get('/templates/:id', authenticate, async (req, res, next) => {
   try {
     const template = await LabTestTemplate.findById(req.params.id);
     if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
+      return next(new NotFoundError('Template not found'));
     }
     res.json(template);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -243,6 +214,8 @@ router.get('/templates/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestTemplate'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -250,13 +223,13 @@ router.get('/templates/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/templates', authenticate, authorize('admin'), async (req, res) => {
+router.post('/templates', authenticate, requirePermission('labtemplate:manage'), validate(labTestTemplateCreate), async (req, res, next) => {
   try {
     const template = new LabTestTemplate(req.body);
     await template.save();
     res.status(201).json(template);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -281,7 +254,7 @@ router.post('/templates', authenticate, authorize('admin'), async (req, res) =>
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LabTestTemplateRequest'
+ *             $ref: '#/components/schemas/LabTestTemplateUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated lab test template
@@ -289,6 +262,8 @@ router.post('/templates', authenticate, authorize('admin'), async (req, res) =>
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestTemplate'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -298,7 +273,7 @@ router.post('/templates', authenticate, authorize('admin'), async (req, res) =>
  *       500:
  *         description: Server error
  */
-router.put('/templates/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/templates/:id', authenticate, requirePermission('labtemplate:manage'), validate(labTestTemplateUpdate), async (req, res, next) => {
   try {
     const template = await LabTestTemplate.findByIdAndUpdate(
       req.params.id,
@@ -306,11 +281,11 @@ router.put('/templates/:id', authenticate, authorize('admin'), async (req, res)
       { new: true, runValidators: true }
     );
     if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
+      return next(new NotFoundError('Template not found'));
     }
     res.json(template);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -342,15 +317,15 @@ router.put('/templates/:id', authenticate, authorize('admin'), async (req, res)
  *       500:
  *         description: Server error
  */
-router.delete('/templates/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/templates/:id', authenticate, requirePermission('labtemplate:manage'), async (req, res, next) => {
   try {
     const template = await LabTestTemplate.findByIdAndDelete(req.params.id);
     if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
+      return next(new NotFoundError('Template not found'));
     }
     res.json({ message: 'Template deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -360,74 +335,77 @@ router.delete('/templates/:id', authenticate, authorize('admin'), async (req, re
  * /api/lab-tests/requests:
  *   get:
  *     summary: List lab test requests
+ *     description: One page of the lab test requests the user may see.
  *     tags:
  *       - LabTests
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: hospitalId
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more of awaiting_payment, pending, in_progress, completed, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - $ref: '#/components/parameters/DoctorId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: sort
  *         in: query
- *         required: false
+ *         description: Sort field, prefixed with - for descending
  *         schema:
  *           type: string
- *         description: Filter requests by hospital
+ *           enum: [createdAt, -createdAt, status, -status, total_price, -total_price]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
- *         description: Array of lab test requests
+ *         description: Page of lab test requests
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/LabTestRequest'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LabTestRequest'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/requests', authenticate, async (req, res) => {
+router.get('/requests', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'lab_technician') {
-      // Lab technicians see only requests for hospitals they are assigned to
-      const hospitals = await Hospital.find({ lab_user_id: req.user._id }).select('_id');
-      const hospitalIds = hospitals.map(h => h._id);
-      // If no assigned hospital, return empty
-      if (hospitalIds.length === 0) {
-        return res.json([]);
-      }
-      query.hospital_id = { $in: hospitalIds };
-    } else if (req.user.role === 'doctor') {
-      // Doctors can see their requests
-      const Doctor = (await import('../models/Doctor.js')).default;
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        query.doctor_id = doctor._id;
-      }
+    // Patients see their requests, doctors the ones they ordered, lab technicians
+    // those for hospitals whose lab they run, doctors and nurses also those of
+    // patients under their care
+    const scope = await clinicalListScope(req, 'labrequest:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    // Optional hospital filter via query param
-    if (req.query.hospitalId) {
-      query.hospital_id = req.query.hospitalId;
-    }
+    const list = await parseListQuery(req.query, LAB_REQUEST_LIST);
+    const view = parseView(req, LAB_REQUEST_VIEW);
+    const page = await findPage(
+      populateView(selectView(LabTestRequest.find(withScope(scope, list.filter)), view), view),
+      list
+    );
 
-    const requests = await LabTestRequest.find(query)
-      .populate('patient_id', 'full_name')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('lab_test_template_id')
-      .populate('hospital_id')
-      .populate('consultation_id')
-      .sort({ createdAt: -1 });
-
-    res.json(requests);
+    await audit(req, 'read', 'lab_test_request', page.data);
+    res.json({ ...page, data: pickFields(page.data, view) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -447,6 +425,8 @@ router.get('/requests', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Lab test request ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Lab test request details
@@ -454,32 +434,34 @@ router.get('/requests', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestRequest'
+ *       400:
+ *         description: Invalid fields or expand parameter
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Request not found
  *       500:
  *         description: Server error
  */
-router.get('/requests/:id', authenticate, async (req, res) => {
+router.get('/requests/:id', authenticate, async (req, res, next) => {
   try {
-    const request = await LabTestRequest.findById(req.params.id)
-      .populate('patient_id', 'full_name')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('lab_test_template_id')
-      .populate('consultation_id');
+    const view = parseView(req, LAB_REQUEST_VIEW);
+    const request = await populateView(LabTestRequest.findById(req.params.id), view);
 
     if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
+      return next(new NotFoundError('Request not found'));
     }
 
-    res.json(request);
+    if (!(await canReadClinical(req, 'labrequest:read', request, { resource: 'lab_test_request' }))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    await audit(req, 'read', 'lab_test_request', request);
+    res.json(pickFields(request, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -492,6 +474,9 @@ router.get('/requests/:id', authenticate, async (req, res) => {
  *       - LabTests
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
@@ -505,39 +490,35 @@ router.get('/requests/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestRequest'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied, or the consultation is not yours
+ *       404:
+ *         description: Consultation not found
  *       500:
  *         description: Server error
  */
-router.post('/requests', authenticate, async (req, res) => {
+router.post('/requests', authenticate, requirePermission('labrequest:create'), validate(labTestRequestCreate), async (req, res, next) => {
   try {
-    // If hospital_id is not provided, derive it from consultation -> appointment
-    let body = { ...req.body };
-    if (!body.hospital_id && body.consultation_id) {
-      const consultation = await Consultation.findById(body.consultation_id).populate('appointment_id');
-      if (consultation && consultation.appointment_id) {
-        body.hospital_id = consultation.appointment_id.hospital_id;
-      } else if (body.appointment_id) {
-        const appt = await Appointment.findById(body.appointment_id);
-        if (appt) body.hospital_id = appt.hospital_id;
-      }
-    }
+    const view = parseView(req, LAB_REQUEST_VIEW);
 
-    const request = new LabTestRequest(body);
-    await request.save();
-    await request.populate('patient_id', 'full_name');
-    await request.populate('doctor_id');
-    await request.populate({
-      path: 'doctor_id',
-      populate: { path: 'user_id', select: 'full_name' }
+    // The patient, doctor and hospital come from the consultation and its appointment
+    const consultation = await getOrderingConsultation(req, req.body.consultation_id);
+    const request = new LabTestRequest({
+      ...req.body,
+      patient_id: consultation.patient_id,
+      doctor_id: consultation.doctor_id,
+      hospital_id: consultation.appointment_id?.hospital_id,
     });
-    await request.populate('lab_test_template_id');
-    await request.populate('hospital_id');
-    await request.populate('consultation_id');
-    res.status(201).json(request);
+    await request.save();
+    await populateView(request, view);
+    await audit(req, 'create', 'lab_test_request', request, { changes: diffFields(null, request) });
+    res.status(201).json(pickFields(request, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -557,12 +538,14 @@ router.post('/requests', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Lab test request ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/LabTestRequestPayload'
+ *             $ref: '#/components/schemas/LabTestRequestUpdate'
  *     responses:
  *       200:
  *         description: Updated lab test request
@@ -570,36 +553,46 @@ router.post('/requests', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestRequest'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Request not found
  *       500:
  *         description: Server error
  */
-router.put('/requests/:id', authenticate, async (req, res) => {
+router.put('/requests/:id', authenticate, validate(labTestRequestUpdate), async (req, res, next) => {
   try {
-    const request = await LabTestRequest.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate('patient_id', 'full_name')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('lab_test_template_id')
-      .populate('consultation_id');
+    const view = parseView(req, LAB_REQUEST_VIEW);
+    const existing = await LabTestRequest.findById(req.params.id);
+    if (!existing) {
+      return next(new NotFoundError('Request not found'));
+    }
+
+    if (!(await canAccess(req, 'labrequest:update', existing))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const request = await populateView(
+      LabTestRequest.findByIdAndUpdate(
+        req.params.id,
+        req.body,
+        { new: true, runValidators: true }
+      ),
+      view
+    );
 
     if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
+      return next(new NotFoundError('Request not found'));
     }
 
-    res.json(request);
+    await audit(req, 'update', 'lab_test_request', request, { changes: diffFields(existing, request) });
+    res.json(pickFields(request, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -624,40 +617,33 @@ router.put('/requests/:id', authenticate, async (req, res) => {
  *                 $ref: '#/components/schemas/LabTestResult'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/results', authenticate, async (req, res) => {
+router.get('/results', authenticate, async (req, res, next) => {
   try {
+    // Results follow the visibility of their requests
+    const scope = await clinicalListScope(req, 'labresult:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
     const query = {};
-    if (req.user.role === 'patient') {
-      const requests = await LabTestRequest.find({ patient_id: req.user._id }).select('_id');
+    if (Object.keys(scope).length > 0) {
+      const requests = await LabTestRequest.find(scope).select('_id');
       query.lab_test_request_id = { $in: requests.map(r => r._id) };
-    } else if (req.user.role === 'doctor') {
-      const Doctor = (await import('../models/Doctor.js')).default;
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        const requests = await LabTestRequest.find({ doctor_id: doctor._id }).select('_id');
-        query.lab_test_request_id = { $in: requests.map(r => r._id) };
-      }
     }
 
     const results = await LabTestResult.find(query)
-      .populate('lab_test_request_id')
-      .populate({
-        path: 'lab_test_request_id',
-        populate: [
-          { path: 'patient_id', select: 'full_name' },
-          { path: 'lab_test_template_id' },
-          { path: 'consultation_id' }
-        ]
-      })
-      .populate('technician_id', 'full_name')
+      .populate(labResultPopulate(req.user.role))
       .sort({ completed_at: -1 });
 
+    await audit(req, 'read', 'lab_test_result', results, { patientOf: resultPatient });
     res.json(results);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -686,32 +672,31 @@ router.get('/results', authenticate, async (req, res) => {
  *               $ref: '#/components/schemas/LabTestResult'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Result not found
  *       500:
  *         description: Server error
  */
-router.get('/results/:id', authenticate, async (req, res) => {
+router.get('/results/:id', authenticate, async (req, res, next) => {
   try {
     const result = await LabTestResult.findById(req.params.id)
-      .populate('lab_test_request_id')
-      .populate({
-        path: 'lab_test_request_id',
-        populate: [
-          { path: 'patient_id', select: 'full_name' },
-          { path: 'lab_test_template_id' },
-          { path: 'consultation_id' }
-        ]
-      })
-      .populate('technician_id', 'full_name');
+      .populate(labResultPopulate(req.user.role));
 
     if (!result) {
-      return res.status(404).json({ error: 'Result not found' });
+      return next(new NotFoundError('Result not found'));
+    }
+
+    const request = result.lab_test_request_id;
+    if (!request || !(await canReadClinical(req, 'labresult:read', request, { resource: 'lab_test_result', recordId: result._id }))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
+    await audit(req, 'read', 'lab_test_result', result, { patientOf: resultPatient });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -737,39 +722,47 @@ router.get('/results/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LabTestResult'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
+ *       404:
+ *         description: Request not found
  *       500:
  *         description: Server error
  */
-router.post('/results', authenticate, authorize('lab_technician'), async (req, res) => {
+router.post('/results', authenticate, requirePermission('labresult:create'), validate(labTestResultCreate), async (req, res, next) => {
   try {
+    // Only for requests the technician may work on
+    const request = await LabTestRequest.findById(req.body.lab_test_request_id);
+    if (!request) {
+      return next(new NotFoundError('Request not found'));
+    }
+    if (!(await canAccess(req, 'labrequest:update', request))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
     const result = new LabTestResult({
       ...req.body,
       technician_id: req.user._id,
     });
     await result.save();
-    await result.populate('lab_test_request_id');
-    await result.populate({
-      path: 'lab_test_request_id',
-      populate: [
-        { path: 'patient_id', select: 'full_name' },
-        { path: 'lab_test_template_id' },
-        { path: 'consultation_id' }
-      ]
-    });
-    await result.populate('technician_id', 'full_name');
+    await result.populate(labResultPopulate(req.user.role));
 
     // Update request status
     await LabTestRequest.findByIdAndUpdate(result.lab_test_request_id._id, {
       status: 'completed',
     });
 
+    await audit(req, 'create', 'lab_test_result', result, { changes: diffFields(null, result), patientOf: resultPatient });
+    await audit(req, 'update', 'lab_test_request', request, {
+      changes: [{ field: 'status', before: request.status, after: 'completed' }],
+    });
     res.status(201).json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,197 @@
+import express from 'express';
+import MedicalHistory from '../models/MedicalHistory.js';
+import Profile from '../models/Profile.js';
+import { authenticate, can, canAny } from '../middleware/auth.js';
+import { canReadClinical, hasCareRelationship } from '../utils/careAccess.js';
+import { audit, diffFields } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { medicalHistoryUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const HISTORY_POPULATE = [
+  { path: 'allergies.medication_id', select: 'name category' },
+  { path: 'updated_by', select: 'full_name role' },
+];
+
+// Staff record allergies and conditions for patients they care for
+const canUpdateHistory = async (req, patientId) => (
+  canAny(req.user, 'medicalhistory:update')
+  || (can(req.user, 'medicalhistory:update') && hasCareRelationship(req, patientId))
+);
+
+/**
+ * @openapi
+ * tags:
+ *   - name: MedicalHistory
+ *     description: Patient allergies and conditions, checked when medication is prescribed
+ * components:
+ *   schemas:
+ *     MedicalHistory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *         allergies:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               substance:
+ *                 type: string
+ *               medication_id:
+ *                 type: string
+ *               reaction:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [mild, moderate, severe]
+ *         conditions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               since:
+ *                 type: string
+ *                 format: date
+ *               is_active:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *         updated_by:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get a patient's medical history
+/**
+ * @openapi
+ * /api/medical-history/patient/{patientId}:
+ *   get:
+ *     summary: Retrieve a patient's allergies and conditions
+ *     description: Patients read their own; doctors and nurses those of patients under their care. A patient with nothing recorded has empty lists.
+ *     tags:
+ *       - MedicalHistory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: patientId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Medical history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MedicalHistory'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/patient/:patientId', authenticate, async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    if (!(await canReadClinical(req, 'medicalhistory:read', { patient_id: patientId }, { resource: 'medical_history', recordId: patientId }))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const history = await MedicalHistory.findOne({ patient_id: patientId }).populate(HISTORY_POPULATE);
+    if (!history) {
+      return res.json({ patient_id: patientId, allergies: [], conditions: [] });
+    }
+
+    await audit(req, 'read', 'medical_history', history);
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a patient's medical history
+/**
+ * @openapi
+ * /api/medical-history/patient/{patientId}:
+ *   put:
+ *     summary: Record a patient's allergies and conditions
+ *     description: Each list sent replaces the recorded one; a list left out is kept. Doctors and nurses may update patients under their care.
+ *     tags:
+ *       - MedicalHistory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: patientId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MedicalHistoryRequest'
+ *     responses:
+ *       200:
+ *         description: Updated medical history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MedicalHistory'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Patient not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/patient/:patientId', authenticate, validate(medicalHistoryUpdate), async (req, res, next) => {
+  try {
+    const { patientId } = req.params;
+    if (!(await canUpdateHistory(req, patientId))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (!(await Profile.exists({ _id: patientId, role: 'patient' }))) {
+      return next(new NotFoundError('Patient not found'));
+    }
+
+    const history = await MedicalHistory.findOne({ patient_id: patientId });
+    const updatedHistory = await MedicalHistory.findOneAndUpdate(
+      { patient_id: patientId },
+      { ...req.body, updated_by: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await audit(req, history ? 'update' : 'create', 'medical_history', updatedHistory, {
+      changes: diffFields(history, updatedHistory),
+    });
+    await updatedHistory.populate(HISTORY_POPULATE);
+    res.json(updatedHistory);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
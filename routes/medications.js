@@ -1,9 +1,18 @@
 import express from 'express';
 import Medication from '../models/Medication.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { medicationCreate, medicationUpdate } from '../validation/schemas.js';
+import { NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
+// Controlled substances are only ever dispensed on prescription
+const withControls = (body, medication) => {
+  const schedule = body.controlled_schedule !== undefined ? body.controlled_schedule : medication?.controlled_schedule;
+  return schedule ? { ...body, requires_prescription: true } : body;
+};
+
 /**
  * @openapi
  * tags:
@@ -22,38 +31,29 @@ const router = express.Router();
  *           type: string
  *         category:
  *           type: string
+ *         generic_name:
+ *           type: string
+ *           description: Active ingredient; medications sharing it are generic equivalents
  *         unit_price:
  *           type: number
  *           format: float
- *         stock_quantity:
- *           type: number
  *         requires_prescription:
  *           type: boolean
+ *         controlled_schedule:
+ *           type: string
+ *           enum: [II, III, IV, V]
+ *           nullable: true
+ *           description: Controlled substance schedule; null when not controlled
+ *         max_quantity_per_prescription:
+ *           type: integer
+ *           nullable: true
+ *           description: Most units of a controlled medication one prescription may hold
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     MedicationRequest:
- *       type: object
- *       required:
- *         - name
- *         - unit_price
- *       properties:
- *         name:
- *           type: string
- *         description:
- *           type: string
- *         category:
- *           type: string
- *         unit_price:
- *           type: number
- *           format: float
- *         stock_quantity:
- *           type: number
- *         requires_prescription:
- *           type: boolean
  */
 
 // Get all medications
@@ -73,6 +73,19 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Case-insensitive search by medication name
+ *       - name: controlled
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *         description: true for controlled substances only, false for the others
+ *       - name: genericName
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Medications with this generic name (case-insensitive), i.e. the generic equivalents of one another
  *     responses:
  *       200:
  *         description: Array of medications
@@ -87,14 +100,21 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const search = req.query.search || '';
     const query = search ? { name: { $regex: search, $options: 'i' } } : {};
+    if (req.query.controlled === 'true' || req.query.controlled === 'false') {
+      query.controlled_schedule = req.query.controlled === 'true' ? { $ne: null } : null;
+    }
+    if (req.query.genericName) {
+      const genericName = String(req.query.genericName).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.generic_name = { $regex: `^${genericName}$`, $options: 'i' };
+    }
     const medications = await Medication.find(query).sort({ name: 1 });
     res.json(medications);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -129,15 +149,15 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const medication = await Medication.findById(req.params.id);
     if (!medication) {
-      return res.status(404).json({ error: 'Medication not found' });
+      return next(new NotFoundError('Medication not found'));
     }
     res.json(medication);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -164,6 +184,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Medication'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -171,13 +193,13 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin', 'pharmacist', 'doctor'), async (req, res) => {
+router.post('/', authenticate, requirePermission('medication:create'), validate(medicationCreate), async (req, res, next) => {
   try {
-    const medication = new Medication(req.body);
+    const medication = new Medication(withControls(req.body));
     await medication.save();
     res.status(201).json(medication);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -203,7 +225,7 @@ router.post('/', authenticate, authorize('admin', 'pharmacist', 'doctor'), async
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/MedicationRequest'
+ *             $ref: '#/components/schemas/MedicationUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated medication
@@ -211,6 +233,8 @@ router.post('/', authenticate, authorize('admin', 'pharmacist', 'doctor'), async
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Medication'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -220,19 +244,21 @@ router.post('/', authenticate, authorize('admin', 'pharmacist', 'doctor'), async
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin', 'pharmacist'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('medication:update'), validate(medicationUpdate), async (req, res, next) => {
   try {
-    const medication = await Medication.findByIdAndUpdate(
+    const medication = await Medication.findById(req.params.id);
+    if (!medication) {
+      return next(new NotFoundError('Medication not found'));
+    }
+
+    const updatedMedication = await Medication.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      withControls(req.body, medication),
       { new: true, runValidators: true }
     );
-    if (!medication) {
-      return res.status(404).json({ error: 'Medication not found' });
-    }
-    res.json(medication);
+    res.json(updatedMedication);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -265,15 +291,15 @@ router.put('/:id', authenticate, authorize('admin', 'pharmacist'), async (req, r
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin', 'pharmacist'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('medication:delete'), async (req, res, next) => {
   try {
     const medication = await Medication.findByIdAndDelete(req.params.id);
     if (!medication) {
-      return res.status(404).json({ error: 'Medication not found' });
+      return next(new NotFoundError('Medication not found'));
     }
     res.json({ message: 'Medication deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
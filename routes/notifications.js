@@ -1,6 +1,9 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, can } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { notificationCreate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -35,23 +38,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     NotificationCreateRequest:
- *       type: object
- *       required:
- *         - title
- *         - message
- *         - type
- *       properties:
- *         user_id:
- *           type: string
- *         title:
- *           type: string
- *         message:
- *           type: string
- *         type:
- *           type: string
- *         reference_id:
- *           type: string
  */
 
 // Get notifications
@@ -78,7 +64,7 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const notifications = await Notification.find({ user_id: req.user._id })
       .sort({ createdAt: -1 })
@@ -86,7 +72,7 @@ router.get('/', authenticate, async (req, res) => {
 
     res.json(notifications);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -115,7 +101,7 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/unread/count', authenticate, async (req, res) => {
+router.get('/unread/count', authenticate, async (req, res, next) => {
   try {
     const count = await Notification.countDocuments({
       user_id: req.user._id,
@@ -124,7 +110,7 @@ router.get('/unread/count', authenticate, async (req, res) => {
 
     res.json({ count });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -161,15 +147,15 @@ router.get('/unread/count', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id/read', authenticate, async (req, res) => {
+router.put('/:id/read', authenticate, async (req, res, next) => {
   try {
     const notification = await Notification.findById(req.params.id);
     if (!notification) {
-      return res.status(404).json({ error: 'Notification not found' });
+      return next(new NotFoundError('Notification not found'));
     }
 
     if (notification.user_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+      return next(new ForbiddenError('Access denied'));
     }
 
     notification.is_read = true;
@@ -177,7 +163,7 @@ router.put('/:id/read', authenticate, async (req, res) => {
 
     res.json(notification);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -206,7 +192,7 @@ router.put('/:id/read', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/read/all', authenticate, async (req, res) => {
+router.put('/read/all', authenticate, async (req, res, next) => {
   try {
     await Notification.updateMany(
       { user_id: req.user._id, is_read: false },
@@ -215,7 +201,7 @@ router.put('/read/all', authenticate, async (req, res) => {
 
     res.json({ message: 'All notifications marked as read' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -242,13 +228,22 @@ router.put('/read/all', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validate(notificationCreate), async (req, res, next) => {
   try {
+    const forSomeoneElse = req.body.user_id && req.body.user_id.toString() !== req.user._id.toString();
+    if (forSomeoneElse && !can(req.user, 'notification:send')) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
     const notification = new Notification({
       ...req.body,
       user_id: req.body.user_id || req.user._id,
@@ -256,7 +251,7 @@ router.post('/', authenticate, async (req, res) => {
     await notification.save();
     res.status(201).json(notification);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
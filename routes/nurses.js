@@ -1,6 +1,9 @@
 import express from 'express';
 import Nurse from '../models/Nurse.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, can, canAny, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { nurseCreate, nurseUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -18,6 +21,8 @@ const router = express.Router();
  *           type: string
  *         user_id:
  *           type: string
+ *         hospital_id:
+ *           type: string
  *         license_number:
  *           type: string
  *         createdAt:
@@ -26,16 +31,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     NurseRequest:
- *       type: object
- *       required:
- *         - user_id
- *         - license_number
- *       properties:
- *         user_id:
- *           type: string
- *         license_number:
- *           type: string
  */
 
 // Get all nurses
@@ -62,14 +57,14 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const nurses = await Nurse.find()
       .populate('user_id', 'full_name email phone')
       .sort({ createdAt: -1 });
     res.json(nurses);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -104,16 +99,16 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const nurse = await Nurse.findById(req.params.id)
       .populate('user_id', 'full_name email phone');
     if (!nurse) {
-      return res.status(404).json({ error: 'Nurse not found' });
+      return next(new NotFoundError('Nurse not found'));
     }
     res.json(nurse);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -148,16 +143,16 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/user/:userId', authenticate, async (req, res) => {
+router.get('/user/:userId', authenticate, async (req, res, next) => {
   try {
     const nurse = await Nurse.findOne({ user_id: req.params.userId })
       .populate('user_id', 'full_name email phone');
     if (!nurse) {
-      return res.status(404).json({ error: 'Nurse not found' });
+      return next(new NotFoundError('Nurse not found'));
     }
     res.json(nurse);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -184,6 +179,8 @@ router.get('/user/:userId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Nurse'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -191,14 +188,14 @@ router.get('/user/:userId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('nurse:manage'), validate(nurseCreate), async (req, res, next) => {
   try {
     const nurse = new Nurse(req.body);
     await nurse.save();
     await nurse.populate('user_id', 'full_name email phone');
     res.status(201).json(nurse);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -224,7 +221,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/NurseRequest'
+ *             $ref: '#/components/schemas/NurseUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated nurse profile
@@ -232,6 +229,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Nurse'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -241,15 +240,17 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(nurseUpdate), async (req, res, next) => {
   try {
     const nurse = await Nurse.findById(req.params.id);
     if (!nurse) {
-      return res.status(404).json({ error: 'Nurse not found' });
+      return next(new NotFoundError('Nurse not found'));
     }
 
-    if (req.user.role !== 'admin' && nurse.user_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Own record with nurse:update, any record with nurse:update:any
+    const isOwn = nurse.user_id.toString() === req.user._id.toString();
+    if (!canAny(req.user, 'nurse:update') && !(isOwn && can(req.user, 'nurse:update'))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     const updatedNurse = await Nurse.findByIdAndUpdate(
@@ -259,7 +260,7 @@ router.put('/:id', authenticate, async (req, res) => {
     ).populate('user_id', 'full_name email phone');
     res.json(updatedNurse);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -292,15 +293,15 @@ router.put('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('nurse:manage'), async (req, res, next) => {
   try {
     const nurse = await Nurse.findByIdAndDelete(req.params.id);
     if (!nurse) {
-      return res.status(404).json({ error: 'Nurse not found' });
+      return next(new NotFoundError('Nurse not found'));
     }
     res.json({ message: 'Nurse deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -2,12 +2,59 @@ import express from 'express';
 import Payment from '../models/Payment.js';
 import Profile from '../models/Profile.js';
 import Insurance from '../models/Insurance.js';
-import Doctor from '../models/Doctor.js';
 import Appointment from '../models/Appointment.js';
-import { authenticate } from '../middleware/auth.js';
+import LabTestRequest from '../models/LabTestRequest.js';
+import { authenticate, can, canAccess, getOwnerScope, listScope } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { paymentCreate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/payments
+const PAYMENT_LIST = {
+  filters: {
+    status: { field: 'status', enum: Payment.schema.path('status').enumValues },
+    paymentType: { field: 'payment_type', enum: Payment.schema.path('payment_type').enumValues },
+    patientId: { field: 'patient_id' },
+    // Payments reference what they pay for; medication payments have no hospital
+    hospitalId: {
+      toQuery: async (hospitalIds) => {
+        const [appointmentIds, labRequestIds] = await Promise.all([
+          Appointment.distinct('_id', { hospital_id: { $in: hospitalIds } }),
+          LabTestRequest.distinct('_id', { hospital_id: { $in: hospitalIds } }),
+        ]);
+        return {
+          $or: [
+            { payment_type: 'consultation', reference_id: { $in: appointmentIds } },
+            { payment_type: 'lab_test', reference_id: { $in: labRequestIds } },
+          ],
+        };
+      },
+    },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    amount: ['amount'],
+    status: ['status'],
+  },
+  defaultSort: '-createdAt',
+};
+
+// The paying patient, or the doctor of the appointment a consultation payment is for
+const canAccessPayment = async (req, payment) => {
+  if (await canAccess(req, 'payment:read', payment)) {
+    return true;
+  }
+
+  const { doctor_id: doctorId } = await getOwnerScope(req);
+  if (!doctorId || payment.payment_type !== 'consultation' || !can(req.user, 'payment:read')) {
+    return false;
+  }
+  return Boolean(await Appointment.exists({ _id: payment.reference_id, doctor_id: doctorId }));
+};
+
 /**
  * @openapi
  * tags:
@@ -49,25 +96,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     PaymentCreateRequest:
- *       type: object
- *       required:
- *         - amount
- *         - payment_type
- *         - reference_id
- *       properties:
- *         amount:
- *           type: number
- *           format: float
- *         payment_type:
- *           type: string
- *           enum: [consultation, lab_test, medication]
- *         reference_id:
- *           type: string
- *         payment_method:
- *           type: string
- *         transaction_id:
- *           type: string
  */
 
 // Get payments
@@ -76,44 +104,81 @@ const router = express.Router();
  * /api/payments:
  *   get:
  *     summary: List payments for the authenticated user
+ *     description: One page of the payments the user may see. hospitalId matches consultation and lab test payments at the hospital.
  *     tags:
  *       - Payments
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more of pending, completed, failed, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: paymentType
+ *         in: query
+ *         description: One or more of consultation, lab_test, medication, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, amount, -amount, status, -status]
+ *           default: -createdAt
  *     responses:
  *       200:
- *         description: Array of payments
+ *         description: Page of payments
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Payment'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payment'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'admin') {
-      // Admin can see all
-    } else if (req.user.role === 'doctor') {
-      // Doctors can see consultation payments
-      query.payment_type = 'consultation';
+    const scope = await listScope(req, 'payment:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    // Payments have no doctor; doctors see consultation payments for their appointments
+    let query = scope;
+    if (scope.doctor_id) {
+      const appointments = await Appointment.find({ doctor_id: scope.doctor_id }).select('_id');
+      query = { payment_type: 'consultation', reference_id: { $in: appointments.map(a => a._id) } };
     }
 
-    const payments = await Payment.find(query)
-      .populate('patient_id', 'full_name email')
-      .sort({ createdAt: -1 });
+    const list = await parseListQuery(req.query, PAYMENT_LIST);
+    const page = await findPage(
+      Payment.find(withScope(query, list.filter)).populate('patient_id', 'full_name email'),
+      list
+    );
 
-    res.json(payments);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -150,22 +215,22 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const payment = await Payment.findById(req.params.id)
       .populate('patient_id', 'full_name email');
 
     if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
+      return next(new NotFoundError('Payment not found'));
     }
 
-    if (req.user.role !== 'admin' && payment.patient_id._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!(await canAccessPayment(req, payment))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     res.json(payment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -192,6 +257,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Payment'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -199,10 +266,10 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validate(paymentCreate), async (req, res, next) => {
   try {
-    if (req.user.role !== 'patient') {
-      return res.status(403).json({ error: 'Only patients can create payments' });
+    if (!can(req.user, 'payment:create')) {
+      return next(new ForbiddenError('Only patients can create payments'));
     }
 
     const { amount, payment_type, reference_id, payment_method, transaction_id } = req.body;
@@ -237,7 +304,7 @@ router.post('/', authenticate, async (req, res) => {
 
     res.status(201).json(payment);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -281,7 +348,7 @@ router.post('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/reference/:type/:referenceId', authenticate, async (req, res) => {
+router.get('/reference/:type/:referenceId', authenticate, async (req, res, next) => {
   try {
     const payment = await Payment.findOne({
       payment_type: req.params.type,
@@ -289,34 +356,17 @@ router.get('/reference/:type/:referenceId', authenticate, async (req, res) => {
     }).populate('patient_id', 'full_name email');
 
     if (!payment) {
-      return res.status(404).json({ error: 'Payment not found' });
+      return next(new NotFoundError('Payment not found'));
     }
 
-    // Allow access for admins
-    if (req.user.role === 'admin') {
+    if (await canAccessPayment(req, payment)) {
       return res.json(payment);
     }
 
-    // Allow access for the patient themselves
-    if (payment.patient_id._id.toString() === req.user._id.toString()) {
-      return res.json(payment);
-    }
-
-    // Allow access for doctors if it's a consultation payment and the appointment is assigned to them
-    if (req.user.role === 'doctor' && req.params.type === 'consultation') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        const appointment = await Appointment.findById(req.params.referenceId);
-        if (appointment && appointment.doctor_id.toString() === doctor._id.toString()) {
-          return res.json(payment);
-        }
-      }
-    }
-
     // Deny access for all other cases
-    return res.status(403).json({ error: 'Access denied' });
+    return next(new ForbiddenError('Access denied'));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
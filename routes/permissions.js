@@ -0,0 +1,189 @@
+import express from 'express';
+import Profile from '../models/Profile.js';
+import { authenticate, can, requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, ROLE_PERMISSIONS, permissionsFor } from '../config/permissions.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Permissions
+ *     description: Role-based permission policy
+ * components:
+ *   schemas:
+ *     PermissionPolicy:
+ *       type: object
+ *       properties:
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: appointment:approve
+ *               description:
+ *                 type: string
+ *         roles:
+ *           type: object
+ *           description: Permissions granted to each role
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *     PermissionCheck:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *         permission:
+ *           type: string
+ *         allowed:
+ *           type: boolean
+ *           description: Whether the role holds the permission (ownership rules still apply to records)
+ */
+
+// Get permission policy (admin only)
+/**
+ * @openapi
+ * /api/permissions:
+ *   get:
+ *     summary: View the full permission policy
+ *     tags:
+ *       - Permissions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All permissions and the roles holding them
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionPolicy'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, requirePermission('permission:read'), async (req, res, next) => {
+  try {
+    res.json({
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: ROLE_PERMISSIONS,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get own permissions
+/**
+ * @openapi
+ * /api/permissions/me:
+ *   get:
+ *     summary: Permissions of the current user
+ *     tags:
+ *       - Permissions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and granted permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 role:
+ *                   type: string
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    res.json({ role: req.user.role, permissions: permissionsFor(req.user.role) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a permission (admin only)
+/**
+ * @openapi
+ * /api/permissions/check:
+ *   get:
+ *     summary: Check whether a role or user holds a permission
+ *     tags:
+ *       - Permissions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: permission
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: role
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [patient, doctor, lab_technician, pharmacist, admin, nurse]
+ *       - name: userId
+ *         in: query
+ *         schema:
+ *           type: string
+ *         description: Check the role of this user instead of passing role
+ *     responses:
+ *       200:
+ *         description: Check result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PermissionCheck'
+ *       400:
+ *         description: Unknown permission or role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/check', authenticate, requirePermission('permission:read'), async (req, res, next) => {
+  try {
+    const { permission } = req.query;
+    if (!PERMISSIONS[permission]) {
+      return next(new BadRequestError('Unknown permission'));
+    }
+
+    let { role } = req.query;
+    if (req.query.userId) {
+      const user = await Profile.findById(req.query.userId).select('role');
+      if (!user) {
+        return next(new NotFoundError('User not found'));
+      }
+      role = user.role;
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+      return next(new BadRequestError('A valid role or userId is required'));
+    }
+
+    res.json({ role, permission, allowed: can(role, permission) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,13 @@
 import express from 'express';
 import Pharmacy from '../models/Pharmacy.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import Prescription from '../models/Prescription.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
+import { authenticate, canAccess, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { pharmacyCreate, pharmacyUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { nearStages, parseNearQuery } from '../utils/geo.js';
+import { pharmacyAvailability } from '../utils/stock.js';
 
 const router = express.Router();
 
@@ -31,6 +38,8 @@ const router = express.Router();
  *         longitude:
  *           type: number
  *           format: float
+ *         geo:
+ *           $ref: '#/components/schemas/GeoPoint'
  *         pharmacist_id:
  *           type: string
  *           nullable: true
@@ -40,30 +49,42 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     PharmacyRequest:
+ *     GeoPoint:
  *       type: object
- *       required:
- *         - name
- *         - location
+ *       description: GeoJSON copy of latitude and longitude used by nearby searches; absent without coordinates
  *       properties:
- *         name:
- *           type: string
- *         location:
- *           type: string
- *         phone:
- *           type: string
- *         email:
- *           type: string
- *           format: email
- *         latitude:
- *           type: number
- *           format: float
- *         longitude:
- *           type: number
- *           format: float
- *         pharmacist_id:
+ *         type:
  *           type: string
- *           nullable: true
+ *           enum: [Point]
+ *         coordinates:
+ *           type: array
+ *           description: '[longitude, latitude]'
+ *           items:
+ *             type: number
+ *     NearbyPharmacy:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Pharmacy'
+ *         - type: object
+ *           properties:
+ *             distance_km:
+ *               type: number
+ *               format: float
+ *               description: Distance from the searched point
+ *             availability:
+ *               type: object
+ *               description: Stock of the prescription's items at the pharmacy; only when prescriptionId is given
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 in_stock_count:
+ *                   type: integer
+ *                 complete:
+ *                   type: boolean
+ *                 total_price:
+ *                   type: number
+ *                   format: float
  */
 
 // Get all pharmacies
@@ -90,14 +111,100 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
     const pharmacies = await Pharmacy.find()
       .populate('pharmacist_id', 'full_name email')
       .sort({ name: 1 });
     res.json(pharmacies);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Find nearby pharmacies
+/**
+ * @openapi
+ * /api/pharmacies/nearby:
+ *   get:
+ *     summary: List pharmacies near a point, nearest first
+ *     description: |
+ *       Pharmacies with coordinates within `radius` km of the point. With
+ *       prescriptionId, only pharmacies holding at least one of the
+ *       prescription's items (every item with complete=true), each with the
+ *       stock and price of every item there, as in
+ *       GET /api/prescriptions/{id}/pharmacies.
+ *     tags:
+ *       - Pharmacies
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Latitude'
+ *       - $ref: '#/components/parameters/Longitude'
+ *       - $ref: '#/components/parameters/Radius'
+ *       - $ref: '#/components/parameters/NearLimit'
+ *       - name: prescriptionId
+ *         in: query
+ *         description: Only pharmacies stocking this prescription's medications
+ *         schema:
+ *           type: string
+ *       - name: complete
+ *         in: query
+ *         description: With prescriptionId, true to list only pharmacies that can fill every item
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: Pharmacies by distance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/NearbyPharmacy'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied to the prescription
+ *       404:
+ *         description: Prescription not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/nearby', authenticate, async (req, res, next) => {
+  try {
+    const near = parseNearQuery(req.query);
+
+    let stocked;
+    if (req.query.prescriptionId) {
+      const prescription = await Prescription.findById(req.query.prescriptionId);
+      if (!prescription) {
+        return next(new NotFoundError('Prescription not found'));
+      }
+      if (!(await canAccess(req, 'prescription:read', prescription))) {
+        return next(new ForbiddenError('Access denied'));
+      }
+
+      const items = await PrescriptionItem.find({ prescription_id: prescription._id }).populate('medication_id', 'name');
+      stocked = new Map(
+        (await pharmacyAvailability(items))
+          .filter(entry => req.query.complete !== 'true' || entry.complete)
+          .map(({ pharmacy, ...availability }) => [String(pharmacy._id), { _id: pharmacy._id, availability }])
+      );
+    }
+
+    const query = stocked ? { _id: { $in: [...stocked.values()].map(entry => entry._id) } } : {};
+    const pharmacies = await Pharmacy.aggregate(nearStages(near, query));
+    await Pharmacy.populate(pharmacies, { path: 'pharmacist_id', select: 'full_name email' });
+
+    res.json(stocked
+      ? pharmacies.map(pharmacy => ({ ...pharmacy, availability: stocked.get(String(pharmacy._id)).availability }))
+      : pharmacies);
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -132,16 +239,16 @@ router.get('/', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const pharmacy = await Pharmacy.findById(req.params.id)
       .populate('pharmacist_id', 'full_name email');
     if (!pharmacy) {
-      return res.status(404).json({ error: 'Pharmacy not found' });
+      return next(new NotFoundError('Pharmacy not found'));
     }
     res.json(pharmacy);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -176,15 +283,15 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/pharmacist/:pharmacistId', authenticate, async (req, res) => {
+router.get('/pharmacist/:pharmacistId', authenticate, async (req, res, next) => {
   try {
     const pharmacy = await Pharmacy.findOne({ pharmacist_id: req.params.pharmacistId });
     if (!pharmacy) {
-      return res.status(404).json({ error: 'Pharmacy not found' });
+      return next(new NotFoundError('Pharmacy not found'));
     }
     res.json(pharmacy);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -203,7 +310,7 @@ router.get('/pharmacist/:pharmacistId', authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/PharmacyRequest'
+ *             $ref: '#/components/schemas/PharmacyCreateRequest'
  *     responses:
  *       201:
  *         description: Pharmacy created
@@ -211,6 +318,8 @@ router.get('/pharmacist/:pharmacistId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Pharmacy'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -218,14 +327,14 @@ router.get('/pharmacist/:pharmacistId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('admin'), async (req, res) => {
+router.post('/', authenticate, requirePermission('pharmacy:manage'), validate(pharmacyCreate), async (req, res, next) => {
   try {
     const pharmacy = new Pharmacy(req.body);
     await pharmacy.save();
     await pharmacy.populate('pharmacist_id', 'full_name email');
     res.status(201).json(pharmacy);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -251,7 +360,7 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/PharmacyRequest'
+ *             $ref: '#/components/schemas/PharmacyUpdateRequest'
  *     responses:
  *       200:
  *         description: Updated pharmacy
@@ -259,6 +368,8 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Pharmacy'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -268,19 +379,19 @@ router.post('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.put('/:id', authenticate, requirePermission('pharmacy:manage'), validate(pharmacyUpdate), async (req, res, next) => {
   try {
-    const pharmacy = await Pharmacy.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('pharmacist_id', 'full_name email');
+    // Loaded and saved, so geo follows latitude and longitude
+    const pharmacy = await Pharmacy.findById(req.params.id);
     if (!pharmacy) {
-      return res.status(404).json({ error: 'Pharmacy not found' });
+      return next(new NotFoundError('Pharmacy not found'));
     }
+    pharmacy.set(req.body);
+    await pharmacy.save();
+    await pharmacy.populate('pharmacist_id', 'full_name email');
     res.json(pharmacy);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -313,15 +424,15 @@ router.put('/:id', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('pharmacy:manage'), async (req, res, next) => {
   try {
     const pharmacy = await Pharmacy.findByIdAndDelete(req.params.id);
     if (!pharmacy) {
-      return res.status(404).json({ error: 'Pharmacy not found' });
+      return next(new NotFoundError('Pharmacy not found'));
     }
     res.json({ message: 'Pharmacy deleted' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -0,0 +1,429 @@
+import express from 'express';
+import PharmacyInventory from '../models/PharmacyInventory.js';
+import Pharmacy from '../models/Pharmacy.js';
+import Medication from '../models/Medication.js';
+import { authenticate, canAccess, listScope } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { inventoryCreate, inventoryUpdate } from '../validation/schemas.js';
+import { ConflictError, ForbiddenError, NotFoundError, RequestValidationError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { isControlled, recordRegister } from '../utils/controlled.js';
+
+const router = express.Router();
+
+// Filters and sort orders of GET /api/pharmacy-inventory
+const INVENTORY_LIST = {
+  filters: {
+    pharmacyId: { field: 'pharmacy_id' },
+    medicationId: { field: 'medication_id' },
+    lowStock: {
+      enum: ['true', 'false'],
+      toQuery: async ([value]) => {
+        const low = { $lte: [{ $subtract: ['$quantity', '$reserved_quantity'] }, '$reorder_level'] };
+        return { $expr: value === 'true' ? low : { $not: [low] } };
+      },
+    },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    updatedAt: ['updatedAt'],
+    quantity: ['quantity'],
+  },
+  defaultSort: '-updatedAt',
+};
+
+const INVENTORY_POPULATE = [
+  { path: 'pharmacy_id', select: 'name location' },
+  { path: 'medication_id', select: 'name category unit_price requires_prescription' },
+];
+
+/**
+ * @openapi
+ * tags:
+ *   - name: PharmacyInventory
+ *     description: Manage the medication stock of each pharmacy
+ * components:
+ *   schemas:
+ *     PharmacyInventory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         pharmacy_id:
+ *           type: string
+ *         medication_id:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         reserved_quantity:
+ *           type: integer
+ *           description: Part of the quantity held for accepted pharmacy requests
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *           nullable: true
+ *           description: The pharmacy's own price; null sells at the prescribed price
+ *         reorder_level:
+ *           type: integer
+ *           description: Available stock at or below this counts as low
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get inventory entries
+/**
+ * @openapi
+ * /api/pharmacy-inventory:
+ *   get:
+ *     summary: List the stock of the user's pharmacies
+ *     description: Pharmacists see the pharmacies they are assigned to, administrators every pharmacy.
+ *     tags:
+ *       - PharmacyInventory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: pharmacyId
+ *         in: query
+ *         description: One or more pharmacy IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: medicationId
+ *         in: query
+ *         description: One or more medication IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: lowStock
+ *         in: query
+ *         description: true for entries whose available stock is at or below their reorder level, false for the others
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt, quantity, -quantity]
+ *           default: -updatedAt
+ *     responses:
+ *       200:
+ *         description: Page of inventory entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PharmacyInventory'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const scope = await listScope(req, 'inventory:manage');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const list = await parseListQuery(req.query, INVENTORY_LIST);
+    const page = await findPage(
+      PharmacyInventory.find(withScope(scope, list.filter)).populate(INVENTORY_POPULATE),
+      list
+    );
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get inventory entry by ID
+/**
+ * @openapi
+ * /api/pharmacy-inventory/{id}:
+ *   get:
+ *     summary: Retrieve an inventory entry
+ *     tags:
+ *       - PharmacyInventory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory entry ID
+ *     responses:
+ *       200:
+ *         description: Inventory entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PharmacyInventory'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Inventory entry not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const entry = await PharmacyInventory.findById(req.params.id).populate(INVENTORY_POPULATE);
+    if (!entry) {
+      return next(new NotFoundError('Inventory entry not found'));
+    }
+
+    if (!(await canAccess(req, 'inventory:manage', entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    res.json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add medication to a pharmacy's inventory
+/**
+ * @openapi
+ * /api/pharmacy-inventory:
+ *   post:
+ *     summary: Start stocking a medication at a pharmacy
+ *     tags:
+ *       - PharmacyInventory
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PharmacyInventoryRequest'
+ *     responses:
+ *       201:
+ *         description: Inventory entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PharmacyInventory'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Pharmacy or medication not found
+ *       409:
+ *         description: The pharmacy already stocks this medication
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, validate(inventoryCreate), async (req, res, next) => {
+  try {
+    if (!(await canAccess(req, 'inventory:manage', req.body))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const [pharmacy, medication] = await Promise.all([
+      Pharmacy.exists({ _id: req.body.pharmacy_id }),
+      Medication.exists({ _id: req.body.medication_id }),
+    ]);
+    if (!pharmacy) {
+      return next(new NotFoundError('Pharmacy not found'));
+    }
+    if (!medication) {
+      return next(new NotFoundError('Medication not found'));
+    }
+
+    const entry = await PharmacyInventory.create(req.body);
+    await recordRegister(entry.pharmacy_id, [{
+      medication_id: entry.medication_id,
+      type: 'receipt',
+      quantity: entry.quantity,
+      balance: entry.quantity,
+      notes: 'Opening stock',
+    }], req.user);
+    await entry.populate(INVENTORY_POPULATE);
+
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update inventory entry
+/**
+ * @openapi
+ * /api/pharmacy-inventory/{id}:
+ *   put:
+ *     summary: Update the stock, price or reorder level of an inventory entry
+ *     description: Stock changes of controlled substances are written to the pharmacy's controlled drug register and need a register_note.
+ *     tags:
+ *       - PharmacyInventory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PharmacyInventoryUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: Updated inventory entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PharmacyInventory'
+ *       400:
+ *         description: Validation failed, or the quantity of a controlled substance was changed without a register_note
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Inventory entry not found
+ *       409:
+ *         description: quantity is below the reserved quantity
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authenticate, validate(inventoryUpdate), async (req, res, next) => {
+  try {
+    const entry = await PharmacyInventory.findById(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError('Inventory entry not found'));
+    }
+
+    if (!(await canAccess(req, 'inventory:manage', entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { register_note: registerNote, ...changes } = req.body;
+    if (changes.quantity !== undefined && !registerNote && (await isControlled(entry.medication_id))) {
+      return next(new RequestValidationError([{ field: 'register_note', message: 'is required when changing the stock of a controlled substance' }]));
+    }
+
+    const filter = { _id: entry._id };
+    // Stock promised to accepted pharmacy requests cannot be written off
+    if (changes.quantity !== undefined) {
+      filter.reserved_quantity = { $lte: changes.quantity };
+    }
+
+    // The entry as the update found it, so the register records the change this update made
+    const previous = await PharmacyInventory.findOneAndUpdate(filter, changes, { new: false, runValidators: true });
+    if (!previous) {
+      return next(new ConflictError(
+        'Stock cannot go below the quantity reserved for accepted pharmacy requests',
+        { code: 'insufficient_stock' }
+      ));
+    }
+
+    if (changes.quantity !== undefined) {
+      const change = changes.quantity - previous.quantity;
+      await recordRegister(entry.pharmacy_id, [{
+        medication_id: entry.medication_id,
+        type: change > 0 ? 'receipt' : 'adjustment',
+        quantity: change,
+        balance: changes.quantity,
+        notes: registerNote,
+      }], req.user);
+    }
+
+    res.json(await PharmacyInventory.findById(entry._id).populate(INVENTORY_POPULATE));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove medication from a pharmacy's inventory
+/**
+ * @openapi
+ * /api/pharmacy-inventory/{id}:
+ *   delete:
+ *     summary: Stop stocking a medication at a pharmacy
+ *     tags:
+ *       - PharmacyInventory
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Inventory entry ID
+ *     responses:
+ *       200:
+ *         description: Inventory entry deleted confirmation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Inventory entry not found
+ *       409:
+ *         description: Part of the stock is reserved for accepted pharmacy requests
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    const entry = await PharmacyInventory.findById(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError('Inventory entry not found'));
+    }
+
+    if (!(await canAccess(req, 'inventory:manage', entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { deletedCount } = await PharmacyInventory.deleteOne({ _id: entry._id, reserved_quantity: 0 });
+    if (deletedCount === 0) {
+      return next(new ConflictError('Stock reserved for accepted pharmacy requests cannot be removed', { code: 'insufficient_stock' }));
+    }
+    await recordRegister(entry.pharmacy_id, [{
+      medication_id: entry.medication_id,
+      type: 'adjustment',
+      quantity: -entry.quantity,
+      balance: 0,
+      notes: 'Removed from inventory',
+    }], req.user);
+
+    res.json({ message: 'Inventory entry deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
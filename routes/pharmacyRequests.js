@@ -1,10 +1,180 @@
 import express from 'express';
 import PharmacyRequest from '../models/PharmacyRequest.js';
+import Prescription from '../models/Prescription.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
 import Pharmacy from '../models/Pharmacy.js';
-import { authenticate } from '../middleware/auth.js';
+import Medication from '../models/Medication.js';
+import Notification from '../models/Notification.js';
+import { authenticate, can, canAccess, listScope, ownsRecord } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { pharmacyRequestCreate, pharmacyRequestUpdate, substitutionConsent } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, RequestValidationError } from '../utils/errors.js';
+import { PHARMACY_REQUEST_POPULATE } from '../utils/views.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import {
+  HOLDING_REQUEST_STATUSES,
+  OPEN_REQUEST_STATUSES,
+  assertValid,
+  claimFill,
+  fulfilmentLines,
+  recordDispensing,
+  releaseFill,
+  suppliedMedication,
+} from '../utils/prescriptions.js';
+import { moveStock } from '../utils/stock.js';
+import { assertSigned, recordRegister } from '../utils/controlled.js';
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/pharmacy-requests
+const PHARMACY_REQUEST_LIST = {
+  filters: {
+    status: { field: 'status', enum: PharmacyRequest.schema.path('status').enumValues },
+    pharmacyId: { field: 'pharmacy_id' },
+    patientId: { field: 'patient_id' },
+    prescriptionId: { field: 'prescription_id' },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    status: ['status'],
+  },
+  defaultSort: '-createdAt',
+};
+
+// Pharmacy request status transitions, one workflow step at a time; dispensed and rejected are final
+const REQUEST_TRANSITIONS = {
+  pending: ['accepted', 'rejected'],
+  accepted: ['preparing', 'rejected'],
+  preparing: ['ready_for_pickup', 'rejected'],
+  ready_for_pickup: ['dispensed', 'rejected'],
+};
+
+// What the patient is told at each step; `pharmacy` is the pharmacy's name
+const STATUS_NOTICES = {
+  accepted: {
+    title: 'Prescription Accepted',
+    message: pharmacy => `${pharmacy} accepted your prescription and is holding the medication for you`,
+  },
+  preparing: {
+    title: 'Prescription Being Prepared',
+    message: pharmacy => `${pharmacy} is preparing your medication`,
+  },
+  ready_for_pickup: {
+    title: 'Ready for Pickup',
+    message: pharmacy => `Your medication is ready for pickup at ${pharmacy}`,
+  },
+  dispensed: {
+    title: 'Medication Dispensed',
+    message: (pharmacy, request) => (request.items.every(line => line.status === 'dispensed')
+      ? `${pharmacy} dispensed your medication`
+      : `${pharmacy} dispensed your medication in part; some items were short or unavailable`),
+  },
+  rejected: {
+    title: 'Prescription Rejected',
+    message: (pharmacy, request) => `${pharmacy} rejected your prescription${request.rejection_reason ? `: ${request.rejection_reason}` : ''}`,
+  },
+};
+
+const notifyPatient = (request, title, message) => Notification.create({
+  user_id: request.patient_id,
+  title,
+  message,
+  type: 'prescription',
+  reference_id: request._id,
+});
+
+// The request's prescription items by id
+const prescribedItems = async (request) => new Map(
+  (await PrescriptionItem.find({ prescription_id: request.prescription_id }).select('medication_id quantity'))
+    .map(item => [String(item._id), item])
+);
+
+// What each line holds at the pharmacy before a change: the supplied medication and the reserved quantity
+const holdings = (request, prescribed) => request.items.map(line => ({
+  medication_id: suppliedMedication(line, prescribed.get(String(line.prescription_item_id))),
+  reserved: line.reserved_quantity,
+}));
+
+// A dispensed line below the prescribed quantity is partial, one of nothing is unavailable
+const lineStatus = (status, dispensed, quantity) => {
+  if (status !== 'dispensed') {
+    return status;
+  }
+  if (dispensed === 0) {
+    return 'unavailable';
+  }
+  return dispensed < quantity ? 'partial' : 'dispensed';
+};
+
+/**
+ * Stock moves that bring the pharmacy's inventory in line with `request`
+ * being in `status`, starting from what its lines held (see holdings). While
+ * a request is accepted, preparing or ready for pickup each line holds what it
+ * will hand over, of the medication it will hand over; dispensing deducts what
+ * was dispensed and frees the rest, rejection frees everything. The lines'
+ * reserved_quantity is updated to match.
+ */
+const stockMovesFor = (request, status, prescribed, held) => {
+  const moves = [];
+  request.items.forEach((line, index) => {
+    const item = prescribed.get(String(line.prescription_item_id));
+    if (!item) {
+      return;
+    }
+    const before = held[index];
+    const medicationId = suppliedMedication(line, item);
+    const target = HOLDING_REQUEST_STATUSES.includes(status)
+      ? (line.status === 'pending' ? item.quantity : line.dispensed_quantity)
+      : 0;
+    const stock = status === 'dispensed' ? -line.dispensed_quantity : 0;
+
+    if (String(medicationId) === String(before.medication_id)) {
+      moves.push({ pharmacy_id: request.pharmacy_id, medication_id: medicationId, stock, reserved: target - before.reserved });
+    } else {
+      // The line changed medication: free what was held of the old one
+      moves.push({ pharmacy_id: request.pharmacy_id, medication_id: before.medication_id, reserved: -before.reserved });
+      moves.push({ pharmacy_id: request.pharmacy_id, medication_id: medicationId, stock, reserved: target });
+    }
+    line.reserved_quantity = target;
+  });
+  return moves;
+};
+
+/**
+ * Offers the patient `update.substitute_medication_id` in place of the line's
+ * prescribed medication, or withdraws the offer when it is null. Only generic
+ * equivalents, sharing the prescribed medication's generic_name, may be
+ * offered. Returns what is wrong with the substitute, or null.
+ */
+const offerSubstitution = (line, item, update, medications, user) => {
+  if (update.substitute_medication_id === null) {
+    line.substitution = undefined;
+    return null;
+  }
+
+  const prescribedMedication = medications.get(String(item?.medication_id));
+  const substitute = medications.get(String(update.substitute_medication_id));
+  if (!substitute) {
+    return 'is not a known medication';
+  }
+  if (String(substitute._id) === String(item?.medication_id)) {
+    return 'is the prescribed medication';
+  }
+  const generic = name => name?.trim().toLowerCase();
+  if (!generic(substitute.generic_name) || generic(substitute.generic_name) !== generic(prescribedMedication?.generic_name)) {
+    return `is not a generic equivalent of ${prescribedMedication?.name ?? 'the prescribed medication'}`;
+  }
+
+  line.substitution = {
+    medication_id: substitute._id,
+    reason: update.substitution_reason,
+    status: 'awaiting_consent',
+    proposed_by: user._id,
+    proposed_at: new Date(),
+  };
+  return null;
+};
+
 /**
  * @openapi
  * tags:
@@ -25,34 +195,70 @@ const router = express.Router();
  *           type: string
  *         status:
  *           type: string
- *           enum: [pending, approved, rejected, completed]
+ *           enum: [pending, accepted, preparing, ready_for_pickup, dispensed, rejected]
  *         rejection_reason:
  *           type: string
  *           nullable: true
+ *         refill_request_id:
+ *           type: string
+ *           nullable: true
+ *           description: The approved refill this request fills; absent for the first fill
+ *         items:
+ *           type: array
+ *           description: Fulfilment of each prescription item
+ *           items:
+ *             $ref: '#/components/schemas/PharmacyRequestLine'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     PharmacyRequestCreate:
+ *     PharmacyRequestLine:
  *       type: object
- *       required:
- *         - prescription_id
- *         - pharmacy_id
  *       properties:
- *         prescription_id:
+ *         prescription_item_id:
  *           type: string
- *         pharmacy_id:
+ *         status:
  *           type: string
- *     PharmacyRequestUpdate:
+ *           enum: [pending, dispensed, partial, unavailable]
+ *           description: partial lines were dispensed below the prescribed quantity
+ *         prescribed_quantity:
+ *           type: integer
+ *         dispensed_quantity:
+ *           type: integer
+ *         reserved_quantity:
+ *           type: integer
+ *           description: Stock of the supplied medication held at the pharmacy while the request is accepted, preparing or ready for pickup
+ *         substitution:
+ *           $ref: '#/components/schemas/Substitution'
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *           description: The pharmacy's price, or the prescribed price when it has none
+ *         notes:
+ *           type: string
+ *     Substitution:
  *       type: object
+ *       nullable: true
+ *       description: A generic equivalent offered in place of the prescribed medication
  *       properties:
+ *         medication_id:
+ *           type: string
+ *         reason:
+ *           type: string
  *         status:
  *           type: string
- *           enum: [pending, approved, rejected, completed]
- *         rejection_reason:
+ *           enum: [awaiting_consent, accepted, declined]
+ *           description: The substitute is only supplied once accepted by the patient
+ *         proposed_by:
+ *           type: string
+ *         proposed_at:
+ *           type: string
+ *           format: date-time
+ *         decided_at:
  *           type: string
+ *           format: date-time
  */
 
 // Get pharmacy requests
@@ -61,132 +267,75 @@ const router = express.Router();
  * /api/pharmacy-requests:
  *   get:
  *     summary: List pharmacy requests for authenticated user
+ *     description: One page of the pharmacy requests the user may see.
  *     tags:
  *       - PharmacyRequests
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more of pending, accepted, preparing, ready_for_pickup, dispensed, rejected, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: pharmacyId
+ *         in: query
+ *         description: One or more pharmacy IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: prescriptionId
+ *         in: query
+ *         description: One or more prescription IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, status, -status]
+ *           default: -createdAt
  *     responses:
  *       200:
- *         description: Array of pharmacy requests
+ *         description: Page of pharmacy requests
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/PharmacyRequest'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PharmacyRequest'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'pharmacist') {
-      const pharmacy = await Pharmacy.findOne({ pharmacist_id: req.user._id });
-      if (pharmacy) {
-        query.pharmacy_id = pharmacy._id;
-      } else {
-        return res.json([]);
-      }
+    const scope = await listScope(req, 'pharmacyrequest:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    const requests = await PharmacyRequest.find(query)
-      .populate('prescription_id')
-      .populate({
-        path: 'prescription_id',
-        populate: [
-          { path: 'patient_id', select: 'full_name phone' },
-          { path: 'doctor_id' },
-          {
-            path: 'doctor_id',
-            populate: { path: 'user_id', select: 'full_name' }
-          },
-          { path: 'medication_id' } // Each prescription now has one medication directly
-        ]
-      })
-      .populate('pharmacy_id')
-      .populate('patient_id', 'full_name phone')
-      .sort({ createdAt: -1 });
-
-    // Log prescription details - each prescription now represents one medication
-    for (const request of requests) {
-      if (request.prescription_id && request.prescription_id._id) {
-        const prescriptionId = request.prescription_id._id;
-        const pres = request.prescription_id;
-        
-        // Ensure prescription is plain object
-        if (pres && typeof pres.toObject === 'function') {
-          request.prescription_id = pres.toObject();
-        }
-        
-        // Create items array with single item (for backward compatibility with frontend)
-        // Each prescription now IS one item, so we wrap it in an items array
-        const medicationItem = {
-          _id: pres._id,
-          medication_id: pres.medication_id,
-          quantity: pres.quantity,
-          dosage: pres.dosage,
-          instructions: pres.instructions,
-          unit_price: pres.unit_price || 0,
-          total_price: pres.total_price || 0,
-        };
-        request.prescription_id.items = [medicationItem];
-        
-        // Log full prescription details being sent to pharmacy
-        console.log('\n📋 ===== PRESCRIPTION SENT TO PHARMACY =====');
-        console.log(`Pharmacy Request ID: ${request._id}`);
-        console.log(`Prescription ID: ${prescriptionId.toString()}`);
-        console.log(`Patient: ${pres?.patient_id?.full_name || 'Unknown'}`);
-        console.log(`Status: ${pres?.status || 'Unknown'}`);
-        console.log(`Total Price: ${pres?.total_price || 0} RWF`);
-        console.log(`Notes: ${pres?.notes || 'None'}`);
-        console.log(`\n💊 PRESCRIPTION MEDICATION (1 medication per prescription):`);
-        console.log(`  - Prescription ID: ${pres._id}`);
-        console.log(`  - Medication: ${pres.medication_id?.name || pres.medication_id?._id || 'Unknown'}`);
-        console.log(`  - Medication ID: ${pres.medication_id?._id || 'N/A'}`);
-        console.log(`  - Quantity: ${pres.quantity || 0}`);
-        console.log(`  - Dosage: ${pres.dosage || 'N/A'}`);
-        console.log(`  - Instructions: ${pres.instructions || 'None'}`);
-        console.log(`  - Unit Price: ${pres.unit_price || 0} RWF`);
-        console.log(`  - Total Price: ${pres.total_price || 0} RWF`);
-        if (pres.medication_id && typeof pres.medication_id === 'object' && pres.medication_id.stock_quantity !== undefined) {
-          console.log(`  - Stock Quantity: ${pres.medication_id.stock_quantity}`);
-        }
-        console.log('📋 ===== END PRESCRIPTION DETAILS =====\n');
-        
-        // Validate prescription has medication
-        if (!pres.medication_id) {
-          request.isInvalid = true;
-          request.invalidReason = 'Prescription has no medication';
-          console.log(`⚠️ Warning: Prescription ${prescriptionId.toString()} has no medication!`);
-        } else {
-          request.isInvalid = false;
-        }
-      } else {
-        console.log(`Warning: Pharmacy request ${request._id} has no prescription_id`);
-        if (request.prescription_id) {
-          request.prescription_id.items = [];
-        }
-      }
-    }
-
-    // Log summary of all requests being sent
-    console.log('\n📊 ===== PHARMACY REQUESTS SUMMARY =====');
-    console.log(`Total Requests: ${requests.length}`);
-    requests.forEach((req, index) => {
-      const pres = req.prescription_id;
-      const hasMedication = pres?.medication_id ? 1 : 0;
-      console.log(`  Request ${index + 1}: ID=${req._id}, Prescription=${pres?._id || 'N/A'}, Medication=${hasMedication}, Status=${pres?.status || 'N/A'}`);
-    });
-    console.log('📊 ===== END SUMMARY =====\n');
+    const list = await parseListQuery(req.query, PHARMACY_REQUEST_LIST);
+    const page = await findPage(PharmacyRequest.find(withScope(scope, list.filter)).populate(PHARMACY_REQUEST_POPULATE), list);
 
-    res.json(requests);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -216,41 +365,28 @@ router.get('/', authenticate, async (req, res) => {
  *               $ref: '#/components/schemas/PharmacyRequest'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Request not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
-    const request = await PharmacyRequest.findById(req.params.id)
-      .populate('prescription_id')
-      .populate({
-        path: 'prescription_id',
-        populate: [
-          { path: 'patient_id', select: 'full_name phone' },
-          { path: 'doctor_id' },
-          {
-            path: 'doctor_id',
-            populate: { path: 'user_id', select: 'full_name' }
-          }
-        ]
-      })
-      .populate('pharmacy_id')
-      .populate('patient_id', 'full_name phone');
+    const request = await PharmacyRequest.findById(req.params.id).populate(PHARMACY_REQUEST_POPULATE);
 
     if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
+      return next(new NotFoundError('Request not found'));
     }
 
-    const PrescriptionItem = (await import('../models/PrescriptionItem.js')).default;
-    const items = await PrescriptionItem.find({ prescription_id: request.prescription_id._id })
-      .populate('medication_id');
-    request.prescription_id.items = items;
+    if (!(await canAccess(req, 'pharmacyrequest:read', request))) {
+      return next(new ForbiddenError('Access denied'));
+    }
 
     res.json(request);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -277,42 +413,53 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PharmacyRequest'
+ *       400:
+ *         description: Validation failed, or the prescription has no items
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
+ *       404:
+ *         description: Prescription not found
+ *       409:
+ *         description: The prescription has expired (prescription_expired), is not valid yet (prescription_not_yet_valid) or was already dispensed
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, validate(pharmacyRequestCreate), async (req, res, next) => {
   try {
-    if (req.user.role !== 'patient') {
-      return res.status(403).json({ error: 'Only patients can create pharmacy requests' });
+    if (!can(req.user, 'pharmacyrequest:create')) {
+      return next(new ForbiddenError('Only patients can create pharmacy requests'));
+    }
+
+    const prescription = await Prescription.findById(req.body.prescription_id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+    if (!(await ownsRecord(req, prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+    assertValid(prescription);
+    if (prescription.dispense_count > 0) {
+      return next(new ConflictError('The prescription has already been dispensed; ask the doctor for a refill instead'));
+    }
+
+    const items = await fulfilmentLines(prescription._id, req.body.pharmacy_id);
+    if (items.length === 0) {
+      return next(new BadRequestError('The prescription has no items'));
     }
 
     const request = new PharmacyRequest({
       ...req.body,
       patient_id: req.user._id,
+      items,
     });
     await request.save();
-    await request.populate('prescription_id');
-    await request.populate({
-      path: 'prescription_id',
-      populate: [
-        { path: 'patient_id', select: 'full_name phone' },
-        { path: 'doctor_id' },
-        {
-          path: 'doctor_id',
-          populate: { path: 'user_id', select: 'full_name' }
-        }
-      ]
-    });
-    await request.populate('pharmacy_id');
-    await request.populate('patient_id', 'full_name phone');
+    await request.populate(PHARMACY_REQUEST_POPULATE);
 
     res.status(201).json(request);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -321,7 +468,37 @@ router.post('/', authenticate, async (req, res) => {
  * @openapi
  * /api/pharmacy-requests/{id}:
  *   put:
- *     summary: Update a pharmacy request
+ *     summary: Move a pharmacy request through fulfilment and update its lines
+ *     description: |
+ *       Pharmacists take a request one step at a time: pending to accepted,
+ *       accepted to preparing, preparing to ready_for_pickup and
+ *       ready_for_pickup to dispensed. It can be rejected at any step before
+ *       it is dispensed. The patient is notified of every step.
+ *
+ *       Accepting reserves the pharmacy's stock of every line, dispensing
+ *       deducts what was dispensed and frees the rest of the reservation,
+ *       rejecting frees the reservation; when stock runs short nothing is
+ *       changed and the answer is 409 insufficient_stock.
+ *
+ *       Until the request is dispensed each line can be recorded as dispensed
+ *       (by default in the prescribed quantity; below it the line becomes
+ *       partial) or unavailable, and the reservation follows. Dispensing
+ *       hands over the prescribed quantity of the lines still pending.
+ *
+ *       A line can be offered a generic equivalent (substitute_medication_id,
+ *       a medication sharing the prescribed one's generic_name). The patient
+ *       accepts or declines it through
+ *       POST /api/pharmacy-requests/{id}/items/{itemId}/substitution; until
+ *       they do the request cannot be made ready or dispensed (409
+ *       substitution_pending).
+ *
+ *       Dispensing records a dispensing and uses up the prescription's first
+ *       fill or, for a request sent by an approved refill, one of its
+ *       remaining refills (409 no_refills_remaining when none is left).
+ *
+ *       Prescriptions holding controlled substances are only accepted or
+ *       dispensed when signed (409 signature_required), and their dispenses
+ *       are written to the pharmacy's controlled drug register.
  *     tags:
  *       - PharmacyRequests
  *     security:
@@ -346,56 +523,303 @@ router.post('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PharmacyRequest'
+ *       400:
+ *         description: Validation failed, or a line names an unknown item, too large a quantity or a substitute that is not a generic equivalent
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
  *       404:
  *         description: Request not found
+ *       409:
+ *         description: Status change not allowed, made concurrently, not enough stock, a substitution awaiting the patient, no fill left on the prescription, or an unsigned controlled prescription
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(pharmacyRequestUpdate), async (req, res, next) => {
   try {
     const request = await PharmacyRequest.findById(req.params.id);
     if (!request) {
-      return res.status(404).json({ error: 'Request not found' });
+      return next(new NotFoundError('Request not found'));
+    }
+
+    if (!(await canAccess(req, 'pharmacyrequest:update', request))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const { items: lineUpdates = [], ...updates } = req.body;
+    const changesStatus = updates.status !== undefined && updates.status !== request.status;
+    const allowed = REQUEST_TRANSITIONS[request.status] || [];
+    if (changesStatus && !allowed.includes(updates.status)) {
+      const hint = allowed.length > 0 ? `next step: ${allowed.join(' or ')}` : `${request.status} is a final status`;
+      return next(new ConflictError(`Cannot change request status from ${request.status} to ${updates.status} (${hint})`));
+    }
+    if (lineUpdates.length > 0 && !OPEN_REQUEST_STATUSES.includes(request.status)) {
+      return next(new ConflictError(`A ${request.status} request can no longer be filled`));
+    }
+
+    const prescribed = await prescribedItems(request);
+    const held = holdings(request, prescribed);
+    const offered = lineUpdates.filter(update => update.substitute_medication_id);
+    const medications = new Map();
+    if (offered.length > 0) {
+      const ids = [...offered.map(update => update.substitute_medication_id), ...[...prescribed.values()].map(item => item.medication_id)];
+      for (const medication of await Medication.find({ _id: { $in: ids } }).select('name generic_name')) {
+        medications.set(String(medication._id), medication);
+      }
+    }
+
+    const details = [];
+    lineUpdates.forEach((update, index) => {
+      const line = request.items.find(item => String(item.prescription_item_id) === String(update.prescription_item_id));
+      if (!line) {
+        details.push({ field: `items[${index}].prescription_item_id`, message: 'is not an item of this request' });
+        return;
+      }
+      const item = prescribed.get(String(line.prescription_item_id));
+      const quantity = item?.quantity ?? 0;
+      const status = update.status ?? (update.dispensed_quantity !== undefined ? 'dispensed' : undefined);
+      if (status !== undefined) {
+        const dispensed = status === 'dispensed' ? update.dispensed_quantity ?? quantity : 0;
+        if (dispensed > quantity) {
+          details.push({ field: `items[${index}].dispensed_quantity`, message: `must be at most the prescribed ${quantity}` });
+          return;
+        }
+        line.status = lineStatus(status, dispensed, quantity);
+        line.dispensed_quantity = dispensed;
+      }
+      if (update.substitute_medication_id !== undefined) {
+        const problem = offerSubstitution(line, item, update, medications, req.user);
+        if (problem) {
+          details.push({ field: `items[${index}].substitute_medication_id`, message: problem });
+          return;
+        }
+      }
+      if (update.notes !== undefined) {
+        line.notes = update.notes;
+      }
+    });
+    if (details.length > 0) {
+      return next(new RequestValidationError(details));
     }
 
-    if (req.user.role === 'patient' && request.patient_id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (changesStatus && ['ready_for_pickup', 'dispensed'].includes(updates.status)
+      && request.items.some(line => line.substitution?.status === 'awaiting_consent')) {
+      return next(new ConflictError('The patient has not yet answered a substitution offer on this request', { code: 'substitution_pending' }));
     }
 
-    if (req.user.role === 'pharmacist') {
-      const pharmacy = await Pharmacy.findOne({ pharmacist_id: req.user._id });
-      if (!pharmacy || pharmacy._id.toString() !== request.pharmacy_id.toString()) {
-        return res.status(403).json({ error: 'Access denied' });
+    // Dispensing hands over whatever was not marked otherwise
+    if (updates.status === 'dispensed') {
+      for (const line of request.items) {
+        if (line.status === 'pending') {
+          line.status = 'dispensed';
+          line.dispensed_quantity = prescribed.get(String(line.prescription_item_id))?.quantity ?? 0;
+        }
       }
     }
 
-    const updatedRequest = await PharmacyRequest.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate('prescription_id')
-      .populate({
-        path: 'prescription_id',
-        populate: [
-          { path: 'patient_id', select: 'full_name phone' },
-          { path: 'doctor_id' },
-          {
-            path: 'doctor_id',
-            populate: { path: 'user_id', select: 'full_name' }
-          }
+    if (changesStatus && ['accepted', 'dispensed'].includes(updates.status)) {
+      await assertSigned(
+        await Prescription.findById(request.prescription_id).select('signature_data'),
+        [
+          ...[...prescribed.values()].map(item => item.medication_id),
+          ...request.items.map(line => line.substitution?.medication_id).filter(Boolean),
         ]
-      })
-      .populate('pharmacy_id')
-      .populate('patient_id', 'full_name phone');
+      );
+    }
+
+    // Lines changed while the pharmacy holds stock for them move the reservation with them
+    const status = updates.status ?? request.status;
+    const stockMoves = changesStatus || HOLDING_REQUEST_STATUSES.includes(request.status)
+      ? stockMovesFor(request, status, prescribed, held)
+      : [];
+    let fill;
+    let moved = [];
+
+    if (changesStatus) {
+      // Matching on the status we validated against guards against a concurrent transition
+      const { modifiedCount } = await PharmacyRequest.updateOne(
+        { _id: request._id, status: request.status },
+        { $set: { status: updates.status } }
+      );
+      if (modifiedCount === 0) {
+        return next(new ConflictError('Request status was changed by someone else, please reload and retry'));
+      }
+      try {
+        // A dispensed request uses up the first fill or one refill of the prescription
+        if (updates.status === 'dispensed') {
+          fill = await claimFill(request);
+        }
+        moved = await moveStock(stockMoves);
+      } catch (error) {
+        if (fill) {
+          await releaseFill(request);
+        }
+        await PharmacyRequest.updateOne({ _id: request._id }, { $set: { status: request.status } });
+        throw error;
+      }
+    } else {
+      await moveStock(stockMoves);
+    }
+
+    request.set(updates);
+    await request.save();
+    if (fill) {
+      const dispensing = await recordDispensing(request, fill, prescribed, req.user);
+      await recordRegister(request.pharmacy_id, moved.filter(move => move.stock < 0).map(move => ({
+        medication_id: move.medication_id,
+        type: 'dispense',
+        quantity: move.stock,
+        balance: move.balance,
+        prescription_id: fill._id,
+        pharmacy_request_id: request._id,
+        dispensing_id: dispensing._id,
+        patient_id: fill.patient_id,
+        doctor_id: fill.doctor_id,
+      })), req.user);
+    }
+
+    if (changesStatus || offered.length > 0) {
+      const pharmacy = await Pharmacy.findById(request.pharmacy_id).select('name');
+      const pharmacyName = pharmacy?.name ?? 'The pharmacy';
+      if (changesStatus) {
+        const notice = STATUS_NOTICES[updates.status];
+        await notifyPatient(request, notice.title, notice.message(pharmacyName, request));
+      }
+      if (offered.length > 0) {
+        await notifyPatient(
+          request,
+          'Substitution Offered',
+          `${pharmacyName} offers a generic equivalent for ${offered.length === 1 ? 'an item' : `${offered.length} items`} of your prescription; please accept or decline it`
+        );
+      }
+    }
+    await request.populate(PHARMACY_REQUEST_POPULATE);
+
+    res.json(request);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(updatedRequest);
+// Answer a substitution offer
+/**
+ * @openapi
+ * /api/pharmacy-requests/{id}/items/{itemId}/substitution:
+ *   post:
+ *     summary: Accept or decline the generic equivalent offered for an item
+ *     description: |
+ *       Accepting supplies the substitute instead of the prescribed
+ *       medication; while the pharmacy holds stock for the request the
+ *       reservation moves to the substitute (409 insufficient_stock when it
+ *       runs short, leaving the offer open). Declining keeps the prescribed
+ *       medication. The pharmacist is notified either way.
+ *     tags:
+ *       - PharmacyRequests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pharmacy request ID
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription item ID of the line
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubstitutionConsentRequest'
+ *     responses:
+ *       200:
+ *         description: Updated pharmacy request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PharmacyRequest'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Request or item not found
+ *       409:
+ *         description: No substitution awaits an answer on this item, the offer changed meanwhile, or not enough stock of the substitute
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/items/:itemId/substitution', authenticate, validate(substitutionConsent), async (req, res, next) => {
+  try {
+    const request = await PharmacyRequest.findById(req.params.id);
+    if (!request) {
+      return next(new NotFoundError('Request not found'));
+    }
+
+    if (!can(req.user, 'pharmacyrequest:consent') || !(await ownsRecord(req, request))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const line = request.items.find(item => String(item.prescription_item_id) === req.params.itemId);
+    if (!line) {
+      return next(new NotFoundError('Item not found on this request'));
+    }
+    if (!OPEN_REQUEST_STATUSES.includes(request.status) || line.substitution?.status !== 'awaiting_consent') {
+      return next(new ConflictError('No substitution awaits your answer on this item'));
+    }
+
+    const prescribed = await prescribedItems(request);
+    const held = holdings(request, prescribed);
+    const decision = req.body.accepted ? 'accepted' : 'declined';
+    const offer = { prescription_item_id: line.prescription_item_id, 'substitution.medication_id': line.substitution.medication_id };
+    line.substitution.status = decision;
+    line.substitution.decided_at = new Date();
+    const stockMoves = HOLDING_REQUEST_STATUSES.includes(request.status)
+      ? stockMovesFor(request, request.status, prescribed, held)
+      : [];
+
+    // Matching on the open offer guards against a concurrent answer or a new offer
+    const { modifiedCount } = await PharmacyRequest.updateOne(
+      { _id: request._id, status: request.status, items: { $elemMatch: { ...offer, 'substitution.status': 'awaiting_consent' } } },
+      { $set: { 'items.$.substitution.status': decision } }
+    );
+    if (modifiedCount === 0) {
+      return next(new ConflictError('The request was changed by someone else, please reload and retry'));
+    }
+    try {
+      await moveStock(stockMoves);
+    } catch (error) {
+      await PharmacyRequest.updateOne(
+        { _id: request._id, items: { $elemMatch: offer } },
+        { $set: { 'items.$.substitution.status': 'awaiting_consent' } }
+      );
+      throw error;
+    }
+    await request.save();
+
+    const pharmacy = await Pharmacy.findById(request.pharmacy_id).select('pharmacist_id');
+    if (pharmacy?.pharmacist_id) {
+      await Notification.create({
+        user_id: pharmacy.pharmacist_id,
+        title: req.body.accepted ? 'Substitution Accepted' : 'Substitution Declined',
+        message: `${req.user.full_name} ${decision} the generic equivalent offered for an item of their prescription`,
+        type: 'prescription',
+        reference_id: request._id,
+      });
+    }
+    await request.populate(PHARMACY_REQUEST_POPULATE);
+
+    res.json(request);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
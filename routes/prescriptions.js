@@ -2,11 +2,58 @@ import express from 'express';
 import Prescription from '../models/Prescription.js';
 import PrescriptionItem from '../models/PrescriptionItem.js';
 import Doctor from '../models/Doctor.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, canAccess, getOwnerScope, listScope, requirePermission } from '../middleware/auth.js';
 import PharmacyRequest from '../models/PharmacyRequest.js';
+import Dispensing from '../models/Dispensing.js';
+import { audit, diffFields } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { prescriptionCreate, prescriptionItemCreate, prescriptionItemUpdate, prescriptionUpdate } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, RequestValidationError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { parseView, pickFields, populateView, selectView } from '../utils/expand.js';
+import { PRESCRIPTION_VIEW } from '../utils/views.js';
+import { pharmacyAvailability } from '../utils/stock.js';
+import { checkSafety, recordSafety, requireOverride, safetyRecord } from '../utils/safety.js';
+import { checkControlled, controlledSignature } from '../utils/controlled.js';
+import { getOrderingConsultation } from '../utils/careAccess.js';
+import {
+  OPEN_REQUEST_STATUSES,
+  assertValid,
+  defaultValidUntil,
+  fulfilmentLines,
+  heldByPharmacy,
+  itemChanges,
+  itemTotal,
+  priceItems,
+  refillsUsed,
+  refreshTotal,
+  syncRequestLines,
+  withdrawRequests,
+} from '../utils/prescriptions.js';
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/prescriptions
+const PRESCRIPTION_LIST = {
+  filters: {
+    status: { field: 'status', enum: Prescription.schema.path('status').enumValues },
+    doctorId: { field: 'doctor_id' },
+    patientId: { field: 'patient_id' },
+    pharmacyId: { field: 'pharmacy_id' },
+    hospitalId: {
+      toQuery: async (hospitalIds) => ({
+        doctor_id: { $in: await Doctor.distinct('_id', { hospital_id: { $in: hospitalIds } }) },
+      }),
+    },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    status: ['status'],
+    total_price: ['total_price'],
+  },
+  defaultSort: '-createdAt',
+};
+
 /**
  * @openapi
  * tags:
@@ -14,25 +61,6 @@ const router = express.Router();
  *     description: Manage prescriptions and medication fulfillment
  * components:
  *   schemas:
- *     PrescriptionItemInput:
- *       type: object
- *       required:
- *         - medication_id
- *         - quantity
- *         - dosage
- *       properties:
- *         medication_id:
- *           type: string
- *         quantity:
- *           type: integer
- *           minimum: 1
- *         dosage:
- *           type: string
- *         instructions:
- *           type: string
- *         unit_price:
- *           type: number
- *           format: float
  *     Prescription:
  *       type: object
  *       properties:
@@ -53,72 +81,184 @@ const router = express.Router();
  *         total_price:
  *           type: number
  *           format: float
+ *           description: Sum of the item totals
  *         notes:
  *           type: string
  *         signature_data:
  *           type: string
- *         medication_id:
+ *         is_controlled:
+ *           type: boolean
+ *           description: Holds a controlled substance; signature_data is then the prescribing doctor's signature
+ *         valid_from:
  *           type: string
- *         quantity:
- *           type: integer
- *         dosage:
+ *           format: date-time
+ *         valid_until:
  *           type: string
- *         instructions:
+ *           format: date-time
+ *           description: Pharmacies can no longer be sent the prescription after this
+ *         refills_allowed:
+ *           type: integer
+ *           description: Fills allowed after the first one
+ *         refills_remaining:
+ *           type: integer
+ *         dispense_count:
+ *           type: integer
+ *           description: Completed fills, the first one included
+ *         last_dispensed_at:
  *           type: string
- *         unit_price:
- *           type: number
- *           format: float
+ *           format: date-time
+ *           nullable: true
+ *         safety_warnings:
+ *           type: array
+ *           description: Allergy and interaction findings of the checks run when items were prescribed
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [allergy, interaction]
+ *               severity:
+ *                 type: string
+ *                 enum: [minor, moderate, severe]
+ *               medication_id:
+ *                 type: string
+ *               other_medication_id:
+ *                 type: string
+ *                 description: The medication it interacts with
+ *               message:
+ *                 type: string
+ *         safety_overrides:
+ *           type: array
+ *           description: Reasons given for prescribing despite severe findings
+ *           items:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               overridden_by:
+ *                 type: string
+ *               overridden_at:
+ *                 type: string
+ *                 format: date-time
+ *         items:
+ *           type: array
+ *           description: Present when expanded (expand=items)
+ *           items:
+ *             $ref: '#/components/schemas/PrescriptionItem'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     PrescriptionCreateRequest:
+ *     PrescriptionItem:
  *       type: object
- *       required:
- *         - consultation_id
- *         - patient_id
- *         - items
  *       properties:
- *         consultation_id:
+ *         _id:
  *           type: string
- *         patient_id:
+ *         prescription_id:
  *           type: string
- *         notes:
+ *         medication_id:
  *           type: string
- *         signature_data:
+ *         quantity:
+ *           type: integer
+ *         dosage:
  *           type: string
- *         status:
+ *         instructions:
  *           type: string
- *           enum: [pending, approved, rejected, completed, paid]
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *           description: Catalogue price of the medication when it was prescribed
+ *         total_price:
+ *           type: number
+ *           format: float
+ *           description: unit_price * quantity
+ *     PharmacyAvailability:
+ *       type: object
+ *       properties:
+ *         pharmacy:
+ *           $ref: '#/components/schemas/Pharmacy'
  *         items:
  *           type: array
  *           items:
- *             $ref: '#/components/schemas/PrescriptionItemInput'
- *     PrescriptionUpdateRequest:
+ *             type: object
+ *             properties:
+ *               prescription_item_id:
+ *                 type: string
+ *               medication_id:
+ *                 type: object
+ *                 description: The medication with its name
+ *               quantity:
+ *                 type: integer
+ *                 description: Prescribed quantity
+ *               available:
+ *                 type: integer
+ *                 description: Stock at the pharmacy not yet reserved
+ *               in_stock:
+ *                 type: boolean
+ *               unit_price:
+ *                 type: number
+ *                 format: float
+ *                 description: The pharmacy's price, or the prescribed price when it has none
+ *               total_price:
+ *                 type: number
+ *                 format: float
+ *         in_stock_count:
+ *           type: integer
+ *         complete:
+ *           type: boolean
+ *           description: Whether the pharmacy can fill every item
+ *         total_price:
+ *           type: number
+ *           format: float
+ *           description: Cost of the items in stock at this pharmacy
+ *     Dispensing:
  *       type: object
  *       properties:
- *         pharmacy_id:
+ *         _id:
  *           type: string
- *         status:
+ *         prescription_id:
  *           type: string
- *           enum: [pending, approved, rejected, completed, paid]
- *         notes:
+ *         patient_id:
  *           type: string
- *         signature_data:
+ *         pharmacy_id:
  *           type: string
- *         medication_id:
+ *         pharmacy_request_id:
  *           type: string
- *         quantity:
+ *         refill_request_id:
+ *           type: string
+ *           nullable: true
+ *         fill_number:
  *           type: integer
- *         dosage:
+ *           description: 1 for the first fill, then one more per refill
+ *         refills_remaining:
+ *           type: integer
+ *           description: Refills left after this fill
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               prescription_item_id:
+ *                 type: string
+ *               medication_id:
+ *                 type: string
+ *                 description: The medication handed over
+ *               quantity:
+ *                 type: integer
+ *               prescribed_quantity:
+ *                 type: integer
+ *                 description: Larger than quantity when the item was dispensed in part
+ *               substituted_for:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The prescribed medication, when the patient accepted a generic equivalent
+ *         dispensed_by:
  *           type: string
- *         instructions:
+ *         createdAt:
  *           type: string
- *         unit_price:
- *           type: number
- *           format: float
+ *           format: date-time
  */
 
 // Get prescriptions
@@ -127,63 +267,79 @@ const router = express.Router();
  * /api/prescriptions:
  *   get:
  *     summary: List prescriptions for the authenticated user
+ *     description: One page of the prescriptions the user may see. hospitalId matches prescriptions written by the hospital's doctors.
  *     tags:
  *       - Prescriptions
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more of pending, approved, rejected, completed, paid, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - $ref: '#/components/parameters/DoctorId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: pharmacyId
+ *         in: query
+ *         description: Pharmacy id, or several separated by commas
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, status, -status, total_price, -total_price]
+ *           default: -createdAt
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
- *         description: Array of prescriptions
+ *         description: Page of prescriptions
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Prescription'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Prescription'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'doctor') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (doctor) {
-        query.doctor_id = doctor._id;
-      } else {
-        return res.json([]);
-      }
-    } else if (req.user.role === 'pharmacist') {
-      // Pharmacists can see prescriptions for their pharmacy
-      const Pharmacy = (await import('../models/Pharmacy.js')).default;
-      const pharmacy = await Pharmacy.findOne({ pharmacist_id: req.user._id });
-      if (pharmacy) {
-        query.pharmacy_id = pharmacy._id;
-      } else {
-        return res.json([]);
-      }
+    const query = await listScope(req, 'prescription:read');
+    if (!query) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    const prescriptions = await Prescription.find(query)
-      .populate('patient_id', 'full_name phone')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('pharmacy_id')
-      .populate('consultation_id')
-      .populate('medication_id') // Each prescription now has one medication
-      .sort({ createdAt: -1 });
+    const list = await parseListQuery(req.query, PRESCRIPTION_LIST);
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const page = await findPage(
+      populateView(selectView(Prescription.find(withScope(query, list.filter)), view), view),
+      list
+    );
 
-    res.json(prescriptions);
+    await audit(req, 'read', 'prescription', page.data);
+    res.json({ ...page, data: pickFields(page.data, view) });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -204,6 +360,8 @@ router.get('/', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Prescription ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     responses:
  *       200:
  *         description: Prescription details
@@ -211,35 +369,158 @@ router.get('/', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Prescription'
+ *       400:
+ *         description: Invalid fields or expand parameter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const prescription = await populateView(Prescription.findById(req.params.id), view);
+
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:read', prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    await audit(req, 'read', 'prescription', prescription);
+    res.json(pickFields(prescription, view));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pharmacies stocking a prescription
+/**
+ * @openapi
+ * /api/prescriptions/{id}/pharmacies:
+ *   get:
+ *     summary: Pharmacies that have the prescription's medications in stock
+ *     description: |
+ *       One entry per pharmacy with at least one item in stock, with the stock
+ *       and price of every item there. Pharmacies that can fill the whole
+ *       prescription come first, then by items in stock and price.
+ *     tags:
+ *       - Prescriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *       - name: complete
+ *         in: query
+ *         description: true to list only pharmacies that can fill every item
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: Pharmacies with stock
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PharmacyAvailability'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Prescription not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id/pharmacies', authenticate, async (req, res, next) => {
   try {
-    const prescription = await Prescription.findById(req.params.id)
-      .populate('patient_id', 'full_name phone')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('pharmacy_id')
-      .populate('consultation_id')
-      .populate('medication_id'); // Each prescription now has one medication
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:read', prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const items = await PrescriptionItem.find({ prescription_id: prescription._id }).populate('medication_id', 'name');
+    const pharmacies = await pharmacyAvailability(items);
+
+    res.json(req.query.complete === 'true' ? pharmacies.filter(pharmacy => pharmacy.complete) : pharmacies);
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Fills of a prescription
+/**
+ * @openapi
+ * /api/prescriptions/{id}/dispensings:
+ *   get:
+ *     summary: List the fills of a prescription, newest first
+ *     tags:
+ *       - Prescriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *     responses:
+ *       200:
+ *         description: Array of dispensing records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Dispensing'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/dispensings', authenticate, async (req, res, next) => {
+  try {
+    const prescription = await Prescription.findById(req.params.id);
     if (!prescription) {
-      return res.status(404).json({ error: 'Prescription not found' });
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:read', prescription))) {
+      return next(new ForbiddenError('Access denied'));
     }
-    
-    console.log(`Prescription ${prescription._id}: Medication ${prescription.medication_id?._id || 'N/A'}`);
 
-    res.json(prescription);
+    const dispensings = await Dispensing.find({ prescription_id: prescription._id })
+      .populate('pharmacy_id', 'name location')
+      .populate('items.medication_id', 'name')
+      .populate('dispensed_by', 'full_name')
+      .sort({ createdAt: -1 });
+
+    await audit(req, 'read', 'dispensing', dispensings);
+    res.json(dispensings);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -248,11 +529,18 @@ router.get('/:id', authenticate, async (req, res) => {
  * @openapi
  * /api/prescriptions:
  *   post:
- *     summary: Create prescriptions from consultation items
+ *     summary: Create a prescription with one item per medication
+ *     description: |
+ *       Controlled substances are limited to their medication's
+ *       max_quantity_per_prescription, and sign the prescription with the
+ *       signature_data of the prescribing doctor's record.
  *     tags:
  *       - Prescriptions
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
@@ -261,109 +549,82 @@ router.get('/:id', authenticate, async (req, res) => {
  *             $ref: '#/components/schemas/PrescriptionCreateRequest'
  *     responses:
  *       201:
- *         description: Prescriptions created successfully
+ *         description: Prescription created with its items
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 prescriptions:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Prescription'
- *                 count:
- *                   type: integer
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/Prescription'
  *       400:
- *         description: Invalid request payload
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Access denied
+ *         description: Access denied, or the consultation belongs to another doctor
  *       404:
- *         description: Doctor profile not found
+ *         description: Doctor profile or consultation not found
+ *       409:
+ *         description: A severe allergy or interaction was found and no override_reason was given (safety_override_required), or a controlled substance was prescribed by a doctor without a signature (signature_required)
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requirePermission('prescription:create'), validate(prescriptionCreate), async (req, res, next) => {
   try {
-    if (req.user.role !== 'doctor') {
-      return res.status(403).json({ error: 'Only doctors can create prescriptions' });
-    }
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const { items, override_reason: overrideReason, ...prescriptionData } = req.body;
 
-    const { items, ...prescriptionData } = req.body;
-    
-    // Validate items - prescription must have at least one item
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Prescription must contain at least one medication item' });
+    // Prescriptions are always written in the prescribing doctor's name
+    const { doctor_id: doctorId } = await getOwnerScope(req);
+    if (!doctorId) {
+      return next(new NotFoundError('Doctor profile not found'));
     }
+    const consultation = await getOrderingConsultation(req, prescriptionData.consultation_id);
+    prescriptionData.patient_id = consultation.patient_id;
 
-    // Validate each item has required fields
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      if (!item.medication_id) {
-        return res.status(400).json({ error: `Item ${i + 1}: medication_id is required` });
-      }
-      if (!item.quantity || item.quantity <= 0) {
-        return res.status(400).json({ error: `Item ${i + 1}: quantity must be greater than 0` });
-      }
-      if (!item.dosage || !item.dosage.trim()) {
-        return res.status(400).json({ error: `Item ${i + 1}: dosage is required` });
-      }
+    const validFrom = prescriptionData.valid_from ?? new Date();
+    const validUntil = prescriptionData.valid_until ?? defaultValidUntil(validFrom);
+    if (validUntil <= validFrom) {
+      return next(new RequestValidationError([{ field: 'valid_until', message: 'must be after valid_from' }]));
     }
 
-    const doctor = await Doctor.findOne({ user_id: req.user._id });
-    if (!doctor) {
-      return res.status(404).json({ error: 'Doctor profile not found' });
-    }
-
-    // Create one prescription per medication item
-    const createdPrescriptions = [];
-    
-    for (const item of items) {
-      const prescription = new Prescription({
-        consultation_id: prescriptionData.consultation_id,
-        patient_id: prescriptionData.patient_id,
-        doctor_id: doctor._id,
-        medication_id: item.medication_id,
-        quantity: item.quantity,
-        dosage: item.dosage,
-        instructions: item.instructions || '',
-        unit_price: item.unit_price || 0,
-        total_price: (item.unit_price || 0) * item.quantity,
-        notes: prescriptionData.notes || '',
-        signature_data: prescriptionData.signature_data || '',
-        status: prescriptionData.status || 'pending',
-      });
+    const lines = await priceItems(items);
+    const controlled = await checkControlled(items, index => `items[${index}].quantity`, [], 1 + (prescriptionData.refills_allowed ?? 0));
+    const signing = await controlledSignature({ doctor_id: doctorId }, controlled);
+    const findings = await checkSafety(prescriptionData.patient_id, items.map(item => item.medication_id));
+    requireOverride(findings, overrideReason, index => `items[${index}].medication_id`);
 
-      await prescription.save();
-      
-      await prescription.populate('patient_id', 'full_name phone');
-      await prescription.populate('doctor_id');
-      await prescription.populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      });
-      await prescription.populate('pharmacy_id');
-      await prescription.populate('consultation_id');
-      await prescription.populate('medication_id');
-      
-      createdPrescriptions.push(prescription);
-      
-      console.log(`✅ Created prescription ${prescription._id} for medication: ${item.medication_id}`);
-    }
-
-    console.log(`✅ Created ${createdPrescriptions.length} separate prescriptions (one per medication)`);
-
-    // Return all created prescriptions
-    res.status(201).json({
-      prescriptions: createdPrescriptions,
-      count: createdPrescriptions.length,
-      message: `Created ${createdPrescriptions.length} prescription(s) - one per medication`
+    const prescription = await Prescription.create({
+      ...prescriptionData,
+      ...signing,
+      ...safetyRecord(findings, overrideReason, req.user),
+      doctor_id: doctorId,
+      status: 'pending',
+      total_price: lines.reduce((sum, line) => sum + line.total_price, 0),
+      valid_from: validFrom,
+      valid_until: validUntil,
+      refills_remaining: prescriptionData.refills_allowed ?? 0,
+    });
+
+    let createdItems;
+    try {
+      createdItems = await PrescriptionItem.insertMany(
+        lines.map(line => ({ ...line, prescription_id: prescription._id }))
+      );
+    } catch (error) {
+      // A prescription without its items would be filled short
+      await Prescription.deleteOne({ _id: prescription._id });
+      throw error;
+    }
+
+    await populateView(prescription, view);
+    await audit(req, 'create', 'prescription', prescription, {
+      changes: [
+        ...diffFields(null, prescription),
+        ...createdItems.flatMap(item => itemChanges(null, item)),
+      ],
     });
+    res.status(201).json(pickFields(prescription, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -373,6 +634,14 @@ router.post('/', authenticate, async (req, res) => {
  * /api/prescriptions/{id}:
  *   put:
  *     summary: Update a prescription
+ *     description: |
+ *       Changes the prescription itself; its medications are changed through
+ *       /api/prescriptions/{id}/items. Choosing a pharmacy sends it a pharmacy
+ *       request with one line per item, and is refused once the prescription
+ *       has expired or been dispensed; later fills go through refill requests.
+ *       The open request of a previously chosen pharmacy is rejected and the
+ *       stock it held is freed.
+ *       Changing refills_allowed keeps the refills already used.
  *     tags:
  *       - Prescriptions
  *     security:
@@ -384,6 +653,8 @@ router.post('/', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Prescription ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
  *     requestBody:
  *       required: true
  *       content:
@@ -398,104 +669,377 @@ router.post('/', authenticate, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Prescription'
  *       400:
- *         description: Validation error
+ *         description: Validation failed, or a pharmacy was chosen for a prescription without items
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Access denied
  *       404:
  *         description: Prescription not found
+ *       409:
+ *         description: The prescription has expired (prescription_expired), is not valid yet (prescription_not_yet_valid) or was already dispensed, or signature_data was sent for a controlled prescription
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(prescriptionUpdate), async (req, res, next) => {
   try {
+    const view = parseView(req, PRESCRIPTION_VIEW);
     const prescription = await Prescription.findById(req.params.id);
     if (!prescription) {
-      return res.status(404).json({ error: 'Prescription not found' });
+      return next(new NotFoundError('Prescription not found'));
     }
 
-    if (req.user.role === 'doctor') {
-      const doctor = await Doctor.findOne({ user_id: req.user._id });
-      if (!doctor || doctor._id.toString() !== prescription.doctor_id.toString()) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (!(await canAccess(req, 'prescription:update', prescription))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    // Extract medication fields if provided
-    const { medication_id, quantity, dosage, instructions, unit_price, ...prescriptionData } = req.body;
-    
-    // Add medication fields back to prescriptionData if they're being updated
-    if (medication_id !== undefined) prescriptionData.medication_id = medication_id;
-    if (quantity !== undefined) prescriptionData.quantity = quantity;
-    if (dosage !== undefined) prescriptionData.dosage = dosage;
-    if (instructions !== undefined) prescriptionData.instructions = instructions;
-    if (unit_price !== undefined) prescriptionData.unit_price = unit_price;
-
-    // If medication fields are being updated, recalculate total_price
-    // Use existing prescription (already fetched above) for calculations
-    if (unit_price !== undefined && quantity !== undefined) {
-      prescriptionData.total_price = unit_price * quantity;
-    } else if (unit_price !== undefined) {
-      // If only unit_price is updated, use existing quantity
-      prescriptionData.total_price = unit_price * (prescription.quantity || 1);
-    } else if (quantity !== undefined) {
-      // If only quantity is updated, use existing unit_price
-      prescriptionData.total_price = (prescription.unit_price || 0) * quantity;
-    }
-
-    console.log(`Updating prescription ${req.params.id}:`, {
-      updateFields: Object.keys(prescriptionData)
-    });
+    const updates = { ...req.body };
+    if (prescription.is_controlled && updates.signature_data !== undefined) {
+      return next(new ConflictError('A prescription for controlled substances keeps the signature of the prescribing doctor'));
+    }
+    if (updates.valid_until !== undefined && prescription.valid_from && updates.valid_until <= prescription.valid_from) {
+      return next(new RequestValidationError([{ field: 'valid_until', message: 'must be after valid_from' }]));
+    }
+    // Changing the allowance keeps the refills already used
+    if (updates.refills_allowed !== undefined) {
+      const used = refillsUsed(prescription);
+      if (updates.refills_allowed < used) {
+        return next(new RequestValidationError([{ field: 'refills_allowed', message: `must be at least the ${used} refills already used` }]));
+      }
+      updates.refills_remaining = updates.refills_allowed - used;
+      // Every refill hands out the controlled quantities again
+      if (prescription.is_controlled) {
+        const items = await PrescriptionItem.find({ prescription_id: prescription._id }).select('medication_id quantity');
+        await checkControlled(items, () => 'refills_allowed', [], 1 + updates.refills_allowed);
+      }
+    }
 
-    const updatedPrescription = await Prescription.findByIdAndUpdate(
-      req.params.id,
-      prescriptionData,
-      { new: true, runValidators: true }
-    )
-      .populate('patient_id', 'full_name phone')
-      .populate('doctor_id')
-      .populate({
-        path: 'doctor_id',
-        populate: { path: 'user_id', select: 'full_name' }
-      })
-      .populate('pharmacy_id')
-      .populate('consultation_id')
-      .populate('medication_id'); // Each prescription now has one medication
-
-    console.log(`Prescription ${updatedPrescription._id} updated: Medication ${updatedPrescription.medication_id?._id || 'N/A'}`);
-
-    // If a pharmacy is assigned in this update, ensure a pharmacy request exists
-    if (prescriptionData && prescriptionData.pharmacy_id) {
-      // Verify prescription has medication before allowing pharmacy assignment
-      if (!updatedPrescription.medication_id) {
-        console.error(`❌ ERROR: Cannot assign pharmacy to prescription ${updatedPrescription._id} - prescription has no medication!`);
-        return res.status(400).json({ 
-          error: 'Cannot assign pharmacy: Prescription must have a medication. Please contact the doctor to fix this prescription.' 
-        });
+    let lines;
+    if (updates.pharmacy_id) {
+      assertValid({ ...prescription.toObject(), ...updates });
+      if (prescription.dispense_count > 0) {
+        return next(new ConflictError('The prescription has already been dispensed; ask the doctor for a refill instead'));
       }
+      lines = await fulfilmentLines(prescription._id, updates.pharmacy_id);
+      if (lines.length === 0) {
+        return next(new BadRequestError('Cannot assign pharmacy: the prescription has no items'));
+      }
+    }
+
+    const updatedPrescription = await populateView(
+      Prescription.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true }),
+      view
+    );
+    await audit(req, 'update', 'prescription', updatedPrescription, { changes: diffFields(prescription, updatedPrescription) });
 
+    // The chosen pharmacy gets a request covering the whole prescription, and
+    // the one it replaces gives back the stock it held
+    if (lines) {
+      await withdrawRequests(updatedPrescription._id, updates.pharmacy_id, 'The prescription was sent to another pharmacy');
       const existingRequest = await PharmacyRequest.findOne({
         prescription_id: updatedPrescription._id,
-        pharmacy_id: prescriptionData.pharmacy_id,
+        pharmacy_id: updates.pharmacy_id,
+        status: { $in: OPEN_REQUEST_STATUSES },
       });
       if (!existingRequest) {
-        const request = new PharmacyRequest({
+        await PharmacyRequest.create({
           prescription_id: updatedPrescription._id,
-          pharmacy_id: prescriptionData.pharmacy_id,
-          patient_id: updatedPrescription.patient_id,
+          pharmacy_id: updates.pharmacy_id,
+          patient_id: prescription.patient_id,
+          items: lines,
         });
-        await request.save();
-        const medicationName = updatedPrescription.medication_id?.name || updatedPrescription.medication_id?._id || 'Unknown';
-        console.log(`✅ Created pharmacy request ${request._id} for prescription ${updatedPrescription._id} (medication: ${medicationName})`);
       }
     }
 
-    res.json(updatedPrescription);
+    res.json(pickFields(updatedPrescription, view));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-export default router;
+// Add prescription item
+/**
+ * @openapi
+ * /api/prescriptions/{id}/items:
+ *   post:
+ *     summary: Add a medication to a pending prescription
+ *     tags:
+ *       - Prescriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrescriptionItemCreateRequest'
+ *     responses:
+ *       201:
+ *         description: The prescription with the new item and its new total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Prescription'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription not found
+ *       409:
+ *         description: The prescription is no longer pending or a pharmacy has accepted it, a severe allergy or interaction needs an override_reason, or a controlled substance needs the doctor's signature
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/items', authenticate, requirePermission('prescription:create'), validate(prescriptionItemCreate), async (req, res, next) => {
+  try {
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:update', prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+    if (prescription.status !== 'pending') {
+      return next(new ConflictError('Items can only be added while the prescription is pending'));
+    }
+    if (await heldByPharmacy(prescription._id)) {
+      return next(new ConflictError('Items cannot be added once a pharmacy has accepted the prescription'));
+    }
+
+    const { override_reason: overrideReason, ...itemData } = req.body;
+    const [priced] = await priceItems([itemData], () => 'medication_id');
+    const existing = await PrescriptionItem.find({ prescription_id: prescription._id }).select('medication_id quantity');
+    const signing = await controlledSignature(prescription, await checkControlled([itemData], () => 'quantity', existing, 1 + prescription.refills_allowed));
+    const findings = await checkSafety(prescription.patient_id, [itemData.medication_id]);
+    requireOverride(findings, overrideReason, () => 'medication_id');
+
+    const item = await PrescriptionItem.create({ ...priced, prescription_id: prescription._id });
+    await recordSafety(prescription._id, safetyRecord(findings, overrideReason, req.user));
+    if (signing) {
+      await Prescription.updateOne({ _id: prescription._id }, signing);
+    }
+    await refreshTotal(prescription._id);
+    await syncRequestLines(prescription._id, { added: item });
+
+    const updatedPrescription = await populateView(Prescription.findById(prescription._id), view);
+    await audit(req, 'update', 'prescription', updatedPrescription, {
+      changes: [...diffFields(prescription, updatedPrescription), ...itemChanges(null, item)],
+    });
+    res.status(201).json(pickFields(updatedPrescription, view));
+  } catch (error) {
+    next(error);
+  }
+});
 
+// Update prescription item
+/**
+ * @openapi
+ * /api/prescriptions/{id}/items/{itemId}:
+ *   put:
+ *     summary: Update an item of a pending prescription
+ *     description: |
+ *       Prices are not sent: a new medication brings its catalogue price, a
+ *       new quantity keeps the price the item was prescribed at. The
+ *       prescription total and the item's line on pending pharmacy requests follow.
+ *     tags:
+ *       - Prescriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription item ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PrescriptionItemUpdateRequest'
+ *     responses:
+ *       200:
+ *         description: The prescription with the updated item and its new total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Prescription'
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription or item not found
+ *       409:
+ *         description: The prescription is no longer pending or a pharmacy has accepted it, a severe allergy or interaction needs an override_reason, or a controlled substance needs the doctor's signature
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/items/:itemId', authenticate, requirePermission('prescription:create'), validate(prescriptionItemUpdate), async (req, res, next) => {
+  try {
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:update', prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (prescription.status !== 'pending') {
+      return next(new ConflictError('Items can only be changed while the prescription is pending'));
+    }
+    if (await heldByPharmacy(prescription._id)) {
+      return next(new ConflictError('Items cannot be changed once a pharmacy has accepted the prescription'));
+    }
+
+    const item = await PrescriptionItem.findOne({ _id: req.params.itemId, prescription_id: prescription._id });
+    if (!item) {
+      return next(new NotFoundError('Prescription item not found'));
+    }
+
+    const { override_reason: overrideReason, ...changes } = req.body;
+    const before = item.toObject();
+    item.set(changes);
+    // A new medication brings its current catalogue price and is checked like a new item
+    if (changes.medication_id !== undefined && String(changes.medication_id) !== String(before.medication_id)) {
+      const [priced] = await priceItems([{ medication_id: item.medication_id, quantity: item.quantity }], () => 'medication_id');
+      item.unit_price = priced.unit_price;
+
+      const findings = await checkSafety(prescription.patient_id, [item.medication_id], { excludeItemIds: [item._id] });
+      requireOverride(findings, overrideReason, () => 'medication_id');
+      await recordSafety(prescription._id, safetyRecord(findings, overrideReason, req.user));
+    }
+    let signing = null;
+    if (item.isModified('medication_id') || item.isModified('quantity')) {
+      const others = await PrescriptionItem.find({ prescription_id: prescription._id, _id: { $ne: item._id } }).select('medication_id quantity');
+      signing = await controlledSignature(prescription, await checkControlled([item], () => 'quantity', others, 1 + prescription.refills_allowed));
+    }
+    item.total_price = itemTotal(item);
+    await item.save();
+    if (signing) {
+      await Prescription.updateOne({ _id: prescription._id }, signing);
+    }
+    await refreshTotal(prescription._id);
+    await syncRequestLines(prescription._id, { updated: item });
+
+    const updatedPrescription = await populateView(Prescription.findById(prescription._id), view);
+    await audit(req, 'update', 'prescription', updatedPrescription, {
+      changes: [...diffFields(prescription, updatedPrescription), ...itemChanges(before, item)],
+    });
+    res.json(pickFields(updatedPrescription, view));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove prescription item
+/**
+ * @openapi
+ * /api/prescriptions/{id}/items/{itemId}:
+ *   delete:
+ *     summary: Remove a medication from a pending prescription
+ *     tags:
+ *       - Prescriptions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription ID
+ *       - name: itemId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Prescription item ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
+ *     responses:
+ *       200:
+ *         description: The prescription without the item and its new total
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Prescription'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription or item not found
+ *       409:
+ *         description: The prescription is no longer pending or accepted by a pharmacy, or this is its last item
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/items/:itemId', authenticate, requirePermission('prescription:create'), async (req, res, next) => {
+  try {
+    const view = parseView(req, PRESCRIPTION_VIEW);
+    const prescription = await Prescription.findById(req.params.id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+
+    if (!(await canAccess(req, 'prescription:update', prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+    if (prescription.status !== 'pending') {
+      return next(new ConflictError('Items can only be removed while the prescription is pending'));
+    }
+    if (await heldByPharmacy(prescription._id)) {
+      return next(new ConflictError('Items cannot be removed once a pharmacy has accepted the prescription'));
+    }
+
+    const item = await PrescriptionItem.findOne({ _id: req.params.itemId, prescription_id: prescription._id });
+    if (!item) {
+      return next(new NotFoundError('Prescription item not found'));
+    }
+    if (await PrescriptionItem.countDocuments({ prescription_id: prescription._id }) === 1) {
+      return next(new ConflictError('A prescription must keep at least one item'));
+    }
+
+    await item.deleteOne();
+    await refreshTotal(prescription._id);
+    await syncRequestLines(prescription._id, { removed: item });
+
+    const updatedPrescription = await populateView(Prescription.findById(prescription._id), view);
+    await audit(req, 'update', 'prescription', updatedPrescription, {
+      changes: [...diffFields(prescription, updatedPrescription), ...itemChanges(item, null)],
+    });
+    res.json(pickFields(updatedPrescription, view));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
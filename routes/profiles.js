@@ -1,9 +1,40 @@
 import express from 'express';
 import Profile from '../models/Profile.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import Doctor from '../models/Doctor.js';
+import Nurse from '../models/Nurse.js';
+import { authenticate, can, requirePermission } from '../middleware/auth.js';
+import { accountKey, clearLoginFailures, ipKey } from '../utils/loginThrottle.js';
+import { validate } from '../validation/validate.js';
+import { profileUnlock, profileUpdate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findPage, parseListQuery } from '../utils/listQuery.js';
 
 const router = express.Router();
 
+// Filters and sort orders of GET /api/profiles
+const PROFILE_LIST = {
+  filters: {
+    role: { field: 'role', enum: Profile.schema.path('role').enumValues },
+    insuranceId: { field: 'insurance_id' },
+    hospitalId: {
+      toQuery: async (hospitalIds) => {
+        const [doctorUsers, nurseUsers] = await Promise.all([
+          Doctor.distinct('user_id', { hospital_id: { $in: hospitalIds } }),
+          Nurse.distinct('user_id', { hospital_id: { $in: hospitalIds } }),
+        ]);
+        return { _id: { $in: [...doctorUsers, ...nurseUsers] } };
+      },
+    },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    full_name: ['full_name'],
+    email: ['email'],
+    role: ['role'],
+  },
+  defaultSort: '-createdAt',
+};
+
 /**
  * @openapi
  * tags:
@@ -47,18 +78,6 @@ const router = express.Router();
  *         insurance_id: 64fa1f2c5b9876543210dcba
  *         createdAt: 2024-01-01T09:00:00.000Z
  *         updatedAt: 2024-01-02T11:30:00.000Z
- *     ProfileUpdateRequest:
- *       type: object
- *       properties:
- *         full_name:
- *           type: string
- *         phone:
- *           type: string
- *         national_id:
- *           type: string
- *         insurance_id:
- *           type: string
- *           nullable: true
  */
 
 // Get all profiles (admin only)
@@ -67,19 +86,50 @@ const router = express.Router();
  * /api/profiles:
  *   get:
  *     summary: Get all user profiles
+ *     description: One page of profiles. hospitalId matches the doctors and nurses working at the hospital.
  *     tags:
  *       - Profiles
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: role
+ *         in: query
+ *         description: One or more of patient, doctor, lab_technician, pharmacist, admin, nurse, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - name: insuranceId
+ *         in: query
+ *         description: Insurance id, or several separated by commas
+ *         schema:
+ *           type: string
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, full_name, -full_name, email, -email, role, -role]
+ *           default: -createdAt
  *     responses:
  *       200:
- *         description: List of user profiles
+ *         description: Page of user profiles
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Profile'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Profile'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
  *       403:
@@ -87,12 +137,16 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, authorize('admin'), async (req, res) => {
+router.get('/', authenticate, requirePermission('profile:read:any'), async (req, res, next) => {
   try {
-    const profiles = await Profile.find().select('-password').populate('insurance_id');
-    res.json(profiles);
+    const list = await parseListQuery(req.query, PROFILE_LIST);
+    const page = await findPage(
+      Profile.find(list.filter).select('-password').populate('insurance_id'),
+      list
+    );
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -129,22 +183,22 @@ router.get('/', authenticate, authorize('admin'), async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const profile = await Profile.findById(req.params.id).select('-password').populate('insurance_id');
     
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      return next(new NotFoundError('Profile not found'));
     }
 
-    // Users can view own profile, admins can view all
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Users can view own profile, others need profile:read:any
+    if (!can(req.user, 'profile:read:any') && req.user._id.toString() !== req.params.id) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     res.json(profile);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -178,6 +232,8 @@ router.get('/:id', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Profile'
+ *       400:
+ *         description: Validation failed, including a password or a role change without profile:change_role
  *       401:
  *         description: Unauthorized
  *       403:
@@ -187,11 +243,11 @@ router.get('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/:id', authenticate, async (req, res) => {
+router.put('/:id', authenticate, validate(profileUpdate), async (req, res, next) => {
   try {
-    // Users can only update their own profile, admins can update any
-    if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
-      return res.status(403).json({ error: 'Access denied' });
+    // Users can only update their own profile, others need profile:update:any
+    if (!can(req.user, 'profile:update:any') && req.user._id.toString() !== req.params.id) {
+      return next(new ForbiddenError('Access denied'));
     }
 
     const profile = await Profile.findByIdAndUpdate(
@@ -201,12 +257,66 @@ router.put('/:id', authenticate, async (req, res) => {
     ).select('-password').populate('insurance_id');
 
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      return next(new NotFoundError('Profile not found'));
     }
 
     res.json(profile);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Unlock login (admin only)
+/**
+ * @openapi
+ * /api/profiles/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and any lockout for an account
+ *     tags:
+ *       - Profiles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Profile ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileUnlockRequest'
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/unlock', authenticate, requirePermission('profile:unlock'), validate(profileUnlock), async (req, res, next) => {
+  try {
+    const profile = await Profile.findById(req.params.id).select('email');
+    if (!profile) {
+      return next(new NotFoundError('Profile not found'));
+    }
+
+    const keys = [accountKey(profile.email)];
+    if (req.body.ip) {
+      keys.push(ipKey(req.body.ip));
+    }
+    await clearLoginFailures(keys);
+
+    res.json({ message: 'Account unlocked' });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -239,17 +349,17 @@ router.put('/:id', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authenticate, authorize('admin'), async (req, res) => {
+router.delete('/:id', authenticate, requirePermission('profile:delete'), async (req, res, next) => {
   try {
     const profile = await Profile.findByIdAndDelete(req.params.id);
 
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      return next(new NotFoundError('Profile not found'));
     }
 
     res.json({ message: 'Profile deleted successfully' });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
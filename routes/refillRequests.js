@@ -0,0 +1,440 @@
+import express from 'express';
+import RefillRequest from '../models/RefillRequest.js';
+import Prescription from '../models/Prescription.js';
+import PharmacyRequest from '../models/PharmacyRequest.js';
+import Pharmacy from '../models/Pharmacy.js';
+import Doctor from '../models/Doctor.js';
+import Notification from '../models/Notification.js';
+import { authenticate, canAccess, listScope, ownsRecord, requirePermission } from '../middleware/auth.js';
+import { validate } from '../validation/validate.js';
+import { refillRequestCreate, refillRequestUpdate } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, RequestValidationError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+import { OPEN_REQUEST_STATUSES, assertValid, fulfilmentLines } from '../utils/prescriptions.js';
+
+const router = express.Router();
+
+// Filters and sort orders of GET /api/refill-requests
+const REFILL_LIST = {
+  filters: {
+    status: { field: 'status', enum: RefillRequest.schema.path('status').enumValues },
+    prescriptionId: { field: 'prescription_id' },
+    patientId: { field: 'patient_id' },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    status: ['status'],
+  },
+  defaultSort: '-createdAt',
+};
+
+const REFILL_POPULATE = [
+  { path: 'prescription_id', select: 'status valid_until refills_allowed refills_remaining dispense_count last_dispensed_at' },
+  { path: 'patient_id', select: 'full_name phone' },
+  { path: 'doctor_id', populate: { path: 'user_id', select: 'full_name' } },
+  { path: 'pharmacy_id', select: 'name location' },
+];
+
+// Whether a refill can be asked for or granted now; fails with 409 otherwise
+const assertRefillable = async (prescription, { exceptRefillId } = {}) => {
+  assertValid(prescription);
+  if (!(prescription.dispense_count > 0)) {
+    throw new ConflictError('The prescription has not been dispensed yet; send it to a pharmacy instead');
+  }
+  if (!(prescription.refills_remaining > 0)) {
+    throw new ConflictError('The prescription has no refills remaining', { code: 'no_refills_remaining' });
+  }
+
+  const [pendingRefill, openRequest] = await Promise.all([
+    RefillRequest.exists({ prescription_id: prescription._id, status: 'pending', _id: { $ne: exceptRefillId } }),
+    PharmacyRequest.exists({ prescription_id: prescription._id, status: { $in: OPEN_REQUEST_STATUSES } }),
+  ]);
+  if (pendingRefill) {
+    throw new ConflictError('A refill of this prescription is already waiting for the doctor');
+  }
+  if (openRequest) {
+    throw new ConflictError('The prescription is still being filled by a pharmacy');
+  }
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: RefillRequests
+ *     description: Patients asking the prescribing doctor for another fill of a prescription
+ * components:
+ *   schemas:
+ *     RefillRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         prescription_id:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *         doctor_id:
+ *           type: string
+ *         pharmacy_id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         notes:
+ *           type: string
+ *         rejection_reason:
+ *           type: string
+ *           nullable: true
+ *         decided_by:
+ *           type: string
+ *           nullable: true
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         pharmacy_request_id:
+ *           type: string
+ *           nullable: true
+ *           description: The pharmacy request sent on approval
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get refill requests
+/**
+ * @openapi
+ * /api/refill-requests:
+ *   get:
+ *     summary: List refill requests
+ *     description: Patients see their own requests, doctors those for their prescriptions, administrators all.
+ *     tags:
+ *       - RefillRequests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more statuses, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: prescriptionId
+ *         in: query
+ *         description: One or more prescription IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - name: patientId
+ *         in: query
+ *         description: One or more patient IDs, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, status, -status]
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Page of refill requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RefillRequest'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const scope = await listScope(req, 'refill:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const list = await parseListQuery(req.query, REFILL_LIST);
+    const page = await findPage(RefillRequest.find(withScope(scope, list.filter)).populate(REFILL_POPULATE), list);
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get refill request by ID
+/**
+ * @openapi
+ * /api/refill-requests/{id}:
+ *   get:
+ *     summary: Retrieve a refill request
+ *     tags:
+ *       - RefillRequests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Refill request ID
+ *     responses:
+ *       200:
+ *         description: Refill request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefillRequest'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Refill request not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const refill = await RefillRequest.findById(req.params.id).populate(REFILL_POPULATE);
+    if (!refill) {
+      return next(new NotFoundError('Refill request not found'));
+    }
+
+    if (!(await canAccess(req, 'refill:read', refill))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    res.json(refill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ask for a refill
+/**
+ * @openapi
+ * /api/refill-requests:
+ *   post:
+ *     summary: Ask the prescribing doctor for a refill
+ *     description: |
+ *       The prescription must be valid, dispensed at least once and have
+ *       refills remaining, with no other refill waiting and no pharmacy still
+ *       filling it.
+ *     tags:
+ *       - RefillRequests
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefillRequestCreate'
+ *     responses:
+ *       201:
+ *         description: Refill request created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefillRequest'
+ *       400:
+ *         description: Validation failed, or no pharmacy was given for a prescription without one
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Prescription or pharmacy not found
+ *       409:
+ *         description: The prescription has expired (prescription_expired), has no refills left (no_refills_remaining), or is already being refilled
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, requirePermission('refill:request'), validate(refillRequestCreate), async (req, res, next) => {
+  try {
+    const prescription = await Prescription.findById(req.body.prescription_id);
+    if (!prescription) {
+      return next(new NotFoundError('Prescription not found'));
+    }
+    if (!(await ownsRecord(req, prescription))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const pharmacyId = req.body.pharmacy_id ?? prescription.pharmacy_id;
+    if (!pharmacyId) {
+      return next(new RequestValidationError([{ field: 'pharmacy_id', message: 'is required: the prescription has no pharmacy' }]));
+    }
+    if (!(await Pharmacy.exists({ _id: pharmacyId }))) {
+      return next(new NotFoundError('Pharmacy not found'));
+    }
+
+    await assertRefillable(prescription);
+
+    const refill = await RefillRequest.create({
+      prescription_id: prescription._id,
+      patient_id: prescription.patient_id,
+      doctor_id: prescription.doctor_id,
+      pharmacy_id: pharmacyId,
+      notes: req.body.notes,
+    });
+
+    const doctor = await Doctor.findById(prescription.doctor_id).select('user_id');
+    if (doctor?.user_id) {
+      await Notification.create({
+        user_id: doctor.user_id,
+        title: 'Refill Requested',
+        message: `${req.user.full_name} asked for a refill of a prescription`,
+        type: 'prescription',
+        reference_id: refill._id,
+      });
+    }
+
+    await refill.populate(REFILL_POPULATE);
+    res.status(201).json(refill);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a refill
+/**
+ * @openapi
+ * /api/refill-requests/{id}:
+ *   put:
+ *     summary: Approve or reject a pending refill request
+ *     description: |
+ *       Approving sends the chosen pharmacy a pharmacy request for the whole
+ *       prescription; the refill is used up when that request is dispensed.
+ *       Rejecting needs a rejection_reason.
+ *     tags:
+ *       - RefillRequests
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Refill request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefillRequestUpdate'
+ *     responses:
+ *       200:
+ *         description: Decided refill request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefillRequest'
+ *       400:
+ *         description: Validation failed, or the prescription has no items
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Refill request not found
+ *       409:
+ *         description: Already decided, or the prescription has expired or has no refills left
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id', authenticate, validate(refillRequestUpdate), async (req, res, next) => {
+  try {
+    const refill = await RefillRequest.findById(req.params.id);
+    if (!refill) {
+      return next(new NotFoundError('Refill request not found'));
+    }
+
+    if (!(await canAccess(req, 'refill:approve', refill))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (refill.status !== 'pending') {
+      return next(new ConflictError(`The refill request is already ${refill.status}`));
+    }
+
+    const { status, rejection_reason: rejectionReason } = req.body;
+    if (status === 'rejected' && !rejectionReason) {
+      return next(new RequestValidationError([{ field: 'rejection_reason', message: 'is required when rejecting' }]));
+    }
+
+    let lines;
+    if (status === 'approved') {
+      const prescription = await Prescription.findById(refill.prescription_id);
+      if (!prescription) {
+        return next(new NotFoundError('Prescription not found'));
+      }
+      await assertRefillable(prescription, { exceptRefillId: refill._id });
+
+      lines = await fulfilmentLines(prescription._id, refill.pharmacy_id);
+      if (lines.length === 0) {
+        return next(new BadRequestError('The prescription has no items'));
+      }
+    }
+
+    // Matching on pending guards against a concurrent decision
+    const decided = await RefillRequest.findOneAndUpdate(
+      { _id: refill._id, status: 'pending' },
+      { status, rejection_reason: rejectionReason, decided_by: req.user._id, decided_at: new Date() },
+      { new: true }
+    );
+    if (!decided) {
+      return next(new ConflictError('The refill request was decided by someone else, please reload'));
+    }
+
+    if (lines) {
+      const request = await PharmacyRequest.create({
+        prescription_id: refill.prescription_id,
+        pharmacy_id: refill.pharmacy_id,
+        patient_id: refill.patient_id,
+        refill_request_id: refill._id,
+        items: lines,
+      });
+      decided.pharmacy_request_id = request._id;
+      await decided.save();
+    }
+
+    await Notification.create({
+      user_id: refill.patient_id,
+      title: status === 'approved' ? 'Refill Approved' : 'Refill Rejected',
+      message: status === 'approved'
+        ? 'Your refill was approved and sent to the pharmacy'
+        : `Your refill was rejected: ${rejectionReason}`,
+      type: 'prescription',
+      reference_id: refill._id,
+    });
+
+    await decided.populate(REFILL_POPULATE);
+    res.json(decided);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
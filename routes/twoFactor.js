@@ -0,0 +1,573 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import Profile from '../models/Profile.js';
+import TwoFactor from '../models/TwoFactor.js';
+import TwoFactorPolicy from '../models/TwoFactorPolicy.js';
+import Notification from '../models/Notification.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { issueSession, verifyMfaToken } from '../utils/tokens.js';
+import { buildOtpauthUrl, generateSecret, verifyCode } from '../utils/totp.js';
+import { generateRecoveryCodes, isTwoFactorRequired, verifySecondFactor } from '../utils/twoFactor.js';
+import { accountKey, getLoginBlock, ipKey, recordLoginFailure } from '../utils/loginThrottle.js';
+import { validate } from '../validation/validate.js';
+import { emptyBody, twoFactorCode, twoFactorDisable, twoFactorPolicyUpdate, twoFactorVerify } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, TooManyRequestsError, UnauthorizedError } from '../utils/errors.js';
+
+const router = express.Router();
+
+const ROLES = ['patient', 'doctor', 'lab_technician', 'pharmacist', 'admin', 'nurse'];
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EasyHealth';
+
+// Accepts a normal access token, or the setup token login hands out when the
+// user's role requires 2FA and they have not enrolled yet
+const authenticateForSetup = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  const mfa = token ? verifyMfaToken(token) : null;
+  if (!mfa) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    if (mfa.purpose !== 'setup') {
+      return next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
+    }
+    const user = await Profile.findById(mfa.id).select('-password');
+    if (!user) {
+      return next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
+    }
+    req.user = user;
+    req.mfaSetup = true;
+    next();
+  } catch (error) {
+    next(new UnauthorizedError('Token is not valid', { code: 'token_invalid' }));
+  }
+};
+
+const sessionResponse = async (user, req) => {
+  const tokens = await issueSession(user, req);
+  const userObj = user.toObject();
+  delete userObj.password;
+  return { user: userObj, ...tokens };
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Two-Factor Auth
+ *     description: TOTP second factor for logins
+ * components:
+ *   schemas:
+ *     MfaChallenge:
+ *       type: object
+ *       properties:
+ *         mfa_required:
+ *           type: boolean
+ *           description: Send a code to POST /api/auth/2fa/verify with mfa_token
+ *         mfa_setup_required:
+ *           type: boolean
+ *           description: The role requires 2FA; enroll with mfa_token as bearer token via /setup and /enable
+ *         mfa_token:
+ *           type: string
+ *           description: Valid for 5 minutes
+ *     TwoFactorStatus:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         required:
+ *           type: boolean
+ *           description: Whether the user's role must use 2FA
+ *         enabled_at:
+ *           type: string
+ *           format: date-time
+ *         recovery_codes_remaining:
+ *           type: integer
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 secret for manual entry
+ *         otpauth_url:
+ *           type: string
+ *           description: otpauth:// URI to render as a QR code
+ *     TwoFactorPolicy:
+ *       type: object
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [patient, doctor, lab_technician, pharmacist, admin, nurse]
+ *         required:
+ *           type: boolean
+ */
+
+// Get own 2FA status
+/**
+ * @openapi
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Two-factor status of the current user
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorStatus'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/status', authenticate, async (req, res, next) => {
+  try {
+    const [twoFactor, required] = await Promise.all([
+      TwoFactor.findOne({ user_id: req.user._id, enabled: true }).select('+recovery_codes'),
+      isTwoFactorRequired(req.user.role),
+    ]);
+
+    res.json({
+      enabled: Boolean(twoFactor),
+      required,
+      enabled_at: twoFactor?.enabled_at,
+      recovery_codes_remaining: twoFactor ? twoFactor.recovery_codes.filter(c => !c.used_at).length : 0,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start enrollment
+/**
+ * @openapi
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Generate a new TOTP secret to enroll an authenticator app
+ *     description: Accepts an access token, or the mfa_token from a login that returned mfa_setup_required.
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI; confirm with POST /api/auth/2fa/enable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: 2FA is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/setup', authenticateForSetup, validate(emptyBody), async (req, res, next) => {
+  try {
+    if (await TwoFactor.exists({ user_id: req.user._id, enabled: true })) {
+      return next(new ConflictError('Two-factor authentication is already enabled'));
+    }
+
+    const secret = generateSecret();
+    await TwoFactor.findOneAndUpdate(
+      { user_id: req.user._id },
+      { pending_secret: secret },
+      { upsert: true }
+    );
+
+    res.json({
+      secret,
+      otpauth_url: buildOtpauthUrl({ secret, account: req.user.email, issuer: TOTP_ISSUER }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish enrollment
+/**
+ * @openapi
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: |
+ *       Returns recovery codes, shown only this once. When called with a setup
+ *       mfa_token the response also contains a new session, completing the login.
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recovery_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: 2FA is already enabled
+ *       500:
+ *         description: Server error
+ */
+router.post('/enable', authenticateForSetup, validate(twoFactorCode), async (req, res, next) => {
+  try {
+    const twoFactor = await TwoFactor.findOne({ user_id: req.user._id }).select('+pending_secret');
+    if (twoFactor?.enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled'));
+    }
+    if (!twoFactor?.pending_secret) {
+      return next(new BadRequestError('Start with POST /api/auth/2fa/setup'));
+    }
+
+    const step = verifyCode(twoFactor.pending_secret, req.body.code);
+    if (step === null) {
+      return next(new BadRequestError('Invalid verification code'));
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    const enabled = await TwoFactor.findOneAndUpdate(
+      { _id: twoFactor._id, enabled: false, pending_secret: twoFactor.pending_secret },
+      {
+        $set: {
+          enabled: true,
+          enabled_at: new Date(),
+          secret: twoFactor.pending_secret,
+          last_used_step: step,
+          recovery_codes: records,
+        },
+        $unset: { pending_secret: 1 },
+      }
+    );
+    if (!enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled'));
+    }
+
+    const response = { recovery_codes: codes };
+    if (req.mfaSetup) {
+      Object.assign(response, await sessionResponse(req.user, req));
+    }
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Complete login with a code
+/**
+ * @openapi
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a TOTP or recovery code
+ *     tags:
+ *       - Two-Factor Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login complete
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: mfa_token invalid or expired
+ *       429:
+ *         description: Too many failed attempts; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify', validate(twoFactorVerify), async (req, res, next) => {
+  try {
+    const mfa = verifyMfaToken(req.body.mfa_token);
+    if (!mfa || mfa.purpose !== 'verify') {
+      return next(new UnauthorizedError('Login session expired, please log in again'));
+    }
+
+    const user = await Profile.findById(mfa.id).select('-password');
+    if (!user) {
+      return next(new UnauthorizedError('Login session expired, please log in again'));
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttleKeys = [ipKey(req.ip), accountKey(user.email)];
+    const block = await getLoginBlock(throttleKeys);
+    if (block) {
+      return next(new TooManyRequestsError('Too many failed login attempts, please wait before trying again', {
+        code: 'too_many_attempts',
+        retryAfter: block.retry_after,
+      }));
+    }
+
+    if (!(await verifySecondFactor(user._id, req.body))) {
+      await Promise.all(throttleKeys.map(recordLoginFailure));
+      return next(new BadRequestError('Invalid verification code'));
+    }
+
+    res.json(await sessionResponse(user, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regenerate recovery codes
+/**
+ * @openapi
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only this once
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/recovery-codes', authenticate, validate(twoFactorCode), async (req, res, next) => {
+  try {
+    if (!(await verifySecondFactor(req.user._id, { code: req.body.code }))) {
+      return next(new BadRequestError('Invalid verification code'));
+    }
+
+    const { codes, records } = generateRecoveryCodes();
+    await TwoFactor.updateOne({ user_id: req.user._id }, { recovery_codes: records });
+    res.json({ recovery_codes: codes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn off own 2FA
+/**
+ * @openapi
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorDisableRequest'
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Wrong password or code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: 2FA is required for this role
+ *       500:
+ *         description: Server error
+ */
+router.post('/disable', authenticate, validate(twoFactorDisable), async (req, res, next) => {
+  try {
+    if (await isTwoFactorRequired(req.user.role)) {
+      return next(new ForbiddenError('Two-factor authentication is required for your role'));
+    }
+
+    const user = await Profile.findById(req.user._id);
+    const passwordOk = await bcrypt.compare(req.body.password, user.password);
+    if (!passwordOk || !(await verifySecondFactor(user._id, req.body))) {
+      return next(new BadRequestError('Password or verification code is incorrect'));
+    }
+
+    await TwoFactor.deleteOne({ user_id: user._id });
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get 2FA policy (admin only)
+/**
+ * @openapi
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Which roles must use two-factor authentication
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TwoFactorPolicy'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/policy', authenticate, requirePermission('twofactor:manage'), async (req, res, next) => {
+  try {
+    const policies = await TwoFactorPolicy.find({ required: true });
+    const required = new Set(policies.map(p => p.role));
+    res.json(ROLES.map(role => ({ role, required: required.has(role) })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set 2FA policy for a role (admin only)
+/**
+ * @openapi
+ * /api/auth/2fa/policy/{role}:
+ *   put:
+ *     summary: Require or stop requiring two-factor authentication for a role
+ *     description: Users of the role without 2FA must enroll at their next login.
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: role
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [patient, doctor, lab_technician, pharmacist, admin, nurse]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorPolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Updated policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorPolicy'
+ *       400:
+ *         description: Unknown role or missing flag
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.put('/policy/:role', authenticate, requirePermission('twofactor:manage'), validate(twoFactorPolicyUpdate), async (req, res, next) => {
+  try {
+    if (!ROLES.includes(req.params.role)) {
+      return next(new BadRequestError(`role must be one of ${ROLES.join(', ')}`));
+    }
+
+    const policy = await TwoFactorPolicy.findOneAndUpdate(
+      { role: req.params.role },
+      { required: req.body.required, updated_by: req.user._id },
+      { upsert: true, new: true }
+    );
+    res.json({ role: policy.role, required: policy.required });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset a user's 2FA (admin only)
+/**
+ * @openapi
+ * /api/auth/2fa/users/{userId}:
+ *   delete:
+ *     summary: Remove a user's second factor, e.g. after a lost phone
+ *     description: If the user's role requires 2FA they must enroll again at their next login.
+ *     tags:
+ *       - Two-Factor Auth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Profile ID
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User has no two-factor authentication
+ *       500:
+ *         description: Server error
+ */
+router.delete('/users/:userId', authenticate, requirePermission('twofactor:manage'), async (req, res, next) => {
+  try {
+    const removed = await TwoFactor.findOneAndDelete({ user_id: req.params.userId });
+    if (!removed) {
+      return next(new NotFoundError('User has no two-factor authentication'));
+    }
+
+    await Notification.create({
+      user_id: req.params.userId,
+      title: 'Two-Factor Authentication Reset',
+      message: `${req.user.full_name} reset your two-factor authentication. Set it up again from your security settings.`,
+      type: 'security',
+    });
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,10 +1,35 @@
 import express from 'express';
 import Vital from '../models/Vital.js';
 import Nurse from '../models/Nurse.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { canReadClinical, clinicalListScope } from '../utils/careAccess.js';
+import { audit, diffFields } from '../utils/audit.js';
+import { validate } from '../validation/validate.js';
+import { vitalCreate } from '../validation/schemas.js';
+import { ForbiddenError, NotFoundError } from '../utils/errors.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
 
 const router = express.Router();
 
+// Filters and sort orders of the vitals lists
+const VITAL_LIST = {
+  filters: {
+    patientId: { field: 'patient_id' },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+  },
+  defaultSort: '-createdAt',
+};
+
+// One page of the vitals matching `filter` and the list parameters
+const listVitals = (filter, list) => findPage(
+  Vital.find(withScope(filter, list.filter))
+    .populate('patient_id', 'full_name')
+    .populate('nurse_id', 'full_name'),
+  list
+);
+
 /**
  * @openapi
  * tags:
@@ -42,25 +67,6 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     VitalCreateRequest:
- *       type: object
- *       required:
- *         - patient_id
- *       properties:
- *         patient_id:
- *           type: string
- *         blood_pressure:
- *           type: string
- *         heart_rate:
- *           type: number
- *         temperature:
- *           type: number
- *         weight:
- *           type: number
- *         height:
- *           type: number
- *         notes:
- *           type: string
  */
 
 // Get vitals
@@ -73,39 +79,57 @@ const router = express.Router();
  *       - Vitals
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
  *     responses:
  *       200:
- *         description: Array of vitals
+ *         description: Page of vitals, newest first by default
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Vital'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Vital'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, async (req, res, next) => {
   try {
-    const query = {};
-    
-    if (req.user.role === 'patient') {
-      query.patient_id = req.user._id;
-    } else if (req.user.role === 'nurse') {
-      // Nurses can see vitals they recorded
-      query.nurse_id = req.user._id;
+    // Patients see their own vitals, nurses the ones they recorded, doctors and
+    // nurses also those of patients under their care
+    const scope = await clinicalListScope(req, 'vital:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
     }
 
-    const vitals = await Vital.find(query)
-      .populate('patient_id', 'full_name')
-      .populate('nurse_id', 'full_name')
-      .sort({ createdAt: -1 });
+    const page = await listVitals(scope, await parseListQuery(req.query, VITAL_LIST));
 
-    res.json(vitals);
+    await audit(req, 'read', 'vital', page.data);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -126,30 +150,53 @@ router.get('/', authenticate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Patient ID
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
  *     responses:
  *       200:
- *         description: Array of vitals
+ *         description: Page of vitals, newest first by default
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Vital'
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Vital'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       500:
  *         description: Server error
  */
-router.get('/patient/:patientId', authenticate, async (req, res) => {
+router.get('/patient/:patientId', authenticate, async (req, res, next) => {
   try {
-    const vitals = await Vital.find({ patient_id: req.params.patientId })
-      .populate('patient_id', 'full_name')
-      .populate('nurse_id', 'full_name')
-      .sort({ createdAt: -1 });
+    const { patientId } = req.params;
+    if (!(await canReadClinical(req, 'vital:read', { patient_id: patientId }, { resource: 'patient_vitals', recordId: patientId }))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const page = await listVitals({ patient_id: patientId }, await parseListQuery(req.query, VITAL_LIST));
 
-    res.json(vitals);
+    await audit(req, 'read', 'vital', page.data);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -176,6 +223,8 @@ router.get('/patient/:patientId', authenticate, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Vital'
+ *       400:
+ *         description: Validation failed
  *       401:
  *         description: Unauthorized
  *       403:
@@ -183,7 +232,7 @@ router.get('/patient/:patientId', authenticate, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/', authenticate, authorize('nurse'), async (req, res) => {
+router.post('/', authenticate, requirePermission('vital:create'), validate(vitalCreate), async (req, res, next) => {
   try {
     const vital = new Vital({
       ...req.body,
@@ -192,9 +241,10 @@ router.post('/', authenticate, authorize('nurse'), async (req, res) => {
     await vital.save();
     await vital.populate('patient_id', 'full_name');
     await vital.populate('nurse_id', 'full_name');
+    await audit(req, 'create', 'vital', vital, { changes: diffFields(null, vital) });
     res.status(201).json(vital);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
@@ -224,24 +274,31 @@ router.post('/', authenticate, authorize('nurse'), async (req, res) => {
  *               $ref: '#/components/schemas/Vital'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: Vital not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', authenticate, async (req, res) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const vital = await Vital.findById(req.params.id)
       .populate('patient_id', 'full_name')
       .populate('nurse_id', 'full_name');
 
     if (!vital) {
-      return res.status(404).json({ error: 'Vital not found' });
+      return next(new NotFoundError('Vital not found'));
+    }
+
+    if (!(await canReadClinical(req, 'vital:read', vital, { resource: 'vital' }))) {
+      return next(new ForbiddenError('Access denied'));
     }
 
+    await audit(req, 'read', 'vital', vital);
     res.json(vital);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
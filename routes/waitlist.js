@@ -0,0 +1,463 @@
+import express from 'express';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Appointment from '../models/Appointment.js';
+import Doctor from '../models/Doctor.js';
+import Notification from '../models/Notification.js';
+import { authenticate, can, canAccess, listScope, ownsRecord } from '../middleware/auth.js';
+import { parseDate } from '../utils/schedule.js';
+import { releaseOffer } from '../utils/waitlist.js';
+import { validate } from '../validation/validate.js';
+import { emptyBody, waitlistJoin } from '../validation/schemas.js';
+import { BadRequestError, ConflictError, ForbiddenError, GoneError, NotFoundError } from '../utils/errors.js';
+import { parseView, pickFields, populateView } from '../utils/expand.js';
+import { APPOINTMENT_VIEW } from '../utils/views.js';
+import { findPage, parseListQuery, withScope } from '../utils/listQuery.js';
+
+const router = express.Router();
+
+// Filters and sort orders of GET /api/waitlist; the queue is served oldest first
+const WAITLIST_LIST = {
+  filters: {
+    status: { field: 'status', enum: WaitlistEntry.schema.path('status').enumValues },
+    doctorId: { field: 'doctor_id' },
+    hospitalId: { field: 'hospital_id' },
+    patientId: { field: 'patient_id' },
+  },
+  sortFields: {
+    createdAt: ['createdAt'],
+    date_from: ['date_from'],
+  },
+  defaultSort: 'createdAt',
+};
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Waitlist
+ *     description: Queue for fully booked doctors
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *         doctor_id:
+ *           type: string
+ *         hospital_id:
+ *           type: string
+ *           nullable: true
+ *         date_from:
+ *           type: string
+ *           format: date
+ *         date_to:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *         reason:
+ *           type: string
+ *         offer:
+ *           type: object
+ *           nullable: true
+ *           description: Slot held for the patient while status is offered
+ *           properties:
+ *             hospital_id:
+ *               type: string
+ *             department_id:
+ *               type: string
+ *             appointment_date:
+ *               type: string
+ *               format: date
+ *             appointment_time:
+ *               type: string
+ *             offered_at:
+ *               type: string
+ *               format: date-time
+ *             expires_at:
+ *               type: string
+ *               format: date-time
+ *         appointment_id:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Get waitlist entries
+/**
+ * @openapi
+ * /api/waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: Patients see their own entries, doctors the queue for themselves, nurses and admins everything.
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - name: status
+ *         in: query
+ *         description: One or more of waiting, offered, booked, cancelled, separated by commas
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/DoctorId'
+ *       - $ref: '#/components/parameters/HospitalId'
+ *       - $ref: '#/components/parameters/PatientId'
+ *       - $ref: '#/components/parameters/From'
+ *       - $ref: '#/components/parameters/To'
+ *       - name: sort
+ *         in: query
+ *         description: Sort field, prefixed with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, date_from, -date_from]
+ *           default: createdAt
+ *     responses:
+ *       200:
+ *         description: Page of waitlist entries, oldest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const scope = await listScope(req, 'waitlist:read');
+    if (!scope) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const list = await parseListQuery(req.query, WAITLIST_LIST);
+    const page = await findPage(
+      WaitlistEntry.find(withScope(scope, list.filter))
+        .populate('patient_id', 'full_name phone')
+        .populate({
+          path: 'doctor_id',
+          populate: { path: 'user_id', select: 'full_name' }
+        })
+        .populate('hospital_id', 'name'),
+      list
+    );
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Join waitlist
+/**
+ * @openapi
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a doctor (patient only)
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaitlistJoinRequest'
+ *     responses:
+ *       201:
+ *         description: Waitlist entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Only patients can join a waitlist
+ *       404:
+ *         description: Doctor not found
+ *       409:
+ *         description: Already on this doctor's waitlist
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authenticate, validate(waitlistJoin), async (req, res, next) => {
+  try {
+    if (!can(req.user, 'waitlist:join')) {
+      return next(new ForbiddenError('Only patients can join a waitlist'));
+    }
+
+    const dateFrom = parseDate(req.body.date_from);
+    const dateTo = req.body.date_to ? parseDate(req.body.date_to) : dateFrom;
+    if (!dateFrom || !dateTo || dateTo < dateFrom) {
+      return next(new BadRequestError('A valid date_from and a date_to on or after it are required'));
+    }
+    if (dateTo < parseDate(new Date())) {
+      return next(new BadRequestError('The date range is in the past'));
+    }
+
+    const doctor = await Doctor.findById(req.body.doctor_id);
+    if (!doctor) {
+      return next(new NotFoundError('Doctor not found'));
+    }
+
+    const existing = await WaitlistEntry.exists({
+      patient_id: req.user._id,
+      doctor_id: doctor._id,
+      status: { $in: ['waiting', 'offered'] },
+    });
+    if (existing) {
+      return next(new ConflictError('You are already on this doctor\'s waitlist'));
+    }
+
+    const entry = new WaitlistEntry({
+      patient_id: req.user._id,
+      doctor_id: doctor._id,
+      hospital_id: req.body.hospital_id,
+      date_from: dateFrom,
+      date_to: dateTo,
+      reason: req.body.reason,
+    });
+    await entry.save();
+
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept offered slot
+/**
+ * @openapi
+ * /api/waitlist/{id}/accept:
+ *   post:
+ *     summary: Accept the slot held for a waitlist entry
+ *     description: Books the held slot as a pending appointment.
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Waitlist entry ID
+ *       - $ref: '#/components/parameters/Fields'
+ *       - $ref: '#/components/parameters/Expand'
+ *     responses:
+ *       201:
+ *         description: Appointment booked from the offer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid fields or expand parameter
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: No outstanding offer for this entry
+ *       410:
+ *         description: The offer expired and was passed on
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/accept', authenticate, validate(emptyBody), async (req, res, next) => {
+  try {
+    const view = parseView(req, APPOINTMENT_VIEW);
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+
+    if (!can(req.user, 'waitlist:join') || !(await ownsRecord(req, entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (entry.status !== 'offered') {
+      return next(new ConflictError('There is no slot on offer for this waitlist entry'));
+    }
+
+    if (entry.offer.expires_at <= new Date()) {
+      await releaseOffer(entry);
+      return next(new GoneError('This offer has expired and was passed to the next patient'));
+    }
+
+    const appointment = new Appointment({
+      patient_id: entry.patient_id,
+      doctor_id: entry.doctor_id,
+      hospital_id: entry.offer.hospital_id,
+      department_id: entry.offer.department_id,
+      appointment_date: entry.offer.appointment_date,
+      appointment_time: entry.offer.appointment_time,
+      reason: entry.reason,
+    });
+    await appointment.save();
+
+    const booked = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'booked', appointment_id: appointment._id } },
+      { new: true }
+    );
+    if (!booked) {
+      await appointment.deleteOne();
+      return next(new ConflictError('There is no slot on offer for this waitlist entry'));
+    }
+
+    const doctor = await Doctor.findById(entry.doctor_id);
+    if (doctor) {
+      await Notification.create({
+        user_id: doctor.user_id,
+        title: 'New Appointment Request',
+        message: `You have a new appointment request from ${req.user.full_name} (from the waitlist)`,
+        type: 'appointment',
+        reference_id: appointment._id,
+      });
+    }
+
+    await populateView(appointment, view);
+
+    res.status(201).json(pickFields(appointment, view));
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new ConflictError('This time slot is already booked', { code: 'slot_taken' }));
+    }
+    next(error);
+  }
+});
+
+// Decline offered slot
+/**
+ * @openapi
+ * /api/waitlist/{id}/decline:
+ *   post:
+ *     summary: Decline the slot held for a waitlist entry
+ *     description: The patient stays on the waitlist and the slot passes to the next patient.
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Updated waitlist entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: No outstanding offer for this entry
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/decline', authenticate, validate(emptyBody), async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+
+    if (!can(req.user, 'waitlist:join') || !(await ownsRecord(req, entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    const released = entry.status === 'offered' ? await releaseOffer(entry) : null;
+    if (!released) {
+      return next(new ConflictError('There is no slot on offer for this waitlist entry'));
+    }
+
+    res.json(released);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Leave waitlist
+/**
+ * @openapi
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     tags:
+ *       - Waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Waitlist entry ID
+ *     responses:
+ *       200:
+ *         description: Waitlist entry cancelled
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Waitlist entry not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return next(new NotFoundError('Waitlist entry not found'));
+    }
+
+    if (!(await canAccess(req, 'waitlist:leave', entry))) {
+      return next(new ForbiddenError('Access denied'));
+    }
+
+    if (entry.status === 'offered') {
+      await releaseOffer(entry, { status: 'cancelled' });
+    } else if (entry.status === 'waiting') {
+      entry.status = 'cancelled';
+      await entry.save();
+    }
+
+    res.json({ message: 'Removed from waitlist' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Pharmacy from '../models/Pharmacy.js';
+import Hospital from '../models/Hospital.js';
+
+dotenv.config();
+
+// Nearby searches use a GeoJSON `geo` point kept from latitude and longitude
+// on save. This gives pharmacies and hospitals saved before it their point
+// and builds the 2dsphere indexes. Hospitals only had a free-text location:
+// they appear in nearby searches once their coordinates are set.
+// Run with --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const MISSING = { latitude: { $type: 'number' }, longitude: { $type: 'number' }, geo: { $exists: false } };
+
+async function backfill(Model) {
+  if (dryRun) {
+    return Model.collection.countDocuments(MISSING);
+  }
+  const { modifiedCount } = await Model.collection.updateMany(MISSING, [
+    { $set: { geo: { type: 'Point', coordinates: ['$longitude', '$latitude'] } } },
+  ]);
+  await Model.createIndexes();
+  return modifiedCount;
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) {
+      console.log('🔎 Dry run, nothing will be written');
+    }
+
+    for (const Model of [Pharmacy, Hospital]) {
+      const count = await backfill(Model);
+      console.log(`✅ ${Model.modelName} records given a geo point: ${count}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
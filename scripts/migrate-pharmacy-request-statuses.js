@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import PharmacyRequest from '../models/PharmacyRequest.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
+
+dotenv.config();
+
+// Pharmacy requests used to be approved and completed; the fulfilment workflow
+// calls these accepted and dispensed. This renames the old statuses, records
+// each line's prescribed quantity and marks lines dispensed below it partial.
+// Run with --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const RENAMED_STATUSES = { approved: 'accepted', completed: 'dispensed' };
+
+async function renameStatuses() {
+  const renamed = {};
+
+  for (const [from, to] of Object.entries(RENAMED_STATUSES)) {
+    // Raw collection: the model no longer accepts the old statuses
+    renamed[from] = dryRun
+      ? await PharmacyRequest.collection.countDocuments({ status: from })
+      : (await PharmacyRequest.collection.updateMany({ status: from }, { $set: { status: to } })).modifiedCount;
+  }
+
+  return renamed;
+}
+
+async function backfillLines() {
+  let backfilled = 0;
+
+  const requests = await PharmacyRequest.find({ 'items.prescribed_quantity': { $exists: false } });
+  for (const request of requests) {
+    const items = await PrescriptionItem.find({ prescription_id: request.prescription_id }).select('quantity');
+    const quantities = new Map(items.map(item => [String(item._id), item.quantity]));
+
+    if (!dryRun) {
+      for (const line of request.items) {
+        const quantity = quantities.get(String(line.prescription_item_id));
+        if (quantity === undefined) {
+          continue;
+        }
+        line.prescribed_quantity = quantity;
+        if (line.status === 'dispensed' && line.dispensed_quantity < quantity) {
+          line.status = line.dispensed_quantity > 0 ? 'partial' : 'unavailable';
+        }
+      }
+      await request.save();
+    }
+    backfilled++;
+  }
+
+  return backfilled;
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) {
+      console.log('🔎 Dry run, nothing will be written');
+    }
+
+    const renamed = await renameStatuses();
+    for (const [from, count] of Object.entries(renamed)) {
+      console.log(`✅ Pharmacy requests ${from} -> ${RENAMED_STATUSES[from]}: ${count}`);
+    }
+
+    const backfilled = await backfillLines();
+    console.log(`✅ Pharmacy requests given prescribed quantities: ${backfilled}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
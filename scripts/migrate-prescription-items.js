@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Prescription from '../models/Prescription.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
+import PharmacyRequest from '../models/PharmacyRequest.js';
+
+dotenv.config();
+
+// Prescriptions used to carry a single medication on the document itself.
+// This moves each of those medications into a PrescriptionItem, drops the old
+// fields and gives pharmacy requests one fulfilment line per item.
+// Run with --dry-run to only report what would change.
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_FIELDS = ['medication_id', 'quantity', 'dosage', 'instructions', 'unit_price'];
+
+async function migratePrescriptions() {
+  let converted = 0;
+
+  // Raw collection: the model no longer knows the legacy fields
+  const legacy = Prescription.collection.find({ medication_id: { $exists: true } });
+  for await (const prescription of legacy) {
+    const hasItems = await PrescriptionItem.exists({ prescription_id: prescription._id });
+    const quantity = prescription.quantity || 1;
+    const unitPrice = prescription.unit_price || 0;
+
+    if (!dryRun) {
+      if (!hasItems) {
+        await PrescriptionItem.create({
+          prescription_id: prescription._id,
+          medication_id: prescription.medication_id,
+          quantity,
+          dosage: prescription.dosage || 'As directed',
+          instructions: prescription.instructions,
+          unit_price: unitPrice,
+          total_price: unitPrice * quantity,
+        });
+      }
+      const items = await PrescriptionItem.find({ prescription_id: prescription._id }).select('total_price');
+      await Prescription.collection.updateOne(
+        { _id: prescription._id },
+        {
+          $set: { total_price: items.reduce((sum, item) => sum + item.total_price, 0) },
+          $unset: Object.fromEntries(LEGACY_FIELDS.map(field => [field, ''])),
+        }
+      );
+    }
+    converted++;
+  }
+
+  return converted;
+}
+
+async function migratePharmacyRequests() {
+  let backfilled = 0;
+
+  const requests = await PharmacyRequest.find({ $or: [{ items: { $exists: false } }, { items: { $size: 0 } }] });
+  for (const request of requests) {
+    const items = await PrescriptionItem.find({ prescription_id: request.prescription_id }).select('quantity unit_price');
+    if (items.length === 0) {
+      console.log(`⚠️  Pharmacy request ${request._id} has no prescription items, skipped`);
+      continue;
+    }
+
+    if (!dryRun) {
+      // Completed requests were filled in full
+      const filled = ['completed', 'dispensed'].includes(request.status);
+      request.items = items.map(item => ({
+        prescription_item_id: item._id,
+        status: filled ? 'dispensed' : 'pending',
+        dispensed_quantity: filled ? item.quantity : 0,
+        unit_price: item.unit_price,
+      }));
+      await request.save();
+    }
+    backfilled++;
+  }
+
+  return backfilled;
+}
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) {
+      console.log('🔎 Dry run, nothing will be written');
+    }
+
+    const converted = await migratePrescriptions();
+    console.log(`✅ Prescriptions moved to items: ${converted}`);
+
+    const backfilled = await migratePharmacyRequests();
+    console.log(`✅ Pharmacy requests given fulfilment lines: ${backfilled}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
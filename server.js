@@ -4,6 +4,9 @@ import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './swagger.js';
+import { startJobs } from './jobs/index.js';
+import { requestLogger } from './middleware/requestLogger.js';
+import { errorHandler, notFoundHandler, requestId } from './middleware/errorHandler.js';
 
 /**
  * @openapi
@@ -13,27 +16,180 @@ import swaggerSpec from './swagger.js';
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *   schemas:
+ *     Error:
+ *       type: object
+ *       description: Body of every error response
+ *       properties:
+ *         error:
+ *           type: string
+ *           description: Human-readable message
+ *         code:
+ *           type: string
+ *           description: Stable machine-readable code
+ *           example: not_found
+ *         request_id:
+ *           type: string
+ *           description: Correlation id, also sent in the X-Request-Id header
+ *         details:
+ *           type: array
+ *           description: Per-field problems (validation failures, duplicate keys)
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               message:
+ *                 type: string
+ *         retry_after:
+ *           type: integer
+ *           description: Seconds to wait, on 429 responses
+ *     Pagination:
+ *       type: object
+ *       description: Position of a page in a list response
+ *       properties:
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *           description: Records matching the filters across all pages
+ *         pages:
+ *           type: integer
+ *         has_next:
+ *           type: boolean
+ *   parameters:
+ *     Page:
+ *       name: page
+ *       in: query
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *     Limit:
+ *       name: limit
+ *       in: query
+ *       description: Page size
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     From:
+ *       name: from
+ *       in: query
+ *       description: Earliest date (inclusive)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     To:
+ *       name: to
+ *       in: query
+ *       description: Latest date (inclusive)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     Latitude:
+ *       name: lat
+ *       in: query
+ *       required: true
+ *       description: Latitude of the point to search from
+ *       schema:
+ *         type: number
+ *         minimum: -90
+ *         maximum: 90
+ *     Longitude:
+ *       name: lng
+ *       in: query
+ *       required: true
+ *       description: Longitude of the point to search from
+ *       schema:
+ *         type: number
+ *         minimum: -180
+ *         maximum: 180
+ *     Radius:
+ *       name: radius
+ *       in: query
+ *       description: Search radius in kilometres (default NEARBY_RADIUS_KM, 10)
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *         maximum: 500
+ *     NearLimit:
+ *       name: limit
+ *       in: query
+ *       description: Most results to return, nearest first
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 20
+ *     HospitalId:
+ *       name: hospitalId
+ *       in: query
+ *       description: Hospital id, or several separated by commas
+ *       schema:
+ *         type: string
+ *     DoctorId:
+ *       name: doctorId
+ *       in: query
+ *       description: Doctor id, or several separated by commas
+ *       schema:
+ *         type: string
+ *     PatientId:
+ *       name: patientId
+ *       in: query
+ *       description: Patient profile id, or several separated by commas
+ *       schema:
+ *         type: string
+ *     Fields:
+ *       name: fields
+ *       in: query
+ *       description: Top-level fields to return, separated by commas; _id and expanded relations are always included
+ *       schema:
+ *         type: string
+ *         example: status,appointment_date,appointment_time
+ *     Expand:
+ *       name: expand
+ *       in: query
+ *       description: Reference fields to populate, separated by commas; empty for none. Defaults depend on the caller's role.
+ *       schema:
+ *         type: string
+ *         example: doctor_id,hospital_id
  */
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
 import profileRoutes from './routes/profiles.js';
+import invitationRoutes from './routes/invitations.js';
+import permissionRoutes from './routes/permissions.js';
+import breakGlassRoutes from './routes/breakGlass.js';
+import auditLogRoutes from './routes/auditLogs.js';
 import insuranceRoutes from './routes/insurances.js';
 import hospitalRoutes from './routes/hospitals.js';
 import departmentRoutes from './routes/departments.js';
 import hospitalDepartmentRoutes from './routes/hospitalDepartments.js';
 import doctorRoutes from './routes/doctors.js';
+import doctorScheduleRoutes from './routes/doctorSchedules.js';
 import nurseRoutes from './routes/nurses.js';
 import pharmacyRoutes from './routes/pharmacies.js';
 import medicationRoutes from './routes/medications.js';
+import pharmacyInventoryRoutes from './routes/pharmacyInventory.js';
+import controlledRegisterRoutes from './routes/controlledRegister.js';
+import drugInteractionRoutes from './routes/drugInteractions.js';
 import appointmentRoutes from './routes/appointments.js';
+import waitlistRoutes from './routes/waitlist.js';
 import consultationRoutes from './routes/consultations.js';
 import labTestRoutes from './routes/labTests.js';
 import prescriptionRoutes from './routes/prescriptions.js';
 import pharmacyRequestRoutes from './routes/pharmacyRequests.js';
+import refillRequestRoutes from './routes/refillRequests.js';
 import paymentRoutes from './routes/payments.js';
 import notificationRoutes from './routes/notifications.js';
 import vitalRoutes from './routes/vitals.js';
+import medicalHistoryRoutes from './routes/medicalHistory.js';
 
 dotenv.config();
 
@@ -50,35 +206,71 @@ if (!process.env.MONGODB_URI) {
   process.exit(1);
 }
 
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+  console.error('ERROR: MAIL_TRANSPORT is not set in environment variables');
+  console.error('Production has no default mail transport; console would print reset links to the log');
+  process.exit(1);
+}
+
 const app = express();
 
+// Needed behind a reverse proxy so per-IP login throttling sees the client address.
+// Express reads a string as addresses to trust, so hop counts and booleans are converted first.
+const trustProxy = (value) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return value;
+};
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', trustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 // Connect to database
 connectDB();
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(requestLogger);
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/profiles', profileRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/permissions', permissionRoutes);
+app.use('/api/break-glass', breakGlassRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 app.use('/api/insurances', insuranceRoutes);
 app.use('/api/hospitals', hospitalRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/hospital-departments', hospitalDepartmentRoutes);
 app.use('/api/doctors', doctorRoutes);
+app.use('/api/doctor-schedules', doctorScheduleRoutes);
 app.use('/api/nurses', nurseRoutes);
 app.use('/api/pharmacies', pharmacyRoutes);
 app.use('/api/medications', medicationRoutes);
+app.use('/api/pharmacy-inventory', pharmacyInventoryRoutes);
+app.use('/api/controlled-register', controlledRegisterRoutes);
+app.use('/api/drug-interactions', drugInteractionRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
 app.use('/api/consultations', consultationRoutes);
 app.use('/api/lab-tests', labTestRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
 app.use('/api/pharmacy-requests', pharmacyRequestRoutes);
+app.use('/api/refill-requests', refillRequestRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/vitals', vitalRoutes);
+app.use('/api/medical-history', medicalHistoryRoutes);
 
 // register swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -114,14 +306,17 @@ app.get('/api/health', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ error: 'Something went wrong!' });
-});
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Reminders, no-show marking and waitlist offer expiry
+  if (process.env.DISABLE_JOBS !== 'true') {
+    startJobs();
+  }
 });
 
@@ -1,4 +1,6 @@
 import swaggerJSDoc from 'swagger-jsdoc';
+import * as requestSchemas from './validation/schemas.js';
+import { toOpenApi } from './validation/validate.js';
 
 const options = {
   definition: {
@@ -16,4 +18,10 @@ const options = {
 };
 
 const swaggerSpec = swaggerJSDoc(options);
+
+// Request bodies come from the validation schemas the routes enforce
+for (const schema of Object.values(requestSchemas)) {
+  swaggerSpec.components.schemas[schema.name] = toOpenApi(schema);
+}
+
 export default swaggerSpec;
\ No newline at end of file
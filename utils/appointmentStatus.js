@@ -0,0 +1,42 @@
+import { can } from '../config/permissions.js';
+import { ConflictError, ForbiddenError } from './errors.js';
+
+// Appointment status transitions: current status -> next status -> permission needed to make it.
+// Statuses without an entry (rejected, completed, cancelled, rescheduled, no_show) are final.
+// The no-show job also moves approved appointments to no_show on its own.
+// `rescheduled` is only set by the reschedule endpoint, never through a status update.
+export const APPOINTMENT_TRANSITIONS = {
+  pending: {
+    approved: 'appointment:approve',
+    rejected: 'appointment:reject',
+    cancelled: 'appointment:cancel',
+  },
+  approved: {
+    completed: 'appointment:complete',
+    cancelled: 'appointment:cancel',
+    no_show: 'appointment:mark_no_show',
+  },
+};
+
+/**
+ * Checks whether `user` may move an appointment from `from` to `to`.
+ * Returns null when allowed, otherwise a ConflictError or ForbiddenError to pass to next().
+ */
+export const checkTransition = (from, to, user) => {
+  const allowed = APPOINTMENT_TRANSITIONS[from] || {};
+
+  if (!Object.prototype.hasOwnProperty.call(allowed, to)) {
+    const next = Object.keys(allowed);
+    const hint = next.length > 0 ? `allowed next statuses: ${next.join(', ')}` : `${from} is a final status`;
+    return new ConflictError(`Cannot change appointment status from ${from} to ${to} (${hint})`);
+  }
+
+  if (!can(user, allowed[to])) {
+    return new ForbiddenError(`Changing appointment status from ${from} to ${to} requires ${allowed[to]}`);
+  }
+
+  return null;
+};
+
+// Statuses that hold a doctor's slot
+export const ACTIVE_STATUSES = ['pending', 'approved'];
@@ -0,0 +1,69 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields never reported as changes
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toPlain = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// Comparable JSON form: ids become strings, dates ISO strings
+const toJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Field-level differences between two versions of a record, as
+ * [{ field, before, after }]. Pass null as `before` for a new record and as
+ * `after` for a deleted one. Populated references compare by id.
+ */
+export const diffFields = (before, after) => {
+  const from = toPlain(before);
+  const to = toPlain(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const was = toJson(from[field]);
+    const is = toJson(to[field]);
+    if (JSON.stringify(was) !== JSON.stringify(is)) {
+      changes.push({ field, before: was, after: is });
+    }
+  }
+  return changes;
+};
+
+const defaultPatientOf = (record) => record.patient_id?._id ?? record.patient_id ?? null;
+
+/**
+ * Records that the current user performed `action` on one record or a list of
+ * records of `resourceType`, one entry per record. `patientOf` finds the
+ * patient of a record when it has no patient_id of its own; `changes` comes
+ * from diffFields. Audit failures are logged and never fail the request.
+ */
+export const audit = async (req, action, resourceType, records, { changes, patientOf = defaultPatientOf } = {}) => {
+  const list = (Array.isArray(records) ? records : [records]).filter(Boolean);
+  if (list.length === 0) {
+    return;
+  }
+
+  try {
+    await AuditLog.insertMany(list.map(record => ({
+      actor_id: req.user._id,
+      actor_role: req.user.role,
+      action,
+      resource_type: resourceType,
+      resource_id: record._id,
+      patient_id: patientOf(record),
+      ip: req.ip,
+      break_glass_id: req.breakGlassId,
+      changes,
+    })), { ordered: false });
+  } catch (error) {
+    console.error(`Audit log write failed for ${action} ${resourceType}: ${error.message}`);
+  }
+};
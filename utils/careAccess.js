@@ -0,0 +1,137 @@
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Doctor from '../models/Doctor.js';
+import Nurse from '../models/Nurse.js';
+import BreakGlassAccess from '../models/BreakGlassAccess.js';
+import { can, canAccess, canAny, getOwnerScope } from '../middleware/auth.js';
+import { ForbiddenError, NotFoundError } from './errors.js';
+
+export const BREAK_GLASS_MINUTES = parseInt(process.env.BREAK_GLASS_MINUTES || '60', 10);
+
+// Bookings that never turned into care do not open a patient's records
+const NO_CARE_STATUSES = ['rejected', 'cancelled'];
+
+/**
+ * Appointment filter tying the user to patients: appointments booked with
+ * them and any appointment at the hospital they work at. Null without
+ * `clinical:read` or when the user is not linked to a hospital yet.
+ * Looked up once per request.
+ */
+const getCareQuery = async (req) => {
+  if (req.careQuery !== undefined) {
+    return req.careQuery;
+  }
+
+  let query = null;
+  if (can(req.user, 'clinical:read')) {
+    const [doctor, nurse] = await Promise.all([
+      Doctor.findOne({ user_id: req.user._id }).select('_id hospital_id'),
+      Nurse.findOne({ user_id: req.user._id }).select('hospital_id'),
+    ]);
+
+    const ties = [];
+    if (doctor) {
+      ties.push({ doctor_id: doctor._id }, { hospital_id: doctor.hospital_id });
+    }
+    if (nurse?.hospital_id) {
+      ties.push({ hospital_id: nurse.hospital_id });
+    }
+    if (ties.length > 0) {
+      query = { $or: ties, status: { $nin: NO_CARE_STATUSES } };
+    }
+  }
+
+  req.careQuery = query;
+  return query;
+};
+
+export const hasCareRelationship = async (req, patientId) => {
+  const query = await getCareQuery(req);
+  return Boolean(query) && Boolean(await Appointment.exists({ ...query, patient_id: patientId }));
+};
+
+// The user's unexpired break-glass grant for the patient, if any
+export const getActiveBreakGlass = async (req, patientId) => {
+  if (!can(req.user, 'clinical:break_glass')) {
+    return null;
+  }
+  return BreakGlassAccess.findOne({
+    user_id: req.user._id,
+    patient_id: patientId,
+    expires_at: { $gt: new Date() },
+  }).sort({ expires_at: -1 });
+};
+
+/**
+ * Whether the user may read a clinical record (anything with a patient_id):
+ * with `permission:any`, with `permission` on a record they own or about a
+ * patient under their care, or through an active break-glass grant. Reads
+ * under a grant are appended to it as `resource`/`recordId`, and the grant is
+ * left on req.breakGlassId for the audit log.
+ */
+export const canReadClinical = async (req, permission, record, { resource, recordId = record._id } = {}) => {
+  if (await canAccess(req, permission, record)) {
+    return true;
+  }
+  if (!can(req.user, permission)) {
+    return false;
+  }
+
+  const patientId = record.patient_id?._id ?? record.patient_id;
+  if (!patientId) {
+    return false;
+  }
+  if (await hasCareRelationship(req, patientId)) {
+    return true;
+  }
+
+  const grant = await getActiveBreakGlass(req, patientId);
+  if (!grant) {
+    return false;
+  }
+  await BreakGlassAccess.updateOne(
+    { _id: grant._id },
+    { $push: { accesses: { resource, record_id: recordId } } }
+  );
+  req.breakGlassId = grant._id;
+  return true;
+};
+
+/**
+ * Query filter for clinical record lists: like listScope, widened to the
+ * patients under the user's care. Break-glass grants do not extend lists;
+ * those records are opened one patient at a time.
+ */
+export const clinicalListScope = async (req, permission) => {
+  if (canAny(req.user, permission)) {
+    return {};
+  }
+  if (!can(req.user, permission)) {
+    return null;
+  }
+
+  const own = await getOwnerScope(req);
+  const query = await getCareQuery(req);
+  if (!query) {
+    return own;
+  }
+  const patientIds = await Appointment.distinct('patient_id', query);
+  return { $or: [own, { patient_id: { $in: patientIds } }] };
+};
+
+/**
+ * Loads the consultation an order (prescription, lab request) is placed
+ * under, with the hospital of its appointment. Only users who may edit the
+ * consultation order under it, and the order takes its patient from it
+ * rather than from the request body.
+ */
+export const getOrderingConsultation = async (req, consultationId) => {
+  const consultation = await Consultation.findById(consultationId).populate('appointment_id', 'hospital_id');
+  if (!consultation) {
+    throw new NotFoundError('Consultation not found');
+  }
+  if (!(await canAccess(req, 'consultation:update', consultation))) {
+    throw new ForbiddenError('Orders can only be placed under your own consultations');
+  }
+  return consultation;
+};
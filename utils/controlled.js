@@ -0,0 +1,103 @@
+import Medication from '../models/Medication.js';
+import Doctor from '../models/Doctor.js';
+import ControlledDrugEntry from '../models/ControlledDrugEntry.js';
+import { ConflictError, RequestValidationError } from './errors.js';
+
+const CONTROLLED = { controlled_schedule: { $ne: null } };
+
+/**
+ * The controlled medications among `items` ([{ medication_id, quantity }]),
+ * after checking their per-prescription caps. `existing` lists the other
+ * items of the same prescription, which count towards the caps, and `fills`
+ * is how often the prescription may be filled (1 + refills_allowed), since
+ * every refill hands out the quantities again. A breach is reported under
+ * `fieldOf(index)` of the last item of that medication.
+ */
+export const checkControlled = async (items, fieldOf, existing = [], fills = 1) => {
+  const medications = await Medication.find({ _id: { $in: items.map(item => item.medication_id) }, ...CONTROLLED })
+    .select('name controlled_schedule max_quantity_per_prescription');
+
+  const details = [];
+  for (const medication of medications) {
+    const cap = medication.max_quantity_per_prescription;
+    if (!cap) {
+      continue;
+    }
+    const same = item => String(item.medication_id) === String(medication._id);
+    const total = [...existing, ...items].filter(same).reduce((sum, item) => sum + item.quantity, 0) * fills;
+    if (total > cap) {
+      details.push({
+        field: fieldOf(items.findLastIndex(same)),
+        message: `${medication.name} is a schedule ${medication.controlled_schedule} controlled substance: at most ${cap} per prescription including refills, ${total} prescribed`,
+      });
+    }
+  }
+  if (details.length > 0) {
+    throw new RequestValidationError(details);
+  }
+  return medications;
+};
+
+export const isControlled = async (medicationId) => Boolean(await Medication.exists({ _id: medicationId, ...CONTROLLED }));
+
+// The signature a doctor keeps on their doctor record, required to prescribe controlled substances
+export const doctorSignature = async (doctorId) => {
+  const doctor = await Doctor.findById(doctorId).select('signature_data');
+  if (!doctor?.signature_data) {
+    throw new ConflictError(
+      'Controlled substances can only be prescribed with a signature; add signature_data to the doctor record first',
+      { code: 'signature_required' }
+    );
+  }
+  return doctor.signature_data;
+};
+
+/**
+ * Appends register entries for stock changes at a pharmacy. Each entry is
+ * { medication_id, type, quantity, balance, ...references }; medications
+ * that are not controlled and changes of zero are skipped.
+ */
+export const recordRegister = async (pharmacyId, entries, user) => {
+  const changed = entries.filter(entry => entry.quantity !== 0);
+  if (changed.length === 0) {
+    return;
+  }
+
+  const medications = await Medication.find({ _id: { $in: changed.map(entry => entry.medication_id) }, ...CONTROLLED })
+    .select('controlled_schedule');
+  const schedules = new Map(medications.map(medication => [String(medication._id), medication.controlled_schedule]));
+
+  const lines = changed
+    .filter(entry => schedules.has(String(entry.medication_id)))
+    .map(entry => ({
+      ...entry,
+      pharmacy_id: pharmacyId,
+      schedule: schedules.get(String(entry.medication_id)),
+      recorded_by: user._id,
+    }));
+  if (lines.length > 0) {
+    await ControlledDrugEntry.insertMany(lines);
+  }
+};
+
+// Pharmacies only fill controlled substances on a signed prescription
+export const assertSigned = async (prescription, medicationIds) => {
+  if (prescription?.signature_data) {
+    return;
+  }
+  if (await Medication.exists({ _id: { $in: medicationIds }, ...CONTROLLED })) {
+    throw new ConflictError('The prescription holds controlled substances but is not signed by the doctor', { code: 'signature_required' });
+  }
+};
+
+/**
+ * What a prescription needs once it holds the `controlled` medications: the
+ * is_controlled flag and the prescribing doctor's own signature. Null when
+ * nothing changes; 409 signature_required when the doctor has no signature.
+ */
+export const controlledSignature = async (prescription, controlled) => {
+  if (controlled.length === 0 || prescription.is_controlled) {
+    return null;
+  }
+  return { is_controlled: true, signature_data: await doctorSignature(prescription.doctor_id) };
+};
@@ -0,0 +1,122 @@
+// Errors the API answers with. Routes pass them to next() and the error
+// middleware in server.js turns them into
+//   { error, code, request_id, details? }
+// `code` is stable and meant for clients; `error` is for people.
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'internal_error', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', { code = 'bad_request', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// Request body did not match its schema; details lists { field, message }
+export class RequestValidationError extends AppError {
+  constructor(details) {
+    super('Validation failed', { status: 400, code: 'validation_failed', details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Unauthorized', { code = 'unauthorized', details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', { code = 'forbidden', details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'not_found', details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code = 'conflict', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+export class GoneError extends AppError {
+  constructor(message = 'Gone', { code = 'gone', details } = {}) {
+    super(message, { status: 410, code, details });
+  }
+}
+
+// A document failed its model's validation on save
+export class UnprocessableEntityError extends AppError {
+  constructor(message = 'Unprocessable entity', { code = 'unprocessable_entity', details } = {}) {
+    super(message, { status: 422, code, details });
+  }
+}
+
+// Sent with a Retry-After header and `retry_after` (seconds) in the body
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', { code = 'too_many_requests', retryAfter } = {}) {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Maps anything thrown in a route to an AppError: mongoose cast and
+ * validation errors, duplicate keys and body-parser failures get their own
+ * status, everything else becomes a 500 that keeps the original as `cause`.
+ */
+export const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error?.name === 'CastError') {
+    return new BadRequestError(`Invalid ${error.path}`, {
+      code: error.kind === 'ObjectId' ? 'invalid_id' : 'invalid_value',
+      details: [{ field: error.path, message: `must be a valid ${error.kind === 'ObjectId' ? 'id' : error.kind}` }],
+    });
+  }
+
+  if (error?.name === 'ValidationError' && error.errors) {
+    return new UnprocessableEntityError('Validation failed', {
+      code: 'invalid_document',
+      details: Object.values(error.errors).map(fieldError => ({
+        field: fieldError.path,
+        message: fieldError.kind === 'required' ? 'is required' : fieldError.message,
+      })),
+    });
+  }
+
+  if (error?.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ConflictError(
+      fields.length > 0 ? `A record with the same ${fields.join(', ')} already exists` : 'Duplicate record',
+      { code: 'duplicate_key', details: fields.map(field => ({ field, message: 'is already taken' })) }
+    );
+  }
+
+  if (error?.name === 'DocumentNotFoundError') {
+    return new NotFoundError('Record not found');
+  }
+
+  // body-parser: malformed JSON, oversized bodies, ...
+  if (error?.expose && error.status >= 400 && error.status < 500) {
+    const code = error.type === 'entity.parse.failed' ? 'invalid_json' : 'bad_request';
+    return new AppError(code === 'invalid_json' ? 'Malformed JSON body' : error.message, { status: error.status, code });
+  }
+
+  const internal = new AppError('Internal server error');
+  internal.cause = error;
+  return internal;
+};
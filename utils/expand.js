@@ -0,0 +1,85 @@
+import { BadRequestError } from './errors.js';
+
+/**
+ * What a resource's responses may contain. `relations` maps reference fields
+ * to their populate options; `defaults` lists the relations populated when the
+ * client sends no `expand`, per role with a `default` fallback; `hidden` lists
+ * relations a role may not expand at all; `keep` names fields always loaded
+ * because access checks and the audit log read them.
+ */
+export const defineView = (model, { relations, defaults, hidden = {}, keep = [] }) => ({
+  model,
+  relations,
+  defaults,
+  hidden,
+  keep,
+});
+
+const listParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const schemaFields = (model) => [
+  ...new Set(Object.keys(model.schema.paths).map(path => path.split('.')[0])),
+].filter(field => field !== '__v');
+
+/**
+ * Reads `fields` (top-level fields to return, _id always included) and
+ * `expand` (relations to populate; empty for none) from the query string.
+ * Expanded relations are returned even when `fields` leaves them out.
+ * Returns { fields, select, populate } for populateView/pickFields; unknown
+ * names are answered with 400 invalid_query.
+ */
+export const parseView = (req, view) => {
+  const details = [];
+  const role = req.user?.role;
+  const hidden = view.hidden[role] ?? [];
+  const relations = Object.keys(view.relations).filter(name => !hidden.includes(name));
+
+  const expand = req.query.expand === undefined
+    ? view.defaults[role] ?? view.defaults.default
+    : listParam(req.query.expand);
+  if (expand.some(name => !relations.includes(name))) {
+    details.push({ field: 'expand', message: `must be one or more of ${relations.join(', ')}` });
+  }
+
+  let fields = null;
+  if (req.query.fields !== undefined) {
+    const allowed = schemaFields(view.model);
+    fields = listParam(req.query.fields);
+    if (fields.some(field => !allowed.includes(field))) {
+      details.push({ field: 'fields', message: `must be one or more of ${allowed.join(', ')}` });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new BadRequestError('Invalid query parameters', { code: 'invalid_query', details });
+  }
+
+  if (fields) {
+    fields = [...new Set(['_id', ...fields, ...expand])];
+  }
+  return {
+    fields,
+    select: fields ? [...new Set([...fields, ...view.keep])].join(' ') : undefined,
+    populate: expand.map(name => view.relations[name]),
+  };
+};
+
+// Populates the parsed relations on a query or a loaded document
+export const populateView = (target, { populate }) => (
+  populate.length > 0 ? target.populate(populate) : target
+);
+
+// Loads only what the response needs; use where no check reads other fields
+export const selectView = (query, { select }) => (select ? query.select(select) : query);
+
+// Trims records (a document or an array of them) to the requested fields
+export const pickFields = (records, { fields }) => {
+  if (!fields) {
+    return records;
+  }
+  const pick = (record) => {
+    const plain = typeof record?.toJSON === 'function' ? record.toJSON() : record;
+    return Object.fromEntries(fields.filter(field => field in plain).map(field => [field, plain[field]]));
+  };
+  return Array.isArray(records) ? records.map(pick) : pick(records);
+};
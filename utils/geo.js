@@ -0,0 +1,68 @@
+import { BadRequestError } from './errors.js';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from './listQuery.js';
+
+// Search radius of nearby searches, in kilometres
+export const DEFAULT_RADIUS_KM = parseFloat(process.env.NEARBY_RADIUS_KM || '10');
+export const MAX_RADIUS_KM = 500;
+
+/**
+ * Reads the parameters of a nearby search from a query string:
+ *   lat, lng      the point to search from (required)
+ *   radius        in kilometres, at most MAX_RADIUS_KM (default DEFAULT_RADIUS_KM)
+ *   limit         at most MAX_PAGE_SIZE results (default DEFAULT_PAGE_SIZE)
+ * Returns { point, maxDistance, limit } with the point as GeoJSON and the
+ * radius in metres; every invalid parameter is reported in one 400 (code
+ * invalid_query), as for list queries.
+ */
+export const parseNearQuery = (params) => {
+  const details = [];
+
+  const number = (param, min, max, fallback) => {
+    if (params[param] === undefined || params[param] === '') {
+      if (fallback === undefined) {
+        details.push({ field: param, message: 'is required' });
+      }
+      return fallback;
+    }
+    const value = Number(params[param]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      details.push({ field: param, message: `must be a number between ${min} and ${max}` });
+    }
+    return value;
+  };
+
+  const lat = number('lat', -90, 90);
+  const lng = number('lng', -180, 180);
+  const radius = number('radius', 0, MAX_RADIUS_KM, DEFAULT_RADIUS_KM);
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    details.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  if (details.length > 0) {
+    throw new BadRequestError('Invalid query parameters', { code: 'invalid_query', details });
+  }
+
+  return { point: { type: 'Point', coordinates: [lng, lat] }, maxDistance: radius * 1000, limit };
+};
+
+/**
+ * Aggregation stages listing the records matching `query` within the
+ * searched radius, nearest first, each with its distance_km. Needs the
+ * 2dsphere index on `geo`; records without coordinates never match.
+ */
+export const nearStages = (near, query = {}) => [
+  {
+    $geoNear: {
+      near: near.point,
+      key: 'geo',
+      distanceField: 'distance_km',
+      distanceMultiplier: 0.001,
+      maxDistance: near.maxDistance,
+      spherical: true,
+      query,
+    },
+  },
+  { $limit: near.limit },
+  { $set: { distance_km: { $round: ['$distance_km', 2] } } },
+];
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { BadRequestError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Reads the shared list parameters from a query string:
+ *   page, limit            page-based pagination (limit at most MAX_PAGE_SIZE)
+ *   from, to               range on `dateField` (ISO dates or timestamps)
+ *   sort                   one of `sortFields`, prefixed with - for descending
+ *   <filter params>        per `filters`: { field, enum } matches the field
+ *                          against comma-separated values (ids unless `enum`
+ *                          is given, any text with `text: true`), { toQuery }
+ *                          builds the condition itself
+ * Returns { filter, sort, page, limit }; every invalid parameter is reported
+ * in one 400 (code invalid_query) listing each of them.
+ */
+export const parseListQuery = async (params, { filters = {}, dateField = 'createdAt', sortFields, defaultSort }) => {
+  const details = [];
+  const conditions = [];
+
+  const page = params.page === undefined ? 1 : Number(params.page);
+  if (!Number.isInteger(page) || page < 1) {
+    details.push({ field: 'page', message: 'must be a positive integer' });
+  }
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    details.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+  }
+
+  const range = {};
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!params[param]) {
+      continue;
+    }
+    const date = new Date(params[param]);
+    if (Number.isNaN(date.getTime())) {
+      details.push({ field: param, message: 'must be a valid date' });
+    } else {
+      range[operator] = date;
+    }
+  }
+  if (Object.keys(range).length > 0) {
+    conditions.push({ [dateField]: range });
+  }
+
+  for (const [param, spec] of Object.entries(filters)) {
+    if (!params[param]) {
+      continue;
+    }
+    const values = String(params[param]).split(',').map(value => value.trim()).filter(Boolean);
+    let invalid = [];
+    if (spec.enum) {
+      invalid = values.filter(value => !spec.enum.includes(value));
+    } else if (!spec.text) {
+      invalid = values.filter(value => !mongoose.isValidObjectId(value));
+    }
+    if (invalid.length > 0) {
+      details.push({
+        field: param,
+        message: spec.enum ? `must be one or more of ${spec.enum.join(', ')}` : 'must be a valid id',
+      });
+      continue;
+    }
+    if (spec.toQuery) {
+      conditions.push(await spec.toQuery(values));
+    } else {
+      conditions.push({ [spec.field]: values.length === 1 ? values[0] : { $in: values } });
+    }
+  }
+
+  const sortParam = String(params.sort || defaultSort);
+  const sortField = sortParam.replace(/^-/, '');
+  if (!sortFields[sortField]) {
+    details.push({ field: 'sort', message: `must be one of ${Object.keys(sortFields).join(', ')}, optionally prefixed with -` });
+  }
+
+  if (details.length > 0) {
+    throw new BadRequestError('Invalid query parameters', { code: 'invalid_query', details });
+  }
+
+  // Ties are broken by _id so pages never overlap or skip records
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const sort = {};
+  for (const field of sortFields[sortField]) {
+    sort[field] = direction;
+  }
+  sort._id = direction;
+
+  return {
+    filter: conditions.length > 0 ? { $and: conditions } : {},
+    sort,
+    page,
+    limit,
+  };
+};
+
+// Access scope and list filters together
+export const withScope = (scope, filter) => (
+  Object.keys(filter).length > 0 ? { $and: [scope, filter] } : scope
+);
+
+/**
+ * Runs a find query for one page and counts all matches. The query may carry
+ * populates and selects; its filter is reused for the count.
+ */
+export const findPage = async (query, { sort, page, limit }) => {
+  const [data, total] = await Promise.all([
+    query.sort(sort).skip((page - 1) * limit).limit(limit),
+    query.model.countDocuments(query.getFilter()),
+  ]);
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      has_next: page * limit < total,
+    },
+  };
+};
@@ -0,0 +1,92 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+
+export const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5', 10);
+export const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '20', 10);
+export const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+const MAX_DELAY_SECONDS = 30;
+
+export const accountKey = (email) => `account:${email}`;
+export const ipKey = (ip) => `ip:${ip}`;
+
+const maxAttemptsFor = (key) => (key.startsWith('ip:') ? LOGIN_IP_MAX_ATTEMPTS : LOGIN_MAX_ATTEMPTS);
+
+// Seconds to wait after the given number of consecutive failures: 0, 1, 2, 4, ... capped
+const delayAfter = (failures) => (failures < 2 ? 0 : Math.min(2 ** (failures - 2), MAX_DELAY_SECONDS));
+
+/**
+ * Checks whether a login may be attempted for any of the given keys. Returns
+ * null when allowed, otherwise { retry_after (seconds), locked, key } for the
+ * key that blocks longest.
+ */
+export const getLoginBlock = async (keys) => {
+  const now = Date.now();
+  const records = await LoginThrottle.find({ key: { $in: keys } });
+
+  let block = null;
+  for (const record of records) {
+    let waitMs = 0;
+    let locked = false;
+    if (record.locked_until && record.locked_until.getTime() > now) {
+      waitMs = record.locked_until.getTime() - now;
+      locked = true;
+    } else if (record.last_failure_at && now - record.last_failure_at.getTime() < FAILURE_WINDOW_MS) {
+      waitMs = record.last_failure_at.getTime() + delayAfter(record.failures) * 1000 - now;
+    }
+
+    if (waitMs > 0 && (!block || waitMs > block.waitMs)) {
+      block = { waitMs, locked, key: record.key };
+    }
+  }
+
+  return block && { retry_after: Math.ceil(block.waitMs / 1000), locked: block.locked, key: block.key };
+};
+
+/**
+ * Counts a failed login against `key` and locks it once the limit is reached.
+ * Returns true only for the failure that started a new lockout.
+ */
+export const recordLoginFailure = async (key) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+
+  // Pipeline update so the window reset and increment happen atomically
+  const record = await LoginThrottle.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $lt: ['$last_failure_at', windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+          ],
+        },
+        last_failure_at: now,
+        locked_until: { $ifNull: ['$locked_until', null] },
+        lockout_count: { $ifNull: ['$lockout_count', 0] },
+        expires_at: new Date(now.getTime() + 2 * FAILURE_WINDOW_MS),
+      },
+    }],
+    { upsert: true, new: true }
+  );
+
+  if (record.failures < maxAttemptsFor(key)) {
+    return false;
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: record._id, $or: [{ locked_until: null }, { locked_until: { $lte: now } }] },
+    {
+      $set: { locked_until: lockedUntil, failures: 0, expires_at: new Date(lockedUntil.getTime() + FAILURE_WINDOW_MS) },
+      $inc: { lockout_count: 1 },
+    }
+  );
+  return Boolean(locked);
+};
+
+// Forgets failures and any lockout for the given keys
+export const clearLoginFailures = (keys) => LoginThrottle.deleteMany({ key: { $in: keys } });
@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Mail transports by name. Each receives { from, to, subject, text } and
+// resolves once the message has been handed off. Pick one with MAIL_TRANSPORT;
+// deployments plug in a real provider with registerMailTransport(). Outside
+// production the default is console; production has no default, since console
+// would print reset and invitation links to the log.
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ ...message, sent_at: new Date() }, null, 2));
+  },
+};
+
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not set');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'EasyHealth <no-reply@easyhealth.local>',
+    to,
+    subject,
+    text,
+  });
+};
@@ -0,0 +1,16 @@
+import bcrypt from 'bcryptjs';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Returns an error message when a new password is not acceptable, otherwise null
+export const checkNewPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
@@ -0,0 +1,224 @@
+import Prescription from '../models/Prescription.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
+import PharmacyRequest from '../models/PharmacyRequest.js';
+import Medication from '../models/Medication.js';
+import PharmacyInventory from '../models/PharmacyInventory.js';
+import Dispensing from '../models/Dispensing.js';
+import { diffFields } from './audit.js';
+import { moveStock } from './stock.js';
+import { ConflictError, RequestValidationError } from './errors.js';
+
+// How long a prescription stays valid when the doctor sets no valid_until
+export const PRESCRIPTION_VALIDITY_DAYS = parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS || '30', 10);
+
+// Pharmacy requests holding stock for their lines
+export const HOLDING_REQUEST_STATUSES = ['accepted', 'preparing', 'ready_for_pickup'];
+
+// Pharmacy requests whose lines still follow the prescription
+export const OPEN_REQUEST_STATUSES = ['pending', ...HOLDING_REQUEST_STATUSES];
+
+export const defaultValidUntil = (validFrom) => new Date(validFrom.getTime() + PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+
+// Refills taken so far; the first fill is not one
+export const refillsUsed = (prescription) => Math.max((prescription.dispense_count ?? 0) - 1, 0);
+
+/**
+ * Fails with 409 unless a pharmacy may be sent the prescription now:
+ * prescription_expired after valid_until, prescription_not_yet_valid before
+ * valid_from. Prescriptions written without validity dates never expire.
+ */
+export const assertValid = (prescription, at = new Date()) => {
+  if (prescription.valid_until && prescription.valid_until < at) {
+    throw new ConflictError(`The prescription expired on ${prescription.valid_until.toISOString()}`, { code: 'prescription_expired' });
+  }
+  if (prescription.valid_from && prescription.valid_from > at) {
+    throw new ConflictError(`The prescription is valid from ${prescription.valid_from.toISOString()}`, { code: 'prescription_not_yet_valid' });
+  }
+};
+
+export const itemTotal = ({ unit_price = 0, quantity }) => unit_price * quantity;
+
+/**
+ * Prices items from the medication catalogue. The price is copied onto the
+ * item, so later catalogue changes do not reprice written prescriptions.
+ * Unknown medications fail validation under `fieldOf(index)`.
+ */
+export const priceItems = async (items, fieldOf = (index) => `items[${index}].medication_id`) => {
+  const medications = await Medication.find({ _id: { $in: items.map(item => item.medication_id) } }).select('unit_price');
+  const prices = new Map(medications.map(medication => [String(medication._id), medication.unit_price]));
+
+  const details = items
+    .map((item, index) => (prices.has(String(item.medication_id)) ? null : { field: fieldOf(index), message: 'is not a known medication' }))
+    .filter(Boolean);
+  if (details.length > 0) {
+    throw new RequestValidationError(details);
+  }
+
+  return items.map((item) => {
+    const unit_price = prices.get(String(item.medication_id));
+    return { ...item, unit_price, total_price: unit_price * item.quantity };
+  });
+};
+
+// Recomputes the prescription's total_price from its items and returns it
+export const refreshTotal = async (prescriptionId) => {
+  const items = await PrescriptionItem.find({ prescription_id: prescriptionId }).select('total_price');
+  const total = items.reduce((sum, item) => sum + item.total_price, 0);
+  await Prescription.updateOne({ _id: prescriptionId }, { total_price: total });
+  return total;
+};
+
+// Request lines for `items` at a pharmacy, priced at its own price where it has one
+const linesAt = async (items, pharmacyId) => {
+  const entries = await PharmacyInventory.find({
+    pharmacy_id: pharmacyId,
+    medication_id: { $in: items.map(item => item.medication_id) },
+  }).select('medication_id unit_price');
+  const prices = new Map(entries.map(entry => [String(entry.medication_id), entry.unit_price]));
+  return items.map(item => ({
+    prescription_item_id: item._id,
+    prescribed_quantity: item.quantity,
+    unit_price: prices.get(String(item.medication_id)) ?? item.unit_price,
+  }));
+};
+
+// Fulfilment lines for a new pharmacy request, one per prescription item
+export const fulfilmentLines = async (prescriptionId, pharmacyId) => {
+  const items = await PrescriptionItem.find({ prescription_id: prescriptionId }).select('medication_id quantity unit_price');
+  return linesAt(items, pharmacyId);
+};
+
+// The medication a request line hands over: the prescribed one, or its substitute once the patient accepted it
+export const suppliedMedication = (line, item) => (
+  line.substitution?.status === 'accepted' ? line.substitution.medication_id : item?.medication_id
+);
+
+// Once a pharmacy has accepted a request and holds stock for it, the items stay as they are
+export const heldByPharmacy = (prescriptionId) => (
+  PharmacyRequest.exists({ prescription_id: prescriptionId, status: { $in: HOLDING_REQUEST_STATUSES } })
+);
+
+/**
+ * Rejects the prescription's open pharmacy requests other than the one at
+ * `keepPharmacyId`, with `reason`, and frees the stock they hold. Each request
+ * is matched on the status it was read in, so one moving on concurrently is
+ * left alone.
+ */
+export const withdrawRequests = async (prescriptionId, keepPharmacyId, reason) => {
+  const requests = await PharmacyRequest.find({
+    prescription_id: prescriptionId,
+    pharmacy_id: { $ne: keepPharmacyId },
+    status: { $in: OPEN_REQUEST_STATUSES },
+  });
+  if (requests.length === 0) {
+    return;
+  }
+  const items = await PrescriptionItem.find({ prescription_id: prescriptionId }).select('medication_id');
+  const prescribed = new Map(items.map(item => [String(item._id), item]));
+
+  for (const request of requests) {
+    const { modifiedCount } = await PharmacyRequest.updateOne(
+      { _id: request._id, status: request.status },
+      { $set: { status: 'rejected', rejection_reason: reason, 'items.$[].reserved_quantity': 0 } }
+    );
+    if (modifiedCount > 0) {
+      await moveStock(request.items.map(line => ({
+        pharmacy_id: request.pharmacy_id,
+        medication_id: suppliedMedication(line, prescribed.get(String(line.prescription_item_id))),
+        reserved: -line.reserved_quantity,
+      })));
+    }
+  }
+};
+
+// Keeps the lines of open pharmacy requests in step with an added, updated or removed item
+export const syncRequestLines = async (prescriptionId, { added, updated, removed }) => {
+  const query = { prescription_id: prescriptionId, status: { $in: OPEN_REQUEST_STATUSES } };
+  if (added) {
+    for (const request of await PharmacyRequest.find(query).select('pharmacy_id')) {
+      const [line] = await linesAt([added], request.pharmacy_id);
+      await PharmacyRequest.updateOne({ _id: request._id }, { $push: { items: line } });
+    }
+  }
+  if (updated) {
+    // The line is rebuilt, so an offered substitute for a replaced medication goes too
+    for (const request of await PharmacyRequest.find({ ...query, 'items.prescription_item_id': updated._id }).select('pharmacy_id')) {
+      const [line] = await linesAt([updated], request.pharmacy_id);
+      await PharmacyRequest.updateOne(
+        { _id: request._id, 'items.prescription_item_id': updated._id },
+        { $set: { 'items.$': line } }
+      );
+    }
+  }
+  if (removed) {
+    await PharmacyRequest.updateMany(query, { $pull: { items: { prescription_item_id: removed._id } } });
+  }
+};
+
+// Audit changes of one item, reported as items.<item id>.<field>
+export const itemChanges = (before, after) => {
+  const itemId = (after ?? before)._id;
+  return diffFields(before, after).map(change => ({ ...change, field: `items.${itemId}.${change.field}` }));
+};
+
+/**
+ * Takes one fill of the prescription for a pharmacy request being dispensed:
+ * the first fill, or one of the remaining refills when the request fills an
+ * approved refill. The counters are changed in one conditional write, so two
+ * pharmacies can never use the same fill; when none is left nothing changes
+ * and the answer is 409 no_refills_remaining. Returns the updated prescription.
+ */
+export const claimFill = async (request) => {
+  const refill = Boolean(request.refill_request_id);
+  const prescription = await Prescription.findOneAndUpdate(
+    refill
+      ? { _id: request.prescription_id, dispense_count: { $gt: 0 }, refills_remaining: { $gt: 0 } }
+      : { _id: request.prescription_id, dispense_count: { $in: [0, null] } },
+    { $inc: refill ? { dispense_count: 1, refills_remaining: -1 } : { dispense_count: 1 } },
+    { new: true }
+  );
+  if (!prescription) {
+    throw new ConflictError(
+      refill
+        ? 'The prescription has no refills remaining'
+        : 'The prescription has already been dispensed; further fills need an approved refill request',
+      { code: 'no_refills_remaining' }
+    );
+  }
+  return prescription;
+};
+
+// Gives back a fill taken by claimFill when dispensing fails afterwards
+export const releaseFill = (request) => Prescription.updateOne(
+  { _id: request.prescription_id },
+  { $inc: request.refill_request_id ? { dispense_count: -1, refills_remaining: 1 } : { dispense_count: -1 } }
+);
+
+// Records a fill with what was handed over; `prescribed` maps item ids to items
+export const recordDispensing = async (request, prescription, prescribed, user) => {
+  const dispensing = await Dispensing.create({
+    prescription_id: prescription._id,
+    patient_id: prescription.patient_id,
+    pharmacy_id: request.pharmacy_id,
+    pharmacy_request_id: request._id,
+    refill_request_id: request.refill_request_id,
+    fill_number: prescription.dispense_count,
+    refills_remaining: prescription.refills_remaining,
+    items: request.items
+      .filter(line => ['dispensed', 'partial'].includes(line.status))
+      .map((line) => {
+        const item = prescribed.get(String(line.prescription_item_id));
+        const medicationId = suppliedMedication(line, item);
+        return {
+          prescription_item_id: line.prescription_item_id,
+          medication_id: medicationId,
+          quantity: line.dispensed_quantity,
+          prescribed_quantity: item?.quantity,
+          substituted_for: String(medicationId) === String(item?.medication_id) ? undefined : item?.medication_id,
+        };
+      }),
+    dispensed_by: user._id,
+  });
+  await Prescription.updateOne({ _id: prescription._id }, { last_dispensed_at: dispensing.createdAt });
+  return dispensing;
+};
@@ -0,0 +1,148 @@
+import Medication from '../models/Medication.js';
+import MedicalHistory from '../models/MedicalHistory.js';
+import DrugInteraction from '../models/DrugInteraction.js';
+import Prescription from '../models/Prescription.js';
+import PrescriptionItem from '../models/PrescriptionItem.js';
+import { ConflictError } from './errors.js';
+
+// Prescriptions not yet dispensed
+const OPEN_STATUSES = ['pending', 'approved'];
+
+/**
+ * Prescriptions whose medications the patient is taking or about to take:
+ * those still within valid_until, dispensed or not, and those without a
+ * validity that have not been dispensed yet. Rejected ones are never taken.
+ */
+const activeFilter = (patientId, now = new Date()) => ({
+  patient_id: patientId,
+  status: { $ne: 'rejected' },
+  $or: [
+    { valid_until: { $gte: now } },
+    { valid_until: null, status: { $in: OPEN_STATUSES } },
+  ],
+});
+
+// Findings at this severity stop a prescription unless the doctor overrides them
+export const BLOCKING_SEVERITY = 'severe';
+
+const sameText = (a, b) => Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const allergyMatches = (allergy, medication) => (
+  String(allergy.medication_id) === String(medication._id)
+  || sameText(allergy.substance, medication.name)
+  || sameText(allergy.substance, medication.category)
+);
+
+const agentMatches = (agent, medication) => (
+  String(agent?.medication_id) === String(medication._id) || sameText(agent?.category, medication.category)
+);
+
+const ruleMatches = (rule, a, b) => (
+  (agentMatches(rule.first, a) && agentMatches(rule.second, b))
+  || (agentMatches(rule.first, b) && agentMatches(rule.second, a))
+);
+
+/**
+ * Allergy and interaction findings for prescribing `medicationIds` to a
+ * patient: allergies on their medical history, and interaction rules between
+ * the new medications and between them and the items of the patient's active
+ * prescriptions. `excludeItemIds` leaves out items being replaced. Each
+ * finding is { type, severity, medication_id, other_medication_id?, message,
+ * index } where `index` is the position of the new medication it concerns.
+ */
+export const checkSafety = async (patientId, medicationIds, { excludeItemIds = [] } = {}) => {
+  const [history, activeIds] = await Promise.all([
+    MedicalHistory.findOne({ patient_id: patientId }),
+    Prescription.distinct('_id', activeFilter(patientId)),
+  ]);
+  const activeItems = await PrescriptionItem.find({
+    prescription_id: { $in: activeIds },
+    _id: { $nin: excludeItemIds },
+  }).select('medication_id');
+
+  const medications = await Medication.find({
+    _id: { $in: [...medicationIds, ...activeItems.map(item => item.medication_id)] },
+  }).select('name category');
+  const byId = new Map(medications.map(medication => [String(medication._id), medication]));
+  const taking = activeItems.map(item => byId.get(String(item.medication_id))).filter(Boolean);
+
+  // Rule categories are stored lowercase
+  const categories = [...new Set(medications.map(medication => medication.category?.trim().toLowerCase()).filter(Boolean))];
+  const rules = await DrugInteraction.find({
+    $or: ['first', 'second'].flatMap(side => [
+      { [`${side}.medication_id`]: { $in: medications.map(medication => medication._id) } },
+      { [`${side}.category`]: { $in: categories } },
+    ]),
+  });
+
+  const findings = [];
+  medicationIds.forEach((id, index) => {
+    const medication = byId.get(String(id));
+    if (!medication) {
+      return;
+    }
+
+    for (const allergy of history?.allergies ?? []) {
+      if (allergyMatches(allergy, medication)) {
+        findings.push({
+          type: 'allergy',
+          severity: BLOCKING_SEVERITY,
+          medication_id: medication._id,
+          message: `Patient is allergic to ${allergy.substance}${allergy.reaction ? ` (${allergy.reaction})` : ''}`,
+          index,
+        });
+      }
+    }
+
+    // Each pair of new medications is checked once
+    const others = [
+      ...medicationIds.slice(index + 1).map(otherId => byId.get(String(otherId))).filter(Boolean),
+      ...taking,
+    ];
+    for (const other of others) {
+      for (const rule of rules.filter(candidate => ruleMatches(candidate, medication, other))) {
+        findings.push({
+          type: 'interaction',
+          severity: rule.severity,
+          medication_id: medication._id,
+          other_medication_id: other._id,
+          message: `${medication.name} with ${other.name}: ${rule.description}`,
+          index,
+        });
+      }
+    }
+  });
+
+  return findings;
+};
+
+/**
+ * Throws 409 safety_override_required when a finding is severe and no
+ * override reason was given; `fieldOf(index)` names the offending medication
+ * in `details`.
+ */
+export const requireOverride = (findings, overrideReason, fieldOf) => {
+  const blocking = findings.filter(finding => finding.severity === BLOCKING_SEVERITY);
+  if (blocking.length > 0 && !overrideReason) {
+    throw new ConflictError('Severe allergy or interaction found; send an override_reason to prescribe anyway', {
+      code: 'safety_override_required',
+      details: blocking.map(finding => ({ field: fieldOf(finding.index), message: finding.message })),
+    });
+  }
+};
+
+// What a prescription keeps of a check: the findings, and the override when one was needed
+export const safetyRecord = (findings, overrideReason, user) => ({
+  safety_warnings: findings.map(({ index, ...finding }) => finding),
+  safety_overrides: overrideReason && findings.some(finding => finding.severity === BLOCKING_SEVERITY)
+    ? [{ reason: overrideReason, overridden_by: user._id, overridden_at: new Date() }]
+    : [],
+});
+
+// Appends a check to an existing prescription
+export const recordSafety = (prescriptionId, record) => Prescription.updateOne({ _id: prescriptionId }, {
+  $push: {
+    safety_warnings: { $each: record.safety_warnings },
+    safety_overrides: { $each: record.safety_overrides },
+  },
+});
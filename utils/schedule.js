@@ -0,0 +1,147 @@
+import DoctorSchedule from '../models/DoctorSchedule.js';
+import ScheduleException from '../models/ScheduleException.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Slots are exchanged with clients as HH:MM:SS strings
+export const formatSlot = (minutes) => {
+  const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+  const mins = (minutes % 60).toString().padStart(2, '0');
+  return `${hours}:${mins}:00`;
+};
+
+// Accepts HH:MM or HH:MM:SS and returns the canonical HH:MM:SS form, or null
+export const normalizeTime = (time) => {
+  if (typeof time !== 'string') {
+    return null;
+  }
+  const match = time.match(/^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/);
+  if (!match) {
+    return null;
+  }
+  return `${match[1]}:${match[2]}:${match[3] || '00'}`;
+};
+
+// Appointment and exception dates are stored as UTC midnight of the calendar day
+export const parseDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Start of an appointment as a Date, reading appointment_time as server local time
+export const getAppointmentStart = (appointment) => {
+  const day = appointment.appointment_date.toISOString().slice(0, 10);
+  return new Date(`${day}T${normalizeTime(appointment.appointment_time)}`);
+};
+
+// Returns an error message for an invalid weekly_hours array, or null when valid
+export const validateWeeklyHours = (weeklyHours, slotDuration) => {
+  if (!Array.isArray(weeklyHours)) {
+    return 'weekly_hours must be an array';
+  }
+
+  for (const day of weeklyHours) {
+    if (!day || !normalizeTime(day.start_time) || !normalizeTime(day.end_time)) {
+      return 'Each working day needs start_time and end_time in HH:MM format';
+    }
+    const start = toMinutes(day.start_time);
+    const end = toMinutes(day.end_time);
+    if (end <= start) {
+      return `Working hours for day ${day.day_of_week} must end after they start`;
+    }
+    if (slotDuration && end - start < slotDuration) {
+      return `Working hours for day ${day.day_of_week} are shorter than one slot`;
+    }
+    for (const pause of day.breaks || []) {
+      if (!normalizeTime(pause.start_time) || !normalizeTime(pause.end_time)) {
+        return 'Each break needs start_time and end_time in HH:MM format';
+      }
+      const breakStart = toMinutes(pause.start_time);
+      const breakEnd = toMinutes(pause.end_time);
+      if (breakEnd <= breakStart || breakStart < start || breakEnd > end) {
+        return `Breaks for day ${day.day_of_week} must fall inside the working hours`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Exceptions covering `date` that apply to the given doctor at the given hospitals
+const findExceptions = (doctorId, hospitalIds, date) => ScheduleException.find({
+  start_date: { $lte: date },
+  end_date: { $gte: date },
+  $or: [
+    { doctor_id: doctorId },
+    { doctor_id: null, hospital_id: { $in: hospitalIds } },
+    { doctor_id: null, hospital_id: null },
+  ],
+});
+
+/**
+ * Bookable slot start times (HH:MM:SS) for a doctor on a calendar day, derived
+ * from the doctor's active weekly schedules minus breaks and dated exceptions,
+ * as a Map of slot -> hospital ids whose schedule offers it, in slot order.
+ * Already booked appointments are not taken into account here.
+ */
+export const getSlotHospitals = async (doctorId, date, { hospitalId } = {}) => {
+  const scheduleQuery = { doctor_id: doctorId, is_active: true };
+  if (hospitalId) {
+    scheduleQuery.hospital_id = hospitalId;
+  }
+
+  const schedules = await DoctorSchedule.find(scheduleQuery);
+  if (schedules.length === 0) {
+    return new Map();
+  }
+
+  const dayOfWeek = date.getUTCDay();
+  const exceptions = await findExceptions(doctorId, schedules.map(s => s.hospital_id), date);
+  const slots = new Map();
+
+  for (const schedule of schedules) {
+    const applicable = exceptions.filter(e => e.doctor_id || !e.hospital_id || e.hospital_id.equals(schedule.hospital_id));
+    if (applicable.some(e => !e.start_time)) {
+      continue;
+    }
+
+    const blocked = applicable.map(e => [
+      toMinutes(e.start_time),
+      e.end_time ? toMinutes(e.end_time) : MINUTES_PER_DAY,
+    ]);
+    const duration = schedule.slot_duration_minutes;
+
+    for (const day of schedule.weekly_hours.filter(d => d.day_of_week === dayOfWeek)) {
+      const unavailable = day.breaks
+        .map(b => [toMinutes(b.start_time), toMinutes(b.end_time)])
+        .concat(blocked);
+      const dayEnd = toMinutes(day.end_time);
+
+      for (let start = toMinutes(day.start_time); start + duration <= dayEnd; start += duration) {
+        const end = start + duration;
+        if (!unavailable.some(([from, to]) => start < to && end > from)) {
+          const slot = formatSlot(start);
+          slots.set(slot, [...(slots.get(slot) ?? []), schedule.hospital_id]);
+        }
+      }
+    }
+  }
+
+  return new Map([...slots].sort(([a], [b]) => a.localeCompare(b)));
+};
+
+// Slot start times of getSlotHospitals alone
+export const getScheduledSlots = async (doctorId, date, options) => (
+  [...(await getSlotHospitals(doctorId, date, options)).keys()]
+);
@@ -0,0 +1,114 @@
+import PharmacyInventory from '../models/PharmacyInventory.js';
+import Medication from '../models/Medication.js';
+import { ConflictError } from './errors.js';
+
+// Stock not yet promised to an accepted pharmacy request
+const AVAILABLE = { $subtract: ['$quantity', '$reserved_quantity'] };
+
+export const availableQuantity = (entry) => entry.quantity - entry.reserved_quantity;
+
+// One atomic $inc on the pharmacy's inventory entry; moves that lower the
+// available quantity only apply while enough is available, so concurrent
+// requests cannot oversell
+const applyMove = ({ pharmacy_id, medication_id, stock = 0, reserved = 0 }) => {
+  const filter = { pharmacy_id, medication_id };
+  if (stock - reserved < 0) {
+    filter.$expr = { $gte: [AVAILABLE, reserved - stock] };
+  }
+  return PharmacyInventory.findOneAndUpdate(filter, { $inc: { quantity: stock, reserved_quantity: reserved } }, { new: true });
+};
+
+/**
+ * Applies stock moves [{ pharmacy_id, medication_id, stock, reserved }], where
+ * `stock` and `reserved` are changes to the inventory entry's quantity and
+ * reserved_quantity:
+ *   reserve   { reserved: +n }
+ *   release   { reserved: -n }
+ *   deduct    { stock: -n, reserved: -held }
+ * Either every move applies or none does: when one runs short the earlier
+ * ones are undone and a 409 insufficient_stock names the medication.
+ * Returns the applied moves with the entry's resulting quantity as `balance`.
+ */
+export const moveStock = async (moves) => {
+  const applied = [];
+  for (const move of moves.filter(({ stock, reserved }) => stock || reserved)) {
+    const entry = await applyMove(move);
+    // Releases of entries since removed from the inventory have nothing to undo
+    if (!entry && (move.stock || 0) - (move.reserved || 0) < 0) {
+      for (const done of applied.reverse()) {
+        await applyMove({ ...done, stock: -(done.stock || 0), reserved: -(done.reserved || 0) });
+      }
+      const [medication, current] = await Promise.all([
+        Medication.findById(move.medication_id).select('name'),
+        PharmacyInventory.findOne({ pharmacy_id: move.pharmacy_id, medication_id: move.medication_id }),
+      ]);
+      const available = current ? availableQuantity(current) : 0;
+      const needed = (move.reserved || 0) - (move.stock || 0);
+      throw new ConflictError(`Not enough ${medication?.name ?? 'medication'} in stock at this pharmacy`, {
+        code: 'insufficient_stock',
+        details: [{ field: 'medication_id', message: `${move.medication_id}: ${available} available, ${needed} needed` }],
+      });
+    }
+    applied.push({ ...move, balance: entry?.quantity });
+  }
+  return applied;
+};
+
+/**
+ * Which pharmacies stock the given prescription items. One entry per pharmacy
+ * holding at least one of them, with per-item availability and what the
+ * pharmacy would charge (its own price, else the prescribed one). Pharmacies
+ * that can fill every item come first, then by items in stock and price.
+ */
+export const pharmacyAvailability = async (items) => {
+  const entries = await PharmacyInventory.find({
+    medication_id: { $in: items.map(item => item.medication_id?._id ?? item.medication_id) },
+  }).populate('pharmacy_id', 'name location phone latitude longitude');
+
+  const byPharmacy = new Map();
+  for (const entry of entries) {
+    if (!entry.pharmacy_id) {
+      continue;
+    }
+    const key = String(entry.pharmacy_id._id);
+    if (!byPharmacy.has(key)) {
+      byPharmacy.set(key, { pharmacy: entry.pharmacy_id, stock: new Map() });
+    }
+    byPharmacy.get(key).stock.set(String(entry.medication_id), entry);
+  }
+
+  const result = [];
+  for (const { pharmacy, stock } of byPharmacy.values()) {
+    const lines = items.map((item) => {
+      const entry = stock.get(String(item.medication_id?._id ?? item.medication_id));
+      const available = entry ? availableQuantity(entry) : 0;
+      const unitPrice = entry?.unit_price ?? item.unit_price;
+      return {
+        prescription_item_id: item._id,
+        medication_id: item.medication_id,
+        quantity: item.quantity,
+        available,
+        in_stock: available >= item.quantity,
+        unit_price: unitPrice,
+        total_price: unitPrice * item.quantity,
+      };
+    });
+    const inStock = lines.filter(line => line.in_stock);
+    if (inStock.length === 0) {
+      continue;
+    }
+    result.push({
+      pharmacy,
+      items: lines,
+      in_stock_count: inStock.length,
+      complete: inStock.length === lines.length,
+      total_price: inStock.reduce((sum, line) => sum + line.total_price, 0),
+    });
+  }
+
+  return result.sort((a, b) => (
+    Number(b.complete) - Number(a.complete)
+    || b.in_stock_count - a.in_stock_count
+    || a.total_price - b.total_price
+  ));
+};
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import Profile from '../models/Profile.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const MFA_TOKEN_TTL = '5m';
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user._id, sid: sessionId, typ: 'access' },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createRefreshToken = async (user, familyId, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const doc = await RefreshToken.create({
+    user_id: user._id,
+    token_hash: hashToken(token),
+    family_id: familyId,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    created_by_ip: req.ip,
+    user_agent: req.get('User-Agent'),
+  });
+  return { token, doc };
+};
+
+const buildTokenResponse = (user, familyId, refreshToken) => {
+  const token = signAccessToken(user, familyId);
+  const { exp, iat } = jwt.decode(token);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - iat,
+  };
+};
+
+// Starts a new session (refresh token family) for a user who just authenticated
+export const issueSession = async (user, req) => {
+  const familyId = crypto.randomUUID();
+  const { token } = await createRefreshToken(user, familyId, req);
+  return buildTokenResponse(user, familyId, token);
+};
+
+/**
+ * Short-lived token handed out after a correct password when a second factor
+ * is still needed. `purpose` is 'verify' (enter a code) or 'setup' (enrollment
+ * is mandatory for the role). It is never accepted as an access token.
+ */
+export const issueMfaToken = (user, purpose) => jwt.sign(
+  { id: user._id, typ: 'mfa', purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_TOKEN_TTL }
+);
+
+// Decoded MFA token claims, or null when invalid or expired
+export const verifyMfaToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.typ === 'mfa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the session an access token belongs to is still usable
+export const isSessionActive = (sessionId) => RefreshToken.exists({
+  family_id: sessionId,
+  revoked_at: null,
+  expires_at: { $gt: new Date() },
+});
+
+export const revokeSession = (familyId, reason) => RefreshToken.updateMany(
+  { family_id: familyId, revoked_at: null },
+  { revoked_at: new Date(), revoked_reason: reason }
+);
+
+export const revokeAllSessions = (userId, reason) => RefreshToken.updateMany(
+  { user_id: userId, revoked_at: null },
+  { revoked_at: new Date(), revoked_reason: reason }
+);
+
+export const revokeOtherSessions = (userId, keepSessionId, reason) => RefreshToken.updateMany(
+  { user_id: userId, family_id: { $ne: keepSessionId }, revoked_at: null },
+  { revoked_at: new Date(), revoked_reason: reason }
+);
+
+/**
+ * Exchanges a refresh token for a new access/refresh pair. Presenting a token
+ * that was already rotated means it leaked, so the whole family is revoked.
+ * Returns { user, family_id, ...tokens }, or null when the token cannot be used.
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return null;
+  }
+
+  const existing = await RefreshToken.findOne({ token_hash: hashToken(refreshToken) });
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.revoked_at) {
+    if (existing.revoked_reason === 'rotated') {
+      console.warn(`Refresh token reuse detected for user ${existing.user_id}, revoking session ${existing.family_id}`);
+      await revokeSession(existing.family_id, 'reuse_detected');
+    }
+    return null;
+  }
+
+  if (existing.expires_at <= new Date()) {
+    return null;
+  }
+
+  const user = await Profile.findById(existing.user_id).select('-password');
+  if (!user) {
+    await revokeSession(existing.family_id, 'logout');
+    return null;
+  }
+
+  // Claim the token atomically; losing the race means it was used twice
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: 'rotated' }
+  );
+  if (!claimed) {
+    await revokeSession(existing.family_id, 'reuse_detected');
+    return null;
+  }
+
+  const { token, doc } = await createRefreshToken(user, existing.family_id, req);
+  await RefreshToken.updateOne({ _id: existing._id }, { replaced_by: doc._id });
+
+  return { user, family_id: existing.family_id, ...buildTokenResponse(user, existing.family_id, token) };
+};
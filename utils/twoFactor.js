@@ -0,0 +1,81 @@
+import crypto from 'crypto';
+import TwoFactor from '../models/TwoFactor.js';
+import TwoFactorPolicy from '../models/TwoFactorPolicy.js';
+import { hashToken, issueMfaToken } from './tokens.js';
+import { verifyCode } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+export const isTwoFactorRequired = async (role) => Boolean(
+  await TwoFactorPolicy.exists({ role, required: true })
+);
+
+// Plain codes are shown to the user once; only their hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    records: codes.map(code => ({ code_hash: hashToken(code), used_at: null })),
+  };
+};
+
+/**
+ * Checks a TOTP `code` or a single-use `recovery_code` for a user with 2FA
+ * enabled. Accepted codes are consumed atomically, so each works only once.
+ */
+export const verifySecondFactor = async (userId, { code, recovery_code: recoveryCode }) => {
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const used = await TwoFactor.findOneAndUpdate(
+      {
+        user_id: userId,
+        enabled: true,
+        recovery_codes: { $elemMatch: { code_hash: hashToken(normalized), used_at: null } },
+      },
+      { $set: { 'recovery_codes.$.used_at': new Date() } }
+    );
+    return Boolean(used);
+  }
+
+  const twoFactor = await TwoFactor.findOne({ user_id: userId, enabled: true }).select('+secret');
+  if (!twoFactor) {
+    return false;
+  }
+
+  const step = verifyCode(twoFactor.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const claimed = await TwoFactor.findOneAndUpdate(
+    { _id: twoFactor._id, last_used_step: { $lt: step } },
+    { last_used_step: step }
+  );
+  return Boolean(claimed);
+};
+
+/**
+ * What a user who just passed the password check still has to do: null when
+ * they can be logged in, otherwise the response telling them to enter a code
+ * or, when their role requires 2FA and they have none, to enroll first.
+ */
+// Whether the user's role requires 2FA and they have not enrolled, e.g. since the policy was switched on
+export const needsTwoFactorSetup = async (user) => (
+  !(await TwoFactor.exists({ user_id: user._id, enabled: true })) && isTwoFactorRequired(user.role)
+);
+
+export const getLoginChallenge = async (user) => {
+  const twoFactor = await TwoFactor.findOne({ user_id: user._id, enabled: true });
+  if (twoFactor) {
+    return { mfa_required: true, mfa_token: issueMfaToken(user, 'verify') };
+  }
+
+  if (await isTwoFactorRequired(user.role)) {
+    return { mfa_setup_required: true, mfa_token: issueMfaToken(user, 'setup') };
+  }
+
+  return null;
+};
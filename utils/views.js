@@ -0,0 +1,107 @@
+import Appointment from '../models/Appointment.js';
+import Consultation from '../models/Consultation.js';
+import Prescription from '../models/Prescription.js';
+import LabTestRequest from '../models/LabTestRequest.js';
+import { defineView } from './expand.js';
+
+// Relations shared by several resources
+const doctor = { path: 'doctor_id', populate: { path: 'user_id', select: 'full_name' } };
+const patientWithContact = { path: 'patient_id', select: 'full_name phone national_id' };
+const prescriptionItems = { path: 'items', populate: { path: 'medication_id' } };
+
+// Fields every clinical record needs for access checks and the audit log
+const CLINICAL_KEEP = ['patient_id', 'doctor_id'];
+
+export const APPOINTMENT_VIEW = defineView(Appointment, {
+  relations: {
+    patient_id: patientWithContact,
+    doctor_id: doctor,
+    hospital_id: { path: 'hospital_id' },
+    department_id: { path: 'department_id' },
+  },
+  defaults: {
+    // Patients know who they are
+    patient: ['doctor_id', 'hospital_id', 'department_id'],
+    default: ['patient_id', 'doctor_id', 'hospital_id', 'department_id'],
+  },
+  keep: ['patient_id', 'doctor_id', 'hospital_id'],
+});
+
+export const CONSULTATION_VIEW = defineView(Consultation, {
+  relations: {
+    patient_id: patientWithContact,
+    doctor_id: doctor,
+    appointment_id: { path: 'appointment_id' },
+  },
+  defaults: {
+    patient: ['doctor_id', 'appointment_id'],
+    default: ['patient_id', 'doctor_id', 'appointment_id'],
+  },
+  keep: CLINICAL_KEEP,
+});
+
+export const PRESCRIPTION_VIEW = defineView(Prescription, {
+  relations: {
+    patient_id: { path: 'patient_id', select: 'full_name phone' },
+    doctor_id: doctor,
+    pharmacy_id: { path: 'pharmacy_id' },
+    consultation_id: { path: 'consultation_id' },
+    items: prescriptionItems,
+  },
+  defaults: {
+    patient: ['doctor_id', 'pharmacy_id', 'items'],
+    pharmacist: ['patient_id', 'doctor_id', 'pharmacy_id', 'items'],
+    default: ['patient_id', 'doctor_id', 'pharmacy_id', 'consultation_id', 'items'],
+  },
+  // Pharmacists fill prescriptions; the consultation behind them is not theirs to read
+  hidden: { pharmacist: ['consultation_id'] },
+  keep: [...CLINICAL_KEEP, 'pharmacy_id'],
+});
+
+export const LAB_REQUEST_VIEW = defineView(LabTestRequest, {
+  relations: {
+    patient_id: { path: 'patient_id', select: 'full_name' },
+    doctor_id: doctor,
+    lab_test_template_id: { path: 'lab_test_template_id' },
+    hospital_id: { path: 'hospital_id' },
+    consultation_id: { path: 'consultation_id' },
+  },
+  defaults: {
+    patient: ['doctor_id', 'lab_test_template_id', 'hospital_id'],
+    lab_technician: ['patient_id', 'doctor_id', 'lab_test_template_id', 'hospital_id'],
+    default: ['patient_id', 'doctor_id', 'lab_test_template_id', 'hospital_id', 'consultation_id'],
+  },
+  hidden: { lab_technician: ['consultation_id'] },
+  keep: [...CLINICAL_KEEP, 'hospital_id'],
+});
+
+// Results are read through their request, so it is always populated, minus
+// the relations the role may not expand on the request itself
+export const labResultPopulate = (role) => {
+  const hidden = LAB_REQUEST_VIEW.hidden[role] ?? [];
+  return [
+    {
+      path: 'lab_test_request_id',
+      populate: [
+        { path: 'patient_id', select: 'full_name' },
+        { path: 'lab_test_template_id' },
+        { path: 'consultation_id' },
+      ].filter(relation => !hidden.includes(relation.path)),
+    },
+    { path: 'technician_id', select: 'full_name' },
+  ];
+};
+
+// A request is filled line by line, so the prescription and its items come along
+export const PHARMACY_REQUEST_POPULATE = [
+  {
+    path: 'prescription_id',
+    populate: [
+      { path: 'patient_id', select: 'full_name phone' },
+      doctor,
+      prescriptionItems,
+    ],
+  },
+  { path: 'pharmacy_id' },
+  { path: 'patient_id', select: 'full_name phone' },
+];
@@ -0,0 +1,148 @@
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Appointment from '../models/Appointment.js';
+import Notification from '../models/Notification.js';
+import { ACTIVE_STATUSES } from './appointmentStatus.js';
+import { getAppointmentStart } from './schedule.js';
+
+export const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES || '30', 10);
+
+const slotKey = (date, time) => `${date.toISOString().slice(0, 10)}|${time}`;
+
+const activeOfferQuery = (doctorId, date) => ({
+  doctor_id: doctorId,
+  status: 'offered',
+  'offer.appointment_date': date,
+  'offer.expires_at': { $gt: new Date() },
+});
+
+// Slot times on `date` currently held for waitlisted patients
+export const getHeldSlots = async (doctorId, date) => {
+  const entries = await WaitlistEntry.find(activeOfferQuery(doctorId, date)).select('offer.appointment_time');
+  return entries.map(e => e.offer.appointment_time);
+};
+
+/**
+ * Holds a freed slot for the longest-waiting patient whose date range covers it
+ * and notifies them. `slot` is anything shaped like an appointment (doctor_id,
+ * hospital_id, department_id, appointment_date, appointment_time).
+ * Returns the offered entry, or null when nobody is eligible.
+ */
+export const offerFreedSlot = async (slot) => {
+  const { doctor_id, hospital_id, department_id, appointment_date, appointment_time } = slot;
+
+  if (getAppointmentStart(slot) <= new Date()) {
+    return null;
+  }
+
+  const [booked, held] = await Promise.all([
+    Appointment.exists({
+      doctor_id,
+      appointment_date,
+      appointment_time,
+      status: { $in: ACTIVE_STATUSES },
+    }),
+    WaitlistEntry.exists({
+      ...activeOfferQuery(doctor_id, appointment_date),
+      'offer.appointment_time': appointment_time,
+    }),
+  ]);
+  if (booked || held) {
+    return null;
+  }
+
+  const now = new Date();
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    {
+      doctor_id,
+      status: 'waiting',
+      date_from: { $lte: appointment_date },
+      date_to: { $gte: appointment_date },
+      hospital_id: { $in: [null, hospital_id] },
+      skipped_slots: { $ne: slotKey(appointment_date, appointment_time) },
+    },
+    {
+      $set: {
+        status: 'offered',
+        offer: {
+          hospital_id,
+          department_id,
+          appointment_date,
+          appointment_time,
+          offered_at: now,
+          expires_at: new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60 * 1000),
+        },
+      },
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+  if (!entry) {
+    return null;
+  }
+
+  await Notification.create({
+    user_id: entry.patient_id,
+    title: 'Appointment Slot Available',
+    message: `A slot on ${appointment_date.toISOString().slice(0, 10)} at ${appointment_time} is held for you for ${WAITLIST_HOLD_MINUTES} minutes. Accept it from your waitlist before it passes to the next patient.`,
+    type: 'waitlist',
+    reference_id: entry._id,
+  });
+
+  return entry;
+};
+
+/**
+ * Takes an offered slot back from a waitlist entry (declined, expired or the
+ * patient left the waitlist) and offers it to the next patient in line. The
+ * entry never gets the same slot again. Returns the updated entry, or null if
+ * the offer was no longer outstanding.
+ */
+export const releaseOffer = async (entry, { status = 'waiting' } = {}) => {
+  const slot = {
+    doctor_id: entry.doctor_id,
+    hospital_id: entry.offer.hospital_id,
+    department_id: entry.offer.department_id,
+    appointment_date: entry.offer.appointment_date,
+    appointment_time: entry.offer.appointment_time,
+  };
+
+  const released = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    {
+      $set: { status },
+      $unset: { offer: 1 },
+      $addToSet: { skipped_slots: slotKey(slot.appointment_date, slot.appointment_time) },
+    },
+    { new: true }
+  );
+  if (!released) {
+    return null;
+  }
+
+  await offerFreedSlot(slot);
+  return released;
+};
+
+// Releases every offer whose hold has run out; returns how many were passed on
+export const expireOffers = async () => {
+  const expired = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expires_at': { $lte: new Date() },
+  });
+
+  let count = 0;
+  for (const entry of expired) {
+    const released = await releaseOffer(entry);
+    if (released) {
+      count += 1;
+      await Notification.create({
+        user_id: entry.patient_id,
+        title: 'Waitlist Offer Expired',
+        message: 'The slot held for you was passed to the next patient. You are still on the waitlist.',
+        type: 'waitlist',
+        reference_id: entry._id,
+      });
+    }
+  }
+
+  return count;
+};
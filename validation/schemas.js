@@ -0,0 +1,504 @@
+import { defineSchema, partialSchema } from './validate.js';
+import { MIN_PASSWORD_LENGTH } from '../utils/passwords.js';
+
+// Request bodies of the create/update endpoints. Each schema is also published
+// as the Swagger component of the same name (see swagger.js), so the docs
+// always match what the API accepts.
+
+const id = (description) => ({ type: 'objectId', description });
+const TIME = {
+  type: 'string',
+  pattern: '^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$',
+  patternMessage: 'must be a time in HH:MM or HH:MM:SS format',
+  description: 'HH:MM; HH:MM:SS is accepted and stored without the seconds',
+};
+const DAY = { type: 'date', format: 'date' };
+const LATITUDE = { type: 'number', min: -90, max: 90, format: 'float', nullable: true, description: 'Set with longitude to appear in nearby searches' };
+const LONGITUDE = { type: 'number', min: -180, max: 180, format: 'float', nullable: true };
+const EMAIL = { type: 'string', format: 'email', pattern: '^[^\\s@]+@[^\\s@]+$', patternMessage: 'must be an email address' };
+const PASSWORD = { type: 'string', format: 'password', trim: false };
+
+// Accounts and sign-in
+
+export const authRegister = defineSchema('AuthRegisterRequest', {
+  email: { ...EMAIL, required: true },
+  password: { ...PASSWORD, required: true, minLength: MIN_PASSWORD_LENGTH },
+  full_name: { type: 'string', required: true },
+  role: { type: 'string', example: 'patient', description: 'Optional and only patient; staff accounts are created through /api/invitations' },
+  phone: { type: 'string' },
+  national_id: { type: 'string' },
+  insurance_id: id('Insurance provider'),
+});
+
+export const staffInvitationCreate = defineSchema('StaffInvitationRequest', {
+  email: { ...EMAIL, required: true },
+  role: { type: 'string', required: true, enum: ['doctor', 'lab_technician', 'pharmacist', 'admin', 'nurse'] },
+  full_name: { type: 'string' },
+  hospital_id: id(),
+  department_id: id(),
+  pharmacy_id: id(),
+  license_number: { type: 'string' },
+  specialization: { type: 'string' },
+  consultation_fee: { type: 'number', min: 0, format: 'float' },
+}, {
+  description: 'doctor needs hospital_id, department_id and license_number; nurse needs hospital_id and license_number; '
+    + 'pharmacist needs pharmacy_id; lab_technician needs hospital_id.',
+});
+
+export const invitationAccept = defineSchema('AcceptInvitationRequest', {
+  token: { type: 'string', required: true, description: 'Token from the invitation link' },
+  password: { ...PASSWORD, required: true, minLength: MIN_PASSWORD_LENGTH },
+  full_name: { type: 'string', description: 'Required when the invitation has no name' },
+  phone: { type: 'string' },
+  national_id: { type: 'string' },
+});
+
+export const twoFactorCode = defineSchema('TwoFactorCodeRequest', {
+  code: { type: 'string', required: true, description: '6-digit code from the authenticator app' },
+});
+
+export const twoFactorVerify = defineSchema('TwoFactorVerifyRequest', {
+  mfa_token: { type: 'string', required: true },
+  code: { type: 'string', description: '6-digit code from the authenticator app' },
+  recovery_code: { type: 'string', description: 'Single-use recovery code, instead of code' },
+});
+
+export const twoFactorDisable = defineSchema('TwoFactorDisableRequest', {
+  password: { ...PASSWORD, required: true },
+  code: { type: 'string', description: '6-digit code from the authenticator app' },
+  recovery_code: { type: 'string', description: 'Single-use recovery code, instead of code' },
+});
+
+export const twoFactorPolicyUpdate = defineSchema('TwoFactorPolicyRequest', {
+  required: { type: 'boolean', required: true },
+});
+
+export const profileUnlock = defineSchema('ProfileUnlockRequest', {
+  ip: { type: 'string', maxLength: 45, description: 'Also clear the throttle for this client IP' },
+});
+
+// For actions that take no body; anything sent is dropped
+export const emptyBody = defineSchema('EmptyRequest', {}, { description: 'No fields are read' });
+
+// Appointments
+
+export const appointmentCreate = defineSchema('AppointmentCreateRequest', {
+  hospital_id: id('Defaults to the hospital whose schedule offers the slot, the doctor\'s own when several do'),
+  hospital_id: id('Defaults to the doctor\'s hospital'),
+  department_id: id('Defaults to the doctor\'s department'),
+  appointment_date: { ...DAY, required: true },
+  appointment_time: { type: 'string', required: true, description: 'Time in HH:MM:SS format' },
+  reason: { type: 'string', maxLength: 1000 },
+});
+
+export const appointmentUpdate = defineSchema('AppointmentUpdateRequest', {
+  status: {
+    type: 'string',
+    enum: ['approved', 'rejected', 'completed', 'cancelled', 'no_show'],
+    description: 'Allowed transitions and the permission each needs are listed under PUT /api/appointments/{id}',
+  },
+  status_reason: { type: 'string', maxLength: 1000, description: 'Reason recorded in the status history' },
+  rejection_reason: { type: 'string', maxLength: 1000, permission: 'appointment:reject' },
+  reason: { type: 'string', maxLength: 1000 },
+  appointment_date: { rejected: 'use POST /api/appointments/:id/reschedule to move an appointment' },
+  appointment_time: { rejected: 'use POST /api/appointments/:id/reschedule to move an appointment' },
+});
+
+export const appointmentReschedule = defineSchema('AppointmentRescheduleRequest', {
+  appointment_date: { ...DAY, required: true },
+  appointment_time: { type: 'string', required: true, description: 'Time in HH:MM:SS format' },
+  reason: { type: 'string', maxLength: 1000, description: 'Recorded in the status history of both appointments' },
+});
+
+// Schedules
+
+const scheduleBreak = {
+  type: 'object',
+  properties: {
+    start_time: { ...TIME, required: true },
+    end_time: { ...TIME, required: true },
+  },
+};
+
+const workingDay = {
+  type: 'object',
+  properties: {
+    day_of_week: { type: 'integer', min: 0, max: 6, required: true, description: '0 = Sunday, 6 = Saturday' },
+    start_time: { ...TIME, required: true },
+    end_time: { ...TIME, required: true },
+    breaks: { type: 'array', items: scheduleBreak },
+  },
+};
+
+export const doctorSchedule = defineSchema('DoctorScheduleRequest', {
+  hospital_id: id('Defaults to the doctor\'s hospital'),
+  slot_duration_minutes: { type: 'integer', min: 5, max: 240 },
+  weekly_hours: { type: 'array', items: workingDay },
+  is_active: { type: 'boolean' },
+});
+
+export const scheduleException = defineSchema('ScheduleExceptionRequest', {
+  doctor_id: id('Omit for hospital-wide or global exceptions (admin only)'),
+  hospital_id: id(),
+  type: { type: 'string', enum: ['leave', 'public_holiday', 'other'], required: true },
+  start_date: { ...DAY, required: true },
+  end_date: { ...DAY, description: 'Inclusive; defaults to start_date' },
+  start_time: { ...TIME, description: 'Optional partial-day start' },
+  end_time: { ...TIME, description: 'Optional partial-day end' },
+  reason: { type: 'string', maxLength: 1000 },
+});
+
+export const waitlistJoin = defineSchema('WaitlistJoinRequest', {
+  doctor_id: { ...id(), required: true },
+  hospital_id: id('Only accept slots at this hospital'),
+  date_from: { ...DAY, required: true },
+  date_to: { ...DAY, description: 'Inclusive; defaults to date_from' },
+  reason: { type: 'string', maxLength: 1000 },
+});
+
+// Staff
+
+export const doctorCreate = defineSchema('DoctorRequest', {
+  user_id: { ...id(), required: true, permission: 'doctor:update:any' },
+  hospital_id: { ...id(), required: true, permission: 'doctor:update:any' },
+  department_id: { ...id(), required: true },
+  specialization: { type: 'string' },
+  license_number: { type: 'string', required: true },
+  consultation_fee: { type: 'number', min: 0, format: 'float' },
+  signature_data: { type: 'string' },
+});
+export const doctorUpdate = partialSchema('DoctorUpdateRequest', doctorCreate);
+
+export const nurseCreate = defineSchema('NurseRequest', {
+  user_id: { ...id(), required: true, permission: 'nurse:update:any' },
+  hospital_id: { ...id('Hospital the nurse works at'), permission: 'nurse:update:any' },
+  license_number: { type: 'string', required: true },
+});
+export const nurseUpdate = partialSchema('NurseUpdateRequest', nurseCreate);
+
+export const profileUpdate = defineSchema('ProfileUpdateRequest', {
+  full_name: { type: 'string', minLength: 1 },
+  email: EMAIL,
+  phone: { type: 'string' },
+  national_id: { type: 'string' },
+  insurance_id: { ...id(), nullable: true },
+  role: {
+    type: 'string',
+    enum: ['patient', 'doctor', 'lab_technician', 'pharmacist', 'admin', 'nurse'],
+    permission: 'profile:change_role',
+  },
+  password: { rejected: 'passwords cannot be changed here, use /api/auth/change-password' },
+});
+
+// Reference data
+
+export const hospitalCreate = defineSchema('HospitalRequest', {
+  name: { type: 'string', required: true },
+  location: { type: 'string', required: true },
+  phone: { type: 'string' },
+  email: { type: 'string', format: 'email' },
+  description: { type: 'string' },
+  latitude: LATITUDE,
+  longitude: LONGITUDE,
+  consultation_fee: { type: 'number', min: 0, format: 'float' },
+  lab_user_id: { ...id('Lab technician running the hospital lab'), nullable: true },
+});
+export const hospitalUpdate = partialSchema('HospitalUpdateRequest', hospitalCreate);
+
+export const departmentCreate = defineSchema('DepartmentRequest', {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+});
+export const departmentUpdate = partialSchema('DepartmentUpdateRequest', departmentCreate);
+
+export const hospitalDepartmentCreate = defineSchema('HospitalDepartmentRequest', {
+  hospital_id: { ...id(), required: true },
+  department_id: { ...id(), required: true },
+  consultation_fee: { type: 'number', min: 0, required: true, format: 'float' },
+});
+export const hospitalDepartmentUpdate = partialSchema('HospitalDepartmentUpdateRequest', hospitalDepartmentCreate);
+
+export const insuranceCreate = defineSchema('InsuranceRequest', {
+  name: { type: 'string', required: true },
+  coverage_percentage: { type: 'number', min: 0, max: 100, required: true, format: 'float' },
+  description: { type: 'string' },
+});
+export const insuranceUpdate = partialSchema('InsuranceUpdateRequest', insuranceCreate);
+
+export const pharmacyCreate = defineSchema('PharmacyCreateRequest', {
+  name: { type: 'string', required: true },
+  location: { type: 'string', required: true },
+  phone: { type: 'string' },
+  email: { type: 'string', format: 'email' },
+  latitude: LATITUDE,
+  longitude: LONGITUDE,
+  pharmacist_id: { ...id(), nullable: true },
+});
+export const pharmacyUpdate = partialSchema('PharmacyUpdateRequest', pharmacyCreate);
+
+export const medicationCreate = defineSchema('MedicationRequest', {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  category: { type: 'string' },
+  generic_name: { type: 'string', description: 'Active ingredient; medications sharing it may be substituted for each other' },
+  unit_price: { type: 'number', min: 0, required: true, format: 'float' },
+  stock_quantity: { rejected: 'stock is kept per pharmacy, see /api/pharmacy-inventory' },
+  requires_prescription: { type: 'boolean', description: 'Always true for controlled substances' },
+  controlled_schedule: {
+    type: 'string',
+    enum: ['II', 'III', 'IV', 'V'],
+    nullable: true,
+    permission: 'medication:update',
+    description: 'Controlled substance schedule; null when not controlled',
+  },
+  max_quantity_per_prescription: {
+    type: 'integer',
+    min: 1,
+    nullable: true,
+    permission: 'medication:update',
+    description: 'Cap on the units of a controlled medication in one prescription',
+  },
+});
+export const medicationUpdate = partialSchema('MedicationUpdateRequest', medicationCreate);
+
+export const inventoryCreate = defineSchema('PharmacyInventoryRequest', {
+  pharmacy_id: { ...id(), required: true },
+  medication_id: { ...id(), required: true },
+  quantity: { type: 'integer', min: 0, required: true },
+  unit_price: { type: 'number', min: 0, format: 'float', nullable: true, description: 'The pharmacy\'s own price; null sells at the prescribed price' },
+  reorder_level: { type: 'integer', min: 0 },
+});
+
+export const inventoryUpdate = defineSchema('PharmacyInventoryUpdateRequest', {
+  quantity: { type: 'integer', min: 0, description: 'May not go below the reserved quantity' },
+  register_note: { type: 'string', maxLength: 1000, description: 'Reason for the stock change, kept in the controlled drug register; required when the quantity of a controlled substance changes' },
+  unit_price: inventoryCreate.fields.unit_price,
+  reorder_level: { type: 'integer', min: 0 },
+});
+
+const interactionAgent = {
+  type: 'object',
+  properties: {
+    medication_id: id('One catalogue medication; give this or category'),
+    category: { type: 'string', minLength: 1, description: 'Every medication of this category; give this or medication_id' },
+  },
+};
+
+export const drugInteractionCreate = defineSchema('DrugInteractionRequest', {
+  first: { ...interactionAgent, required: true },
+  second: { ...interactionAgent, required: true },
+  severity: { type: 'string', enum: ['minor', 'moderate', 'severe'], required: true, description: 'severe blocks prescribing unless overridden' },
+  description: { type: 'string', required: true, maxLength: 2000 },
+});
+export const drugInteractionUpdate = partialSchema('DrugInteractionUpdateRequest', drugInteractionCreate);
+
+export const labTestTemplateCreate = defineSchema('LabTestTemplateRequest', {
+  name: { type: 'string', required: true },
+  description: { type: 'string' },
+  price: { type: 'number', min: 0, required: true, format: 'float' },
+  category: { type: 'string' },
+});
+export const labTestTemplateUpdate = partialSchema('LabTestTemplateUpdateRequest', labTestTemplateCreate);
+
+// Clinical records
+
+export const breakGlassCreate = defineSchema('BreakGlassRequest', {
+  patient_id: { ...id(), required: true },
+  reason: {
+    type: 'string',
+    required: true,
+    minLength: 10,
+    maxLength: 1000,
+    example: 'Unconscious patient in the emergency room, checking allergies',
+  },
+});
+
+export const consultationCreate = defineSchema('ConsultationRequest', {
+  appointment_id: { ...id(), required: true },
+  diagnosis: { type: 'string' },
+  notes: { type: 'string' },
+  requires_lab_test: { type: 'boolean' },
+  requires_prescription: { type: 'boolean' },
+  consultation_date: { type: 'date' },
+});
+
+export const consultationUpdate = defineSchema('ConsultationUpdateRequest', {
+  diagnosis: { type: 'string' },
+  notes: { type: 'string' },
+  requires_lab_test: { type: 'boolean' },
+  requires_prescription: { type: 'boolean' },
+  consultation_date: { type: 'date' },
+});
+
+export const vitalCreate = defineSchema('VitalCreateRequest', {
+  patient_id: { ...id(), required: true },
+  blood_pressure: { type: 'string', example: '120/80' },
+  heart_rate: { type: 'number', min: 0 },
+  temperature: { type: 'number', min: 0 },
+  weight: { type: 'number', min: 0 },
+  height: { type: 'number', min: 0 },
+  notes: { type: 'string' },
+});
+
+const allergy = {
+  type: 'object',
+  properties: {
+    substance: { type: 'string', required: true, minLength: 1, description: 'Medication name or category, e.g. Penicillins' },
+    medication_id: id('Set when the allergy is to one catalogue medication'),
+    reaction: { type: 'string', maxLength: 1000 },
+    severity: { type: 'string', enum: ['mild', 'moderate', 'severe'] },
+  },
+};
+
+const condition = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true, minLength: 1 },
+    since: DAY,
+    is_active: { type: 'boolean' },
+    notes: { type: 'string', maxLength: 1000 },
+  },
+};
+
+export const medicalHistoryUpdate = defineSchema('MedicalHistoryRequest', {
+  allergies: { type: 'array', items: allergy, description: 'Replaces the recorded allergies' },
+  conditions: { type: 'array', items: condition, description: 'Replaces the recorded conditions' },
+});
+
+export const labTestRequestCreate = defineSchema('LabTestRequestPayload', {
+  consultation_id: {
+    ...id('A consultation you hold; the patient, doctor and hospital are taken from it and its appointment'),
+    required: true,
+  },
+  lab_test_template_id: { ...id(), required: true },
+  total_price: { type: 'number', min: 0, required: true, format: 'float' },
+});
+
+export const labTestRequestUpdate = defineSchema('LabTestRequestUpdate', {
+  status: { type: 'string', enum: ['awaiting_payment', 'pending', 'in_progress', 'completed'] },
+  lab_test_template_id: { ...id(), permission: 'labrequest:create' },
+  hospital_id: { ...id(), permission: 'labrequest:create' },
+  total_price: { type: 'number', min: 0, format: 'float', permission: 'labrequest:create' },
+});
+
+export const labTestResultCreate = defineSchema('LabTestResultPayload', {
+  lab_test_request_id: { ...id(), required: true },
+  result_status: { type: 'string', enum: ['positive', 'negative', 'inconclusive'], required: true },
+  result_data: { type: 'string', required: true },
+  notes: { type: 'string' },
+});
+
+const OVERRIDE_REASON = {
+  type: 'string',
+  minLength: 10,
+  maxLength: 1000,
+  description: 'Required to prescribe despite a severe allergy or interaction; stored with the prescription',
+};
+
+const prescriptionItem = {
+  type: 'object',
+  properties: {
+    medication_id: { ...id(), required: true },
+    quantity: { type: 'integer', min: 1, required: true },
+    dosage: { type: 'string', required: true },
+    instructions: { type: 'string' },
+    unit_price: { rejected: 'prices come from the medication catalogue' },
+  },
+};
+
+export const prescriptionCreate = defineSchema('PrescriptionCreateRequest', {
+  consultation_id: { ...id('One of your own consultations; the prescription is for its patient'), required: true },
+  notes: { type: 'string' },
+  signature_data: { type: 'string' },
+  items: { type: 'array', items: prescriptionItem, minItems: 1, required: true },
+  override_reason: OVERRIDE_REASON,
+  valid_from: { type: 'date', description: 'Defaults to now' },
+  valid_until: { type: 'date', description: 'Defaults to PRESCRIPTION_VALIDITY_DAYS (30) days after valid_from' },
+  refills_allowed: { type: 'integer', min: 0, description: 'Fills allowed after the first one, each on an approved refill request' },
+});
+
+export const prescriptionUpdate = defineSchema('PrescriptionUpdateRequest', {
+  pharmacy_id: { ...id(), permission: 'prescription:choose_pharmacy' },
+  status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'completed', 'paid'], permission: 'prescription:dispense' },
+  notes: { type: 'string', permission: 'prescription:create' },
+  signature_data: { type: 'string', permission: 'prescription:create' },
+  valid_until: { type: 'date', permission: 'prescription:create' },
+  refills_allowed: { type: 'integer', min: 0, permission: 'prescription:create', description: 'May not go below the refills already used' },
+  medication_id: { rejected: 'medications are set per item, see /api/prescriptions/:id/items' },
+  quantity: { rejected: 'quantities are set per item, see /api/prescriptions/:id/items' },
+});
+
+export const prescriptionItemCreate = defineSchema('PrescriptionItemCreateRequest', {
+  ...prescriptionItem.properties,
+  override_reason: OVERRIDE_REASON,
+});
+
+export const prescriptionItemUpdate = defineSchema('PrescriptionItemUpdateRequest', {
+  medication_id: id('The item is repriced from the new medication'),
+  quantity: { type: 'integer', min: 1 },
+  dosage: { type: 'string', minLength: 1 },
+  instructions: { type: 'string' },
+  unit_price: { rejected: 'prices come from the medication catalogue' },
+  override_reason: OVERRIDE_REASON,
+});
+
+const fulfilmentLine = {
+  type: 'object',
+  properties: {
+    prescription_item_id: { ...id(), required: true },
+    status: { type: 'string', enum: ['pending', 'dispensed', 'unavailable'], description: 'A dispensed line below the prescribed quantity is stored as partial' },
+    dispensed_quantity: { type: 'integer', min: 0, description: 'Defaults to the prescribed quantity when dispensed' },
+    substitute_medication_id: { ...id('A generic equivalent to offer the patient instead; null withdraws the offer'), nullable: true },
+    substitution_reason: { type: 'string', maxLength: 1000 },
+    notes: { type: 'string', maxLength: 1000 },
+  },
+};
+
+export const pharmacyRequestCreate = defineSchema('PharmacyRequestCreate', {
+  prescription_id: { ...id(), required: true },
+  pharmacy_id: { ...id(), required: true },
+});
+
+export const pharmacyRequestUpdate = defineSchema('PharmacyRequestUpdate', {
+  status: {
+    type: 'string',
+    enum: ['accepted', 'preparing', 'ready_for_pickup', 'dispensed', 'rejected'],
+    permission: 'pharmacyrequest:process',
+    description: 'The next step of the fulfilment workflow',
+  },
+  rejection_reason: { type: 'string', maxLength: 1000, permission: 'pharmacyrequest:process' },
+  items: { type: 'array', items: fulfilmentLine, permission: 'pharmacyrequest:process' },
+});
+
+export const substitutionConsent = defineSchema('SubstitutionConsentRequest', {
+  accepted: { type: 'boolean', required: true, description: 'true takes the substitute, false keeps the prescribed medication' },
+});
+
+export const refillRequestCreate = defineSchema('RefillRequestCreate', {
+  prescription_id: { ...id(), required: true },
+  pharmacy_id: id('Defaults to the prescription\'s pharmacy'),
+  notes: { type: 'string', maxLength: 1000 },
+});
+
+export const refillRequestUpdate = defineSchema('RefillRequestUpdate', {
+  status: { type: 'string', enum: ['approved', 'rejected'], required: true },
+  rejection_reason: { type: 'string', maxLength: 1000 },
+});
+
+// Billing and messaging
+
+export const paymentCreate = defineSchema('PaymentCreateRequest', {
+  amount: { type: 'number', min: 0, required: true, format: 'float' },
+  payment_type: { type: 'string', enum: ['consultation', 'lab_test', 'medication'], required: true },
+  reference_id: { ...id(), required: true },
+  payment_method: { type: 'string' },
+  transaction_id: { type: 'string' },
+});
+
+export const notificationCreate = defineSchema('NotificationCreateRequest', {
+  user_id: id('Recipient; defaults to yourself. Others need notification:send'),
+  title: { type: 'string', required: true, maxLength: 200 },
+  message: { type: 'string', required: true, maxLength: 2000 },
+  type: { type: 'string', required: true },
+  reference_id: id(),
+});
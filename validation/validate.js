@@ -0,0 +1,268 @@
+import { ROLE_PERMISSIONS, can } from '../config/permissions.js';
+import { RequestValidationError } from '../utils/errors.js';
+
+// Declarative request body schemas. A schema is a name (used as the Swagger
+// component) and a map of fields:
+//
+//   { type, required, nullable, enum, min, max, minLength, maxLength, minItems,
+//     pattern, patternMessage, items, properties, permission, rejected,
+//     trim, format, description, example }
+//
+// Types: string, number, integer, boolean, date, objectId, array (of `items`)
+// and object (with `properties`, or free-form without). Values are coerced
+// where unambiguous ('5' -> 5, 'true' -> true, ISO strings -> Date) and
+// strings are trimmed unless `trim: false` (passwords). Fields not in the
+// schema are dropped, so server-owned fields (patient_id, status,
+// technician_id, ...) can only be set by the route.
+// A field with `permission` may only be sent by users holding it; a field with
+// `rejected` is never accepted and answers with that message instead.
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+export const defineSchema = (name, fields, { description } = {}) => ({ name, fields, description });
+
+// Same fields with nothing required, for updates
+export const partialSchema = (name, schema, { description } = {}) => ({
+  name,
+  fields: schema.fields,
+  description: description ?? schema.description,
+  partial: true,
+});
+
+class FieldError extends Error {}
+
+const fail = (message) => {
+  throw new FieldError(message);
+};
+
+const coercers = {
+  string: (value, spec) => {
+    if (typeof value === 'string') {
+      return spec.trim === false ? value : value.trim();
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    return fail('must be a string');
+  },
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+      fail('must be a number');
+    }
+    return number;
+  },
+  integer: (value) => {
+    const number = coercers.number(value);
+    if (!Number.isInteger(number)) {
+      fail('must be an integer');
+    }
+    return number;
+  },
+  boolean: (value) => {
+    if (value === true || value === 'true') {
+      return true;
+    }
+    if (value === false || value === 'false') {
+      return false;
+    }
+    return fail('must be a boolean');
+  },
+  date: (value) => {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : value;
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+      fail('must be a valid date');
+    }
+    return date;
+  },
+  objectId: (value) => {
+    if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+      fail('must be a valid id');
+    }
+    return value;
+  },
+};
+
+const checkField = (spec, raw, path, context) => {
+  if (spec.rejected) {
+    context.errors.push({ field: path, message: spec.rejected });
+    return undefined;
+  }
+  if (spec.permission && !(context.user && can(context.user, spec.permission))) {
+    context.errors.push({ field: path, message: 'is not allowed for your role' });
+    return undefined;
+  }
+  if (raw === null) {
+    if (!spec.nullable) {
+      context.errors.push({ field: path, message: 'must not be null' });
+    }
+    return null;
+  }
+
+  try {
+    let value;
+    if (spec.type === 'array') {
+      if (!Array.isArray(raw)) {
+        fail('must be an array');
+      }
+      if (spec.minItems !== undefined && raw.length < spec.minItems) {
+        fail(`must contain at least ${spec.minItems} item(s)`);
+      }
+      value = raw.map((item, index) => checkField(spec.items, item, `${path}[${index}]`, context));
+    } else if (spec.type === 'object') {
+      if (typeof raw !== 'object' || Array.isArray(raw)) {
+        fail('must be an object');
+      }
+      value = spec.properties ? checkFields(spec.properties, raw, `${path}.`, { ...context, partial: false }) : raw;
+    } else {
+      value = coercers[spec.type](raw, spec);
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      fail(`must be one of ${spec.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+      if (spec.min !== undefined && value < spec.min) {
+        fail(`must be at least ${spec.min}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        fail(`must be at most ${spec.max}`);
+      }
+    }
+    if (typeof value === 'string') {
+      if (spec.required && value === '') {
+        fail('must not be empty');
+      }
+      if (spec.minLength !== undefined && value.length < spec.minLength) {
+        fail(`must be at least ${spec.minLength} characters`);
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        fail(`must be at most ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+        fail(spec.patternMessage || `must match ${spec.pattern}`);
+      }
+    }
+    return value;
+  } catch (error) {
+    if (!(error instanceof FieldError)) {
+      throw error;
+    }
+    context.errors.push({ field: path, message: error.message });
+    return undefined;
+  }
+};
+
+const checkFields = (fields, body, prefix, context) => {
+  const value = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const path = `${prefix}${name}`;
+    if (body[name] === undefined) {
+      if (spec.required && !context.partial) {
+        context.errors.push({ field: path, message: 'is required' });
+      }
+      continue;
+    }
+    const checked = checkField(spec, body[name], path, context);
+    if (checked !== undefined) {
+      value[name] = checked;
+    }
+  }
+  return value;
+};
+
+/**
+ * Checks `body` against `schema` for `user`. Returns { value, errors }: the
+ * coerced body holding only schema fields, and [{ field, message }] for every
+ * invalid field.
+ */
+export const validateBody = (schema, body, user) => {
+  const context = { errors: [], partial: Boolean(schema.partial), user };
+  const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const value = checkFields(schema.fields, source, '', context);
+  return { value, errors: context.errors };
+};
+
+// Replaces req.body with the validated body, or fails with 400 listing each invalid field
+export const validate = (schema) => (req, res, next) => {
+  const { value, errors } = validateBody(schema, req.body, req.user);
+  if (errors.length > 0) {
+    return next(new RequestValidationError(errors));
+  }
+  req.body = value;
+  next();
+};
+
+const OPENAPI_TYPES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  objectId: { type: 'string', pattern: OBJECT_ID_PATTERN.source },
+};
+
+const rolesHolding = (permission) => Object.keys(ROLE_PERMISSIONS).filter(role => can(role, permission));
+
+const fieldToOpenApi = (spec) => {
+  let property;
+  if (spec.type === 'array') {
+    property = { type: 'array', items: fieldToOpenApi(spec.items) };
+  } else if (spec.type === 'object') {
+    property = spec.properties ? fieldsToOpenApi(spec.properties, false) : { type: 'object' };
+  } else {
+    property = { ...OPENAPI_TYPES[spec.type] };
+  }
+
+  for (const key of ['format', 'enum', 'minLength', 'maxLength', 'minItems', 'example', 'nullable']) {
+    if (spec[key] !== undefined) {
+      property[key] = spec[key];
+    }
+  }
+  if (spec.min !== undefined) {
+    property.minimum = spec.min;
+  }
+  if (spec.max !== undefined) {
+    property.maximum = spec.max;
+  }
+  if (spec.pattern) {
+    property.pattern = spec.pattern;
+  }
+
+  const notes = [spec.description];
+  if (spec.permission) {
+    notes.push(`Only for ${rolesHolding(spec.permission).join(', ')} (${spec.permission}).`);
+  }
+  const description = notes.filter(Boolean).join(' ');
+  if (description) {
+    property.description = description;
+  }
+  return property;
+};
+
+const fieldsToOpenApi = (fields, partial) => {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const [name, spec] of Object.entries(fields)) {
+    if (spec.rejected) {
+      continue;
+    }
+    schema.properties[name] = fieldToOpenApi(spec);
+    if (spec.required && !partial) {
+      required.push(name);
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+};
+
+// OpenAPI component for a schema; swagger.js publishes these under schema.name
+export const toOpenApi = (schema) => {
+  const component = fieldsToOpenApi(schema.fields, schema.partial);
+  if (schema.description) {
+    component.description = schema.description;
+  }
+  return component;
+};